@@ -0,0 +1,86 @@
+/*
+ * abort.js: support for destroying the streams, including with an AbortSignal.
+ */
+
+var mod_assert = require('assert');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+/* Public interface */
+module.exports = {
+    'abortError': abortError,
+    'checkSignal': checkSignal,
+    'destroy': destroy,
+    'watchSignal': watchSignal
+};
+
+/*
+ * Returns the error with which a stream is destroyed when its AbortSignal is
+ * aborted.  Like node's own, it has name "AbortError" and code "ABORT_ERR".
+ */
+function abortError()
+{
+	var err = new VError('the operation was aborted');
+	err.name = 'AbortError';
+	err.code = 'ABORT_ERR';
+	return (err);
+}
+
+/*
+ * Validates the "signal" constructor argument.  Anything that looks like an
+ * AbortSignal is accepted, since node versions before 15 don't have them.
+ */
+function checkSignal(signal)
+{
+	mod_assert.ok(signal === undefined || (typeof (signal) == 'object' &&
+	    signal !== null &&
+	    typeof (signal.addEventListener) == 'function' &&
+	    typeof (signal.removeEventListener) == 'function'),
+	    '"signal" arg must be an AbortSignal');
+}
+
+/*
+ * Arrange for "stream" to be destroyed with an AbortError when "signal" is
+ * aborted (or right away, if it already has been).
+ */
+function watchSignal(stream, signal)
+{
+	var onAbort = function () {
+		stream.destroy(abortError());
+	};
+
+	if (signal.aborted) {
+		process.nextTick(onAbort);
+		return;
+	}
+
+	signal.addEventListener('abort', onAbort);
+	stream.once('close', function () {
+		signal.removeEventListener('abort', onAbort);
+	});
+}
+
+/*
+ * Readable streams from the "readable-stream" module that we use on node 0.8
+ * don't have destroy(), so the streams use this instead.  Like node's, it
+ * invokes _destroy() at most once and then emits "error" (if there was one)
+ * and "close".
+ */
+function destroy(err)
+{
+	var stream = this;
+
+	if (this.destroyed)
+		return (this);
+
+	this.destroyed = true;
+	this._destroy(err || null, function (err2) {
+		process.nextTick(function () {
+			if (err2)
+				stream.emit('error', err2);
+			stream.emit('close');
+		});
+	});
+	return (this);
+}
@@ -0,0 +1,174 @@
+/*
+ * backoff.js: decide whether failed requests should be retried, and when.
+ */
+
+var mod_assert = require('assert');
+var mod_retry = require('retry');
+
+/* Public interface */
+module.exports = {
+    'Backoff': Backoff,
+    'classify': classify,
+    'parseRetryAfter': parseRetryAfter
+};
+
+/*
+ * Returns how a failed request should be handled, given the error "err" and the
+ * response "res" (which may be null if the request failed before there was
+ * one):
+ *
+ *     "retry"	retry the request after a delay, subject to the retry policy
+ *
+ *     "resume"	retry the request right away, without counting it against the
+ *     		retry policy (as for a premature close)
+ *
+ *     "fatal"	give up
+ *
+ * If "hook" (a caller-supplied "classifyError" function) is specified, it's
+ * consulted first, and its answer is used unless it returns null or undefined.
+ * Otherwise, connection failures, "429 Too Many Requests", and 500-level errors
+ * are retried, and everything else is fatal.
+ */
+function classify(err, res, hook)
+{
+	var rv, code;
+
+	if (hook) {
+		rv = hook(err, res);
+		if (rv !== null && rv !== undefined) {
+			mod_assert.ok(rv == 'retry' || rv == 'resume' ||
+			    rv == 'fatal', 'classifyError returned ' +
+			    'unsupported value: ' + rv);
+			return (rv);
+		}
+	}
+
+	code = err.statusCode;
+	if (code === undefined || code == 429 || code >= 500)
+		return ('retry');
+	return ('fatal');
+}
+
+/*
+ * Returns the number of milliseconds to wait according to the "Retry-After"
+ * header "value", which may be either a number of seconds or an HTTP date.
+ * Returns null if the value is missing or invalid.
+ */
+function parseRetryAfter(value)
+{
+	var when;
+
+	if (typeof (value) != 'string')
+		return (null);
+
+	value = value.trim();
+	if (/^\d+$/.test(value))
+		return (parseInt(value, 10) * 1000);
+
+	when = Date.parse(value);
+	if (isNaN(when))
+		return (null);
+	return (Math.max(0, when - Date.now()));
+}
+
+/*
+ * A Backoff schedules retries of an operation according to a node-retry-style
+ * retry "policy".  This works like node-retry's RetryOperation, except that:
+ *
+ *     o Each delay is randomized ("jittered") to between half and all of the
+ *       delay called for by the policy, so that many clients that fail at the
+ *       same time don't retry at the same time.  This can be disabled with the
+ *       "jitter" property of the policy.
+ *
+ *     o If the failed response carried a "Retry-After" header, we wait as long
+ *       as that says instead, even if that's longer than the policy's
+ *       "maxTimeout", since retrying sooner would just fail again.
+ *
+ *     o If "deadline" (a time, in milliseconds since the epoch) is specified,
+ *       we don't schedule retries that wouldn't happen until after it.  This
+ *       is the only limit on how long a "Retry-After" header can make us wait.
+ */
+function Backoff(policy, deadline)
+{
+	mod_assert.ok(deadline === undefined || deadline === null ||
+	    typeof (deadline) == 'number', '"deadline" must be a number');
+
+	this.b_timeouts = mod_retry.timeouts(policy);
+	this.b_jitter = policy['jitter'] !== false;
+	this.b_deadline = deadline || null;
+	this.b_overdue = false;		/* a retry would pass the deadline */
+	this.b_func = null;		/* operation to retry */
+	this.b_timer = null;		/* pending retry */
+	this.b_nretries = 0;		/* number of retries so far */
+}
+
+/*
+ * Invoke "func" now, and again each time retry() is called.
+ */
+Backoff.prototype.attempt = function (func)
+{
+	this.b_func = func;
+	func();
+};
+
+/*
+ * Like attempt(), but don't invoke "func" until retry() is called.
+ */
+Backoff.prototype.defer = function (func)
+{
+	this.b_func = func;
+};
+
+/*
+ * Schedule the next attempt after the failure described by "err" and "res"
+ * (which may be null).  Returns false (and does nothing) if the retry policy is
+ * exhausted or the retry would come after the deadline (see overdue()).
+ */
+Backoff.prototype.retry = function (err, res)
+{
+	var b = this;
+	var delay, after;
+
+	mod_assert.ok(this.b_timer === null, 'retry already pending');
+	if (this.b_nretries >= this.b_timeouts.length)
+		return (false);
+
+	delay = this.b_timeouts[this.b_nretries++];
+	if (this.b_jitter)
+		delay = Math.round(delay / 2 + Math.random() * delay / 2);
+
+	after = res ? parseRetryAfter(res.headers['retry-after']) : null;
+	if (after !== null)
+		delay = after;
+
+	if (this.b_deadline !== null && Date.now() + delay > this.b_deadline) {
+		this.b_overdue = true;
+		return (false);
+	}
+
+	this.b_timer = setTimeout(function () {
+		b.b_timer = null;
+		b.b_func();
+	}, delay);
+	return (true);
+};
+
+/*
+ * Returns true if the last call to retry() failed because the retry would have
+ * come after the deadline.
+ */
+Backoff.prototype.overdue = function ()
+{
+	return (this.b_overdue);
+};
+
+/*
+ * Cancel any pending retry.
+ */
+Backoff.prototype.cancel = function ()
+{
+	if (this.b_timer !== null) {
+		clearTimeout(this.b_timer);
+		this.b_timer = null;
+	}
+};
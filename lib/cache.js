@@ -0,0 +1,446 @@
+/*
+ * cache.js: on-disk cache of HTTP resources that revalidates its copies using
+ * their etags.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var download = require('./download');
+
+/* Public interface */
+module.exports = HttpCache;
+
+/*
+ * An HttpCache keeps copies of HTTP resources in a local directory, so that
+ * fetching the same resource again doesn't transfer it again unless it has
+ * changed.  Arguments:
+ *
+ *     directory	path of the directory in which to keep the copies, which
+ *     			is created if needed.  It should not be used by more
+ *     			than one HttpCache at a time.
+ *
+ *     maxSize		maximum number of bytes of copies (including partial
+ *     			ones) to keep.  When it's exceeded, the copies that
+ *     			were least recently used are removed.
+ *
+ *     log		bunyan-style logger
+ *
+ * Copies are made with download(), so their digests have been checked, and
+ * each is recorded with the resource's etag, size, and digests in an index
+ * ("index.json" in the directory).  Only resources with a strong etag are
+ * kept.  See fetch().
+ */
+function HttpCache(args)
+{
+	mod_assert.equal('string', typeof (args['directory']),
+	    '"directory" arg must be a string');
+	mod_assert.ok(typeof (args['maxSize']) == 'number' &&
+	    args['maxSize'] > 0, '"maxSize" arg must be a positive number');
+	mod_assert.equal('object', typeof (args['log']),
+	    '"log" arg must be a bunyan log');
+
+	this.ch_dir = args['directory'];
+	this.ch_indexpath = this.ch_dir + '/index.json';
+	this.ch_maxsize = args['maxSize'];
+	this.ch_log = args['log'];
+
+	this.ch_entries = null;		/* index, by key (see load()) */
+	this.ch_loading = null;		/* callbacks waiting for load() */
+	this.ch_busy = {};		/* keys being fetched, with waiters */
+	this.ch_saving = false;		/* index write in progress */
+	this.ch_savewaiters = [];	/* callbacks waiting for save() */
+}
+
+/*
+ * Fetch the resource described by "opts", which are the same as for download()
+ * (without "ifNoneMatch"), plus:
+ *
+ *     cacheKey		If specified, the key under which the copy is kept.
+ *     			Defaults to "url", or to "path" when fetching with a
+ *     			"client" (so callers that use the same cache for more
+ *     			than one server should specify this).
+ *
+ * If there's a complete copy, the resource is requested with "If-None-Match"
+ * its etag, and if the server responds "304 Not Modified", the copy is used.
+ * Otherwise the resource is downloaded, replacing the copy.  If a previous
+ * fetch of the resource failed partway through, the rest of it is requested
+ * with a Range request, as download() does.  Fetches of the same resource are
+ * done one at a time.
+ *
+ * "callback" is invoked as callback(err, result), where "result" has
+ * properties "stream" (a readable stream of the body), "size", "etag",
+ * "digests" (as recorded when the copy was made), "fromCache" (true if the
+ * copy was already up to date), and "resumedFrom" (as for download()).  The
+ * stream reads from a file that has already been opened, so it's unaffected if
+ * the copy is later removed or replaced.  Without "callback", returns a
+ * Promise for "result".
+ */
+HttpCache.prototype.fetch = function (opts, callback)
+{
+	var c = this;
+	var key;
+
+	mod_assert.equal('object', typeof (opts), '"opts" must be an object');
+	mod_assert.ok(opts['ifNoneMatch'] === undefined,
+	    '"ifNoneMatch" is not supported by fetch()');
+	mod_assert.ok(opts['cacheKey'] === undefined ||
+	    typeof (opts['cacheKey']) == 'string',
+	    '"cacheKey" must be a string');
+
+	if (callback === undefined) {
+		return (new Promise(function (resolve, reject) {
+			c.fetch(opts, function (err, result) {
+				if (err)
+					reject(err);
+				else
+					resolve(result);
+			});
+		}));
+	}
+
+	mod_assert.equal('function', typeof (callback),
+	    '"callback" must be a function');
+	key = opts['cacheKey'] || opts['url'] || opts['path'];
+	mod_assert.equal('string', typeof (key),
+	    '"opts" must have "url", "path", or "cacheKey"');
+
+	if (this.ch_busy.hasOwnProperty(key)) {
+		this.ch_busy[key].push(function () {
+			c.fetch(opts, callback);
+		});
+		return (undefined);
+	}
+
+	this.ch_busy[key] = [];
+	this.load(function (err) {
+		if (err) {
+			c.release(key);
+			callback(err);
+			return;
+		}
+
+		c.fetchEntry(key, opts, function (err2, result) {
+			c.release(key);
+			callback(err2, result);
+		});
+	});
+
+	return (undefined);
+};
+
+/*
+ * Let the next fetch of "key" (if any) proceed.
+ */
+HttpCache.prototype.release = function (key)
+{
+	var waiters = this.ch_busy[key];
+
+	delete (this.ch_busy[key]);
+	waiters.forEach(function (f) { setImmediate(f); });
+};
+
+/*
+ * Read the index if we haven't already, creating the directory if needed.
+ */
+HttpCache.prototype.load = function (callback)
+{
+	var c = this;
+
+	if (this.ch_entries !== null) {
+		setImmediate(callback);
+		return;
+	}
+
+	if (this.ch_loading !== null) {
+		this.ch_loading.push(callback);
+		return;
+	}
+
+	this.ch_loading = [ callback ];
+	mod_fs.mkdir(this.ch_dir, function (err) {
+		if (err && err.code != 'EEXIST') {
+			c.loaded(new VError(err, 'mkdir "%s"', c.ch_dir));
+			return;
+		}
+
+		mod_fs.readFile(c.ch_indexpath, 'utf8',
+		    function (err2, contents) {
+			var entries = {};
+
+			if (err2 && err2.code != 'ENOENT') {
+				c.loaded(new VError(err2, 'read "%s"',
+				    c.ch_indexpath));
+				return;
+			}
+
+			if (!err2) {
+				try {
+					JSON.parse(contents).forEach(
+					    function (e) {
+						entries[e['key']] = e;
+					    });
+				} catch (ex) {
+					c.ch_log.warn(ex, 'ignoring invalid ' +
+					    '"%s"', c.ch_indexpath);
+					entries = {};
+				}
+			}
+
+			c.ch_entries = entries;
+			c.loaded(null);
+		    });
+	});
+};
+
+HttpCache.prototype.loaded = function (err)
+{
+	var waiters = this.ch_loading;
+
+	this.ch_loading = null;
+	waiters.forEach(function (f) { f(err); });
+};
+
+/*
+ * Fetch the resource called "key" (see fetch()), which no one else is fetching.
+ */
+HttpCache.prototype.fetchEntry = function (key, opts, callback)
+{
+	var c = this;
+	var entry, path, dlopts;
+
+	entry = this.ch_entries.hasOwnProperty(key) ?
+	    this.ch_entries[key] : null;
+	path = this.entryPath(key);
+
+	dlopts = {};
+	Object.keys(opts).forEach(function (k) {
+		if (k != 'cacheKey')
+			dlopts[k] = opts[k];
+	});
+	if (entry !== null && entry['etag'] !== null)
+		dlopts['ifNoneMatch'] = entry['etag'];
+
+	download(path, dlopts, function (err, result) {
+		if (entry === null) {
+			entry = {
+			    'key': key,
+			    'etag': null,
+			    'size': null,
+			    'digests': null,
+			    'diskUsage': 0,
+			    'used': 0
+			};
+			c.ch_entries[key] = entry;
+		}
+		entry['used'] = Date.now();
+
+		if (err) {
+			/*
+			 * Keep any partial file around (and account for it),
+			 * so that the next fetch can resume it.
+			 */
+			c.update(entry, path, function () {
+				callback(err);
+			});
+			return;
+		}
+
+		if (!result['notModified']) {
+			entry['etag'] = result['etag'];
+			entry['size'] = result['size'];
+			entry['digests'] = result['digests'];
+		}
+
+		mod_fs.open(path, 'r', function (err2, fd) {
+			var rv;
+
+			if (err2 && err2.code == 'ENOENT' &&
+			    result['notModified']) {
+				/* Someone removed the copy behind our back. */
+				c.ch_log.warn('"%s" is missing; fetching ' +
+				    'again', path);
+				entry['etag'] = null;
+				c.fetchEntry(key, opts, callback);
+				return;
+			}
+
+			if (err2) {
+				c.update(entry, path, function () {
+					callback(new VError(err2, 'open "%s"',
+					    path));
+				});
+				return;
+			}
+
+			rv = {
+			    'stream': mod_fs.createReadStream(path,
+			        { 'fd': fd }),
+			    'size': entry['size'],
+			    'etag': entry['etag'],
+			    'digests': entry['digests'],
+			    'fromCache': result['notModified'] === true,
+			    'resumedFrom': result['resumedFrom']
+			};
+
+			if (entry['etag'] === null || /^W\//.test(
+			    entry['etag'])) {
+				c.ch_log.info('not caching "%s" (no strong ' +
+				    'etag)', key);
+				entry['etag'] = null;
+				mod_fs.unlink(path, function () {
+					c.update(entry, path, function () {
+						callback(null, rv);
+					});
+				});
+				return;
+			}
+
+			c.ch_log.debug({ 'entry': entry }, '%s "%s"',
+			    rv['fromCache'] ? 'cache hit' : 'cached', key);
+			c.update(entry, path, function () {
+				callback(null, rv);
+			});
+		});
+	});
+};
+
+/*
+ * Returns the path of the file that holds the copy of the resource called
+ * "key".  Partial copies are kept alongside it (see download()).
+ */
+HttpCache.prototype.entryPath = function (key)
+{
+	return (this.ch_dir + '/' +
+	    mod_crypto.createHash('sha1').update(key).digest('hex'));
+};
+
+/*
+ * Record how much disk space "entry" (whose files are "path" and the partial
+ * files for it) is using, save the index, and then evict entries until we're
+ * under "maxSize".  Errors are logged but otherwise ignored, since they only
+ * affect the cache's efficiency.
+ */
+HttpCache.prototype.update = function (entry, path, callback)
+{
+	var c = this;
+	var files = [ path, path + '.part', path + '.part.json' ];
+	var usage = 0;
+
+	var statNext = function () {
+		if (files.length === 0) {
+			entry['diskUsage'] = usage;
+			if (usage === 0 && entry['etag'] === null)
+				delete (c.ch_entries[entry['key']]);
+			c.evict(entry['key'], function () {
+				c.save(callback);
+			});
+			return;
+		}
+
+		mod_fs.stat(files.shift(), function (err, st) {
+			if (!err)
+				usage += st.size;
+			statNext();
+		});
+	};
+
+	statNext();
+};
+
+/*
+ * Remove the least recently used entries (other than those being fetched,
+ * except for "current") until the total disk usage is no more than "maxSize".
+ */
+HttpCache.prototype.evict = function (current, callback)
+{
+	var c = this;
+	var entries, total, evictNext;
+
+	entries = Object.keys(this.ch_entries).map(function (k) {
+		return (c.ch_entries[k]);
+	});
+	total = 0;
+	entries.forEach(function (e) { total += e['diskUsage']; });
+	entries = entries.filter(function (e) {
+		return (e['key'] == current ||
+		    !c.ch_busy.hasOwnProperty(e['key']));
+	}).sort(function (a, b) {
+		return (a['used'] - b['used']);
+	});
+
+	evictNext = function () {
+		var e, path;
+
+		if (total <= c.ch_maxsize || entries.length === 0) {
+			callback();
+			return;
+		}
+
+		e = entries.shift();
+		total -= e['diskUsage'];
+		delete (c.ch_entries[e['key']]);
+		c.ch_log.info('evicting "%s" (%d bytes)', e['key'],
+		    e['diskUsage']);
+
+		path = c.entryPath(e['key']);
+		mod_fs.unlink(path, function () {
+			mod_fs.unlink(path + '.part', function () {
+				mod_fs.unlink(path + '.part.json', evictNext);
+			});
+		});
+	};
+
+	evictNext();
+};
+
+/*
+ * Write the index, which is replaced atomically, and then invoke "callback".
+ * Writes are done one at a time, and callers that arrive while one is in
+ * progress share the next one.
+ */
+HttpCache.prototype.save = function (callback)
+{
+	this.ch_savewaiters.push(callback);
+	if (!this.ch_saving)
+		this.writeIndex();
+};
+
+HttpCache.prototype.writeIndex = function ()
+{
+	var c = this;
+	var waiters, entries, tmppath, done;
+
+	waiters = this.ch_savewaiters;
+	this.ch_savewaiters = [];
+	this.ch_saving = true;
+
+	done = function (err) {
+		if (err)
+			c.ch_log.warn(err, 'failed to save index');
+		c.ch_saving = false;
+		waiters.forEach(function (f) { f(); });
+		if (c.ch_savewaiters.length > 0)
+			c.writeIndex();
+	};
+
+	entries = Object.keys(this.ch_entries).map(function (k) {
+		return (c.ch_entries[k]);
+	});
+	tmppath = this.ch_indexpath + '.tmp';
+	mod_fs.writeFile(tmppath, JSON.stringify(entries), function (err) {
+		if (err) {
+			done(new VError(err, 'write "%s"', tmppath));
+			return;
+		}
+
+		mod_fs.rename(tmppath, c.ch_indexpath, function (err2) {
+			done(err2 ? new VError(err2, 'rename "%s"', tmppath) :
+			    null);
+		});
+	});
+};
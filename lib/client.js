@@ -0,0 +1,366 @@
+/*
+ * client.js: adapters that let the streams make HTTP requests using either
+ * node's core "http"/"https" modules or a restify client.
+ */
+
+var mod_assert = require('assert');
+var mod_http = require('http');
+var mod_https = require('https');
+var mod_url = require('url');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var mod_errors = require('./errors');
+
+/* Public interface */
+module.exports = {
+    'HttpClient': HttpClient,
+    'RestifyClient': RestifyClient,
+    'checkRedirect': checkRedirect,
+    'fromArgs': fromArgs,
+    'isRedirect': isRedirect,
+    'prepareRequest': prepareRequest,
+    'resolveRedirect': resolveRedirect
+};
+
+/* Status codes of redirects that the streams follow */
+var REDIRECT_CODES = [ 301, 302, 303, 307, 308 ];
+
+/*
+ * The streams issue requests through a client adapter, which is any object
+ * with a method:
+ *
+ *     startRequest(options, callback)
+ *
+ * where "options" has properties "method" (e.g., "GET" or "HEAD"), "path", and
+ * "headers".  The adapter must invoke "callback" asynchronously, exactly once,
+ * as callback(err, res), where "res" is the response (a readable stream with
+ * "statusCode" and "headers") and "err" is an error if the request failed.
+ * Errors for responses with status 400 or above must have a "statusCode"
+ * property (and "res" should be supplied too).  Errors without one are treated
+ * as connection failures.  Responses with other status codes (including
+ * redirects) must be passed through as "res" with no error.
+ *
+ * startRequest() returns a handle with an abort() method.  After abort() is
+ * called, the adapter must not invoke "callback".
+ *
+ * Retries are handled by the streams, not the adapters.
+ */
+
+/*
+ * HttpClient is an adapter for node's core "http" and "https" modules.
+ * Arguments include:
+ *
+ *     url		base URL of the server (e.g., "https://example.com"),
+ *     			which is prepended to the path of each request
+ *
+ *     agent		If specified, the http.Agent (or https.Agent) to use for
+ *     			requests, or false to use a new connection for each one.
+ *     			Defaults to the global agent.
+ *
+ *     tls		If specified, an object of TLS options for "https"
+ *     			requests (e.g., "ca", "cert", "key",
+ *     			"rejectUnauthorized", or "servername"), as for
+ *     			https.request().
+ */
+function HttpClient(args)
+{
+	var url;
+
+	mod_assert.equal('string', typeof (args['url']),
+	    '"url" arg must be a string');
+	mod_assert.ok(args['agent'] === undefined ||
+	    args['agent'] === false || typeof (args['agent']) == 'object',
+	    '"agent" arg must be an agent or false');
+	mod_assert.ok(args['tls'] === undefined ||
+	    typeof (args['tls']) == 'object',
+	    '"tls" arg must be an object');
+
+	url = mod_url.parse(args['url']);
+	mod_assert.ok(url.protocol == 'http:' || url.protocol == 'https:',
+	    '"url" arg must be an http or https URL');
+
+	this.hc_protocol = url.protocol;
+	this.hc_hostname = url.hostname;
+	this.hc_port = url.port ||
+	    (url.protocol == 'https:' ? 443 : 80);
+	this.hc_basepath = (url.pathname || '/').replace(/\/$/, '');
+	this.hc_agent = args['agent'];
+	this.hc_tls = args['tls'] || {};
+}
+
+HttpClient.prototype.startRequest = function (options, callback)
+{
+	var reqoptions, req, aborted, responded;
+
+	reqoptions = {
+	    'hostname': this.hc_hostname,
+	    'port': this.hc_port,
+	    'method': options['method'],
+	    'path': this.hc_basepath + options['path'],
+	    'headers': options['headers']
+	};
+	if (this.hc_agent !== undefined)
+		reqoptions['agent'] = this.hc_agent;
+
+	if (this.hc_protocol == 'https:') {
+		copyOptions(this.hc_tls, reqoptions);
+		req = mod_https.request(reqoptions);
+	} else {
+		req = mod_http.request(reqoptions);
+	}
+
+	aborted = false;
+	responded = false;
+	req.on('response', function (res) {
+		var err;
+
+		if (aborted)
+			return;
+
+		responded = true;
+		if (res.statusCode >= 400) {
+			/*
+			 * We're not going to read the body, so discard it
+			 * rather than tying up the connection.
+			 */
+			err = new VError('server returned status %d (%s)',
+			    res.statusCode, mod_http.STATUS_CODES[
+			    res.statusCode] || 'unknown status');
+			err.statusCode = res.statusCode;
+			res.resume();
+			callback(err, res);
+			return;
+		}
+
+		callback(null, res);
+	});
+
+	/*
+	 * Once there's a response, a connection error (e.g., a reset partway
+	 * through the body) shows up on the response too, and it's up to the
+	 * caller to handle it there.
+	 */
+	req.on('error', function (err) {
+		if (!aborted && !responded)
+			callback(err, null);
+	});
+
+	req.end();
+
+	return ({
+	    'abort': function () {
+		aborted = true;
+		req.abort();
+	    }
+	});
+};
+
+/*
+ * RestifyClient is an adapter for a restify HTTP client (as created by
+ * restify.createClient()).
+ */
+function RestifyClient(client)
+{
+	mod_assert.equal('function', typeof (client.get),
+	    '"client" must be a restify client');
+	this.rc_client = client;
+}
+
+RestifyClient.prototype.startRequest = function (options, callback)
+{
+	var method, req, aborted;
+
+	method = options['method'] == 'HEAD' ? 'head' : 'get';
+	mod_assert.equal(options['method'].toLowerCase(), method);
+
+	req = null;
+	aborted = false;
+	this.rc_client[method]({
+	    'path': options['path'],
+	    'headers': options['headers'],
+	    /* The streams do their own retrying. */
+	    'retry': false
+	}, function (err, r) {
+		if (aborted) {
+			if (r)
+				r.abort();
+			return;
+		}
+
+		if (err) {
+			callback(err, null);
+			return;
+		}
+
+		req = r;
+		req.on('result', function (err2, res) {
+			if (!aborted)
+				callback(err2, res);
+		});
+	});
+
+	return ({
+	    'abort': function () {
+		aborted = true;
+		if (req !== null)
+			req.abort();
+	    }
+	});
+};
+
+/*
+ * Given the constructor arguments of one of the streams, returns an object with
+ * the client adapter ("client"), path ("path"), and URL ("url", which is null
+ * unless the caller supplied it) of the resource to fetch.  The arguments must
+ * include either "url" (and optionally "agent" and "tls", as for HttpClient),
+ * or "client" (a client adapter or restify client) and "path".  The object
+ * also says whether the resource is "foreign", which is true only for targets
+ * that redirects took to another origin (see resolveRedirect()).
+ */
+function fromArgs(args)
+{
+	var url;
+
+	if (args['url'] !== undefined) {
+		mod_assert.equal('string', typeof (args['url']),
+		    '"url" arg must be a string');
+		mod_assert.ok(args['client'] === undefined,
+		    '"client" and "url" args are mutually exclusive');
+		url = mod_url.parse(args['url']);
+		return ({
+		    'client': new HttpClient({
+			'url': url.protocol + '//' + url.host,
+			'agent': args['agent'],
+			'tls': args['tls']
+		    }),
+		    'path': url.path || '/',
+		    'url': url.format(),
+		    'foreign': false
+		});
+	}
+
+	mod_assert.equal('object', typeof (args['client']),
+	    '"client" arg must be a client adapter or restify client');
+	mod_assert.equal('string', typeof (args['path']),
+	    '"path" arg must be a string');
+	return ({
+	    'client': typeof (args['client'].startRequest) == 'function' ?
+	        args['client'] : new RestifyClient(args['client']),
+	    'path': args['path'],
+	    'url': null,
+	    'foreign': false
+	});
+}
+
+/*
+ * Returns true if response "res" is a redirect that the streams can follow.
+ */
+function isRedirect(res)
+{
+	return (REDIRECT_CODES.indexOf(res.statusCode) != -1 &&
+	    typeof (res.headers['location']) == 'string');
+}
+
+/*
+ * Given "target", an object describing a resource as returned by fromArgs(),
+ * returns the target that a redirect from it to "location" refers to, or null
+ * if "location" isn't an http or https URL.  Relative locations are resolved
+ * against the target's URL, or against its path if the URL isn't known, and
+ * are fetched with the same client.  Locations on other servers are fetched
+ * with a new HttpClient using "agent" and "tls" from "args" (the stream's
+ * constructor arguments), and the new target is "foreign", so that the streams
+ * don't send the caller's "headers" (which may carry credentials) there.  Once
+ * foreign, a target's redirects stay foreign.
+ */
+function resolveRedirect(target, location, args)
+{
+	var base, url, same;
+
+	base = target['url'] !== null ? mod_url.parse(target['url']) : null;
+	url = mod_url.parse(mod_url.resolve(
+	    base !== null ? target['url'] : target['path'], location));
+
+	if (url.protocol === null) {
+		/* a path on the same (unknown) server */
+		return ({
+		    'client': target['client'],
+		    'path': url.path || '/',
+		    'url': null,
+		    'foreign': target['foreign']
+		});
+	}
+
+	if (url.protocol != 'http:' && url.protocol != 'https:')
+		return (null);
+
+	same = base !== null && base.protocol == url.protocol &&
+	    base.host == url.host;
+	return ({
+	    'client': same ? target['client'] : new HttpClient({
+		'url': url.protocol + '//' + url.host,
+		'agent': args['agent'],
+		'tls': args['tls']
+	    }),
+	    'path': url.path || '/',
+	    'url': url.format(),
+	    'foreign': target['foreign'] || !same
+	});
+}
+
+/*
+ * Given "target" and the target "next" that a redirect from it to "location"
+ * refers to (see resolveRedirect()), returns an error if the redirect shouldn't
+ * be followed because it goes from https to http, or null otherwise.
+ */
+function checkRedirect(target, next, location)
+{
+	if (target['url'] === null || next['url'] === null ||
+	    mod_url.parse(target['url']).protocol != 'https:' ||
+	    mod_url.parse(next['url']).protocol != 'http:')
+		return (null);
+
+	return (new mod_errors.InsecureRedirectError({
+	    'location': location
+	}, 'refusing to follow redirect from https to http: "%s"', location));
+}
+
+/*
+ * Prepares request "options" (as for startRequest()) for "target" on behalf of
+ * one of the streams, given the "headers" and "beforeRequest" ("hook")
+ * arguments the stream was constructed with (either of which may be null).
+ * Unless the target is foreign (see resolveRedirect()), any of "headers" that
+ * the stream hasn't already set are added.  Then the hook is invoked as
+ * hook(options, attempt, callback).  Invokes callback(err) when done.
+ */
+function prepareRequest(target, headers, hook, options, attempt, callback)
+{
+	var done = false;
+
+	if (headers !== null && !target['foreign']) {
+		Object.keys(headers).forEach(function (h) {
+			var name = h.toLowerCase();
+			if (!options['headers'].hasOwnProperty(name))
+				options['headers'][name] = headers[h];
+		});
+	}
+
+	if (hook === null) {
+		callback(null);
+		return;
+	}
+
+	hook(options, attempt, function (err) {
+		mod_assert.ok(!done, 'beforeRequest callback invoked twice');
+		done = true;
+		callback(err || null);
+	});
+}
+
+function copyOptions(from, to)
+{
+	Object.keys(from).forEach(function (k) {
+		to[k] = from[k];
+	});
+}
@@ -0,0 +1,320 @@
+/*
+ * digest.js: verify the integrity of HTTP resources using digests advertised
+ * by the server or supplied by the caller.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+
+var mod_errors = require('./errors');
+
+/* Public interface */
+module.exports = {
+    'Verifier': Verifier,
+    'normalizeAlgorithm': normalizeAlgorithm,
+    'parseDigestHeaders': parseDigestHeaders
+};
+
+/*
+ * Supported algorithms, mapping the names used in HTTP headers (lowercased) to
+ * the names used by the crypto module, which are also the names we use
+ * everywhere else.  Note that RFC 3230 uses "SHA" to mean SHA-1.
+ */
+var ALGORITHMS = {
+    'md5': 'md5',
+    'sha': 'sha1',
+    'sha1': 'sha1',
+    'sha-1': 'sha1',
+    'sha256': 'sha256',
+    'sha-256': 'sha256',
+    'sha384': 'sha384',
+    'sha-384': 'sha384',
+    'sha512': 'sha512',
+    'sha-512': 'sha512'
+};
+
+/*
+ * Size of each kind of digest (in bytes), used to recognize hex-encoded values.
+ */
+var DIGEST_SIZES = {
+    'md5': 16,
+    'sha1': 20,
+    'sha256': 32,
+    'sha384': 48,
+    'sha512': 64
+};
+
+/*
+ * Vendor-specific headers that carry a single base64-encoded digest of the
+ * whole resource.
+ */
+var VENDOR_HEADERS = {
+    'x-amz-checksum-sha1': 'sha1',
+    'x-amz-checksum-sha256': 'sha256'
+};
+
+/*
+ * Returns digest "value" using "algorithm" in base64, converting it from hex if
+ * necessary.
+ */
+function canonicalValue(algorithm, value)
+{
+	if (/^[0-9a-f]+$/i.test(value) &&
+	    value.length == 2 * DIGEST_SIZES[algorithm])
+		return (new Buffer(value, 'hex').toString('base64'));
+	return (value);
+}
+
+/*
+ * Returns the canonical name of algorithm "name" (which may be any of the forms
+ * used in HTTP headers), or null if the algorithm isn't supported.
+ */
+function normalizeAlgorithm(name)
+{
+	name = name.toLowerCase();
+	return (ALGORITHMS.hasOwnProperty(name) ? ALGORITHMS[name] : null);
+}
+
+/*
+ * Given the headers of a response, returns a list of the digests advertised by
+ * the server, each described by an object with properties:
+ *
+ *     algorithm	canonical algorithm name (see normalizeAlgorithm())
+ *
+ *     value		base64-encoded digest
+ *
+ *     source		name of the header that advertised it
+ *
+ * Digests using unsupported algorithms are ignored.  "Content-MD5" describes
+ * the body of the response, while the other headers ("Digest" from RFC 3230,
+ * "Repr-Digest" from RFC 9530, and vendor headers) describe the whole
+ * resource, so those are only included if "whole" is true (i.e., if the
+ * response body is the whole resource).
+ */
+function parseDigestHeaders(headers, whole)
+{
+	var rv = [];
+
+	if (headers['content-md5']) {
+		rv.push({
+		    'algorithm': 'md5',
+		    'value': headers['content-md5'],
+		    'source': 'content-md5'
+		});
+	}
+
+	if (!whole)
+		return (rv);
+
+	if (headers['digest'])
+		parseDigestList(headers['digest'], 'digest', rv);
+
+	if (headers['repr-digest'])
+		parseDigestList(headers['repr-digest'], 'repr-digest', rv);
+
+	Object.keys(VENDOR_HEADERS).forEach(function (h) {
+		if (headers[h]) {
+			rv.push({
+			    'algorithm': VENDOR_HEADERS[h],
+			    'value': headers[h],
+			    'source': h
+			});
+		}
+	});
+
+	return (rv);
+}
+
+/*
+ * Parses the comma-separated list of "algorithm=value" pairs in "str" (the
+ * value of header "source") and appends the results to "rv".  In "Digest",
+ * values are plain base64.  In "Repr-Digest", values are structured field byte
+ * sequences (base64 between colons), possibly followed by parameters.
+ */
+function parseDigestList(str, source, rv)
+{
+	str.split(',').forEach(function (item) {
+		var eq, algorithm, value, match;
+
+		item = item.trim();
+		eq = item.indexOf('=');
+		if (eq == -1)
+			return;
+
+		algorithm = normalizeAlgorithm(item.substr(0, eq).trim());
+		value = item.substr(eq + 1).trim();
+		if (algorithm === null)
+			return;
+
+		if (source == 'repr-digest') {
+			match = /^:([A-Za-z0-9+\/=]*):/.exec(value);
+			if (match === null)
+				return;
+			value = match[1];
+		}
+
+		rv.push({
+		    'algorithm': algorithm,
+		    'value': value,
+		    'source': source
+		});
+	});
+}
+
+/*
+ * A Verifier computes digests of a stream of data using several algorithms in
+ * one pass and checks them against expected values.  Arguments include:
+ *
+ *     algorithms	list of algorithms to compute, even if nothing is
+ *     			expected of them (so that the caller can record them)
+ *
+ *     expected		object mapping algorithm names to the expected digest
+ *     			of the data, as either a base64 or hex string (e.g.,
+ *     			as known by the caller out of band)
+ *
+ * More expected values can be added with expect() (e.g., as they're learned
+ * from response headers) until data is first passed to update().
+ */
+function Verifier(args)
+{
+	var v = this;
+
+	mod_assert.ok(Array.isArray(args['algorithms']),
+	    '"algorithms" arg must be an array');
+	mod_assert.equal('object', typeof (args['expected']),
+	    '"expected" arg must be an object');
+
+	this.v_hashes = {};		/* algorithm -> hash object */
+	this.v_expected = [];		/* see parseDigestHeaders() */
+	this.v_started = false;		/* data has been hashed */
+	this.v_digests = null;		/* computed digests, once finished */
+
+	args['algorithms'].forEach(function (name) {
+		var algorithm = normalizeAlgorithm(name);
+		mod_assert.ok(algorithm !== null,
+		    'unsupported digest algorithm: ' + name);
+		v.addAlgorithm(algorithm);
+	});
+
+	Object.keys(args['expected']).forEach(function (name) {
+		var algorithm = normalizeAlgorithm(name);
+		mod_assert.ok(algorithm !== null,
+		    'unsupported digest algorithm: ' + name);
+		v.expect(algorithm, args['expected'][name], 'caller');
+	});
+}
+
+Verifier.prototype.addAlgorithm = function (algorithm)
+{
+	mod_assert.ok(!this.v_started);
+	if (!this.v_hashes.hasOwnProperty(algorithm))
+		this.v_hashes[algorithm] = mod_crypto.createHash(algorithm);
+};
+
+/*
+ * Record that the data is expected to have digest "value" using "algorithm",
+ * according to "source".  Returns false (and otherwise ignores the value) if
+ * it's too late to start computing that digest.
+ */
+Verifier.prototype.expect = function (algorithm, value, source)
+{
+	if (!this.v_hashes.hasOwnProperty(algorithm)) {
+		if (this.v_started)
+			return (false);
+		this.addAlgorithm(algorithm);
+	}
+
+	this.v_expected.push({
+	    'algorithm': algorithm,
+	    'value': canonicalValue(algorithm, value),
+	    'source': source
+	});
+	return (true);
+};
+
+/*
+ * Returns the first expected digest (see expected()) that contradicts digest
+ * "value" using "algorithm", or null if none does.
+ */
+Verifier.prototype.conflict = function (algorithm, value)
+{
+	var i, e;
+
+	value = canonicalValue(algorithm, value);
+	for (i = 0; i < this.v_expected.length; i++) {
+		e = this.v_expected[i];
+		if (e.algorithm == algorithm && e.value != value)
+			return (e);
+	}
+
+	return (null);
+};
+
+/*
+ * Returns the list of expected digests (see parseDigestHeaders()).
+ */
+Verifier.prototype.expected = function ()
+{
+	return (this.v_expected.slice(0));
+};
+
+Verifier.prototype.update = function (buf)
+{
+	var v = this;
+
+	mod_assert.ok(this.v_digests === null);
+	this.v_started = true;
+	Object.keys(this.v_hashes).forEach(function (algorithm) {
+		v.v_hashes[algorithm].update(buf);
+	});
+};
+
+/*
+ * Finish computing the digests and check them against the expected values.
+ * Returns an error describing the first mismatch, or null if they all match.
+ */
+Verifier.prototype.verify = function ()
+{
+	var v = this;
+	var err = null;
+
+	this.v_started = true;
+	this.v_digests = {};
+	Object.keys(this.v_hashes).forEach(function (algorithm) {
+		v.v_digests[algorithm] =
+		    v.v_hashes[algorithm].digest('base64');
+	});
+
+	this.v_expected.forEach(function (e) {
+		var actual = v.v_digests[e.algorithm];
+		if (err === null && e.value != actual)
+			err = new mod_errors.IntegrityError({
+			    'algorithm': e.algorithm,
+			    'expected': e.value,
+			    'actual': actual,
+			    'source': e.source
+			}, '%s mismatch: expected %j, got %j (from %s)',
+			    e.algorithm, e.value, actual, e.source);
+	});
+
+	return (err);
+};
+
+/*
+ * After verify(), returns an object mapping each algorithm computed to the
+ * base64-encoded digest of the data.  Returns null before then.
+ */
+Verifier.prototype.digests = function ()
+{
+	var v = this;
+	var rv;
+
+	if (this.v_digests === null)
+		return (null);
+
+	rv = {};
+	Object.keys(this.v_digests).forEach(function (algorithm) {
+		rv[algorithm] = v.v_digests[algorithm];
+	});
+	return (rv);
+};
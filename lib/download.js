@@ -0,0 +1,681 @@
+/*
+ * download.js: download an HTTP resource to a local file, resuming a partial
+ * download left behind by a previous process.
+ */
+
+var mod_assert = require('assert');
+var mod_fs = require('fs');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var mod_digest = require('./digest');
+var mod_errors = require('./errors');
+var ReliableHttpStream = require('./httpstream');
+
+/* Public interface */
+module.exports = download;
+
+/*
+ * Download the resource described by "opts" to the local file "path".  Data is
+ * written to "path.part", and metadata about it (the resource's etag, length,
+ * and expected digests, and how many bytes of "path.part" have been committed
+ * to stable storage) is kept in "path.part.json".  Once the whole resource has
+ * been read and its digests checked, "path.part" is fsync'd and renamed to
+ * "path", and the metadata file is removed.
+ *
+ * If "path.part" and "path.part.json" are left over from a previous attempt
+ * (e.g., by a process that crashed) for the same resource with a strong etag,
+ * the committed prefix of "path.part" is re-hashed and the rest of the resource
+ * is requested with a Range request conditional on that etag, so the digests
+ * are still checked over the whole file.  If the resource has changed since
+ * then, the partial file is discarded and the download starts over.  If the
+ * committed prefix is already the whole resource (because the previous process
+ * died just before moving it into place), it's checked and moved into place
+ * without fetching anything more.
+ *
+ * "opts" are the same as the arguments for ReliableHttpStream (except for
+ * "start", "end", and "verifier", and "highWaterMark" is optional), plus:
+ *
+ *     commitInterval	number of bytes to write between commits (that is,
+ *     			fsync'ing "path.part" and updating "path.part.json").
+ *     			Defaults to 8 MiB.
+ *
+ * When the download completes (or fails), "callback" is invoked as
+ * callback(err, result), where "result" has properties "path", "size" (in
+ * bytes), "etag" (of the resource, or null), "resumedFrom" (the offset at which
+ * this attempt picked up a previous one, or 0), and "digests" (as for
+ * ReliableHttpStream.digests()).  If the download fails, "path.part" is
+ * committed so that a later attempt can resume it, unless the data turned out
+ * to be bad.  Without "callback", returns a Promise for "result".
+ *
+ * If "ifNoneMatch" is given (as for ReliableHttpStream) and the server says the
+ * resource hasn't changed, nothing is written, "path" is left alone, and
+ * "result" has "notModified" set to true (with "size" and "digests" null).
+ * "ifNoneMatch" isn't sent when resuming a partial file.
+ */
+function download(path, opts, callback)
+{
+	mod_assert.equal('string', typeof (path), '"path" must be a string');
+	mod_assert.equal('object', typeof (opts), '"opts" must be an object');
+	mod_assert.ok(opts['start'] === undefined &&
+	    opts['end'] === undefined && opts['verifier'] === undefined,
+	    '"start", "end", and "verifier" are not supported by download()');
+	mod_assert.ok(opts['commitInterval'] === undefined ||
+	    (typeof (opts['commitInterval']) == 'number' &&
+	    opts['commitInterval'] > 0),
+	    '"commitInterval" must be a positive number');
+
+	if (callback === undefined) {
+		return (new Promise(function (resolve, reject) {
+			download(path, opts, function (err, result) {
+				if (err)
+					reject(err);
+				else
+					resolve(result);
+			});
+		}));
+	}
+
+	mod_assert.equal('function', typeof (callback),
+	    '"callback" must be a function');
+	new Download(path, opts, callback).start();
+	return (undefined);
+}
+
+/*
+ * Tracks the state of a single call to download().
+ */
+function Download(path, opts, callback)
+{
+	this.dl_path = path;
+	this.dl_partpath = path + '.part';
+	this.dl_metapath = path + '.part.json';
+	this.dl_opts = opts;
+	this.dl_log = opts['log'];
+	this.dl_callback = callback;
+	this.dl_interval = opts['commitInterval'] || 8 * 1024 * 1024;
+	this.dl_resource = opts['sources'] ?
+	    opts['sources'][0]['url'] || opts['sources'][0]['path'] :
+	    opts['url'] || opts['path'];
+
+	/* runtime state */
+	this.dl_fd = null;		/* file descriptor for "path.part" */
+	this.dl_meta = null;		/* metadata from previous attempt */
+	this.dl_verifier = null;	/* checks digests of the whole file */
+	this.dl_stream = null;		/* ReliableHttpStream for the rest */
+	this.dl_offset = 0;		/* bytes written to "path.part" */
+	this.dl_committed = 0;		/* bytes committed (see commit()) */
+	this.dl_resumed = 0;		/* offset this attempt started at */
+	this.dl_restarted = false;	/* discarded a stale partial file */
+	this.dl_writing = false;	/* write in progress */
+	this.dl_ended = false;		/* stream emitted "end" */
+	this.dl_notmodified = false;	/* see "ifNoneMatch" */
+	this.dl_failure = null;		/* error waiting on write */
+	this.dl_done = false;		/* callback invoked */
+}
+
+/*
+ * Look for metadata from a previous attempt, and resume that attempt if we can.
+ */
+Download.prototype.start = function ()
+{
+	var dl = this;
+
+	mod_fs.readFile(this.dl_metapath, 'utf8', function (err, contents) {
+		var meta = null;
+
+		if (err && err.code != 'ENOENT') {
+			dl.done(new VError(err, 'read "%s"', dl.dl_metapath));
+			return;
+		}
+
+		if (!err) {
+			try {
+				meta = JSON.parse(contents);
+			} catch (ex) {
+				dl.dl_log.warn(ex, 'ignoring invalid "%s"',
+				    dl.dl_metapath);
+			}
+		}
+
+		if (meta !== null && !dl.resumable(meta)) {
+			dl.dl_log.info({ 'meta': meta },
+			    'cannot resume previous download');
+			meta = null;
+		}
+
+		if (meta === null) {
+			dl.startFresh();
+			return;
+		}
+
+		dl.dl_meta = meta;
+		mod_fs.open(dl.dl_partpath, 'r+', function (err2, fd) {
+			if (err2 && err2.code == 'ENOENT') {
+				dl.startFresh();
+				return;
+			}
+
+			if (err2) {
+				dl.done(new VError(err2, 'open "%s"',
+				    dl.dl_partpath));
+				return;
+			}
+
+			dl.dl_fd = fd;
+			dl.resume();
+		});
+	});
+};
+
+/*
+ * Returns true if the metadata "meta" left by a previous attempt describes a
+ * partial download of the same resource that we can safely pick up.  Resuming
+ * requires a strong etag, since that's what ensures the rest of the data comes
+ * from the same version of the resource.
+ */
+Download.prototype.resumable = function (meta)
+{
+	return (typeof (meta) == 'object' && meta !== null &&
+	    meta['resource'] === this.dl_resource &&
+	    typeof (meta['etag']) == 'string' && !/^W\//.test(meta['etag']) &&
+	    typeof (meta['committed']) == 'number' && meta['committed'] >= 0 &&
+	    Array.isArray(meta['digests']));
+};
+
+/*
+ * Truncate "path.part" to the committed prefix recorded in the metadata (since
+ * anything after that may not have made it to disk intact), re-hash that
+ * prefix, and fetch the rest.
+ */
+Download.prototype.resume = function ()
+{
+	var dl = this;
+	var committed = this.dl_meta['committed'];
+
+	mod_fs.fstat(this.dl_fd, function (err, st) {
+		if (err) {
+			dl.done(new VError(err, 'stat "%s"', dl.dl_partpath));
+			return;
+		}
+
+		if (st.size < committed) {
+			dl.dl_log.info('"%s" is shorter than recorded (%d ' +
+			    'bytes, expected %d)', dl.dl_partpath, st.size,
+			    committed);
+			dl.startFresh();
+			return;
+		}
+
+		mod_fs.ftruncate(dl.dl_fd, committed, function (err2) {
+			if (err2) {
+				dl.done(new VError(err2, 'truncate "%s"',
+				    dl.dl_partpath));
+				return;
+			}
+
+			dl.makeVerifier(dl.dl_meta['digests']);
+			dl.hashPrefix(committed, function (err3) {
+				if (err3) {
+					dl.done(err3);
+					return;
+				}
+
+				dl.dl_offset = committed;
+				dl.dl_committed = committed;
+				dl.dl_resumed = committed;
+				if (committed === dl.dl_meta['size']) {
+					dl.complete();
+					return;
+				}
+
+				dl.dl_log.info('resuming "%s" at byte %d',
+				    dl.dl_partpath, committed);
+				dl.fetch();
+			});
+		});
+	});
+};
+
+/*
+ * Start downloading from the beginning, discarding any partial file.
+ */
+Download.prototype.startFresh = function ()
+{
+	var dl = this;
+
+	this.dl_meta = null;
+	this.dl_offset = 0;
+	this.dl_committed = 0;
+	this.dl_resumed = 0;
+	this.makeVerifier([]);
+
+	if (this.dl_fd !== null) {
+		mod_fs.ftruncate(this.dl_fd, 0, function (err) {
+			if (err) {
+				dl.done(new VError(err, 'truncate "%s"',
+				    dl.dl_partpath));
+				return;
+			}
+
+			dl.fetch();
+		});
+		return;
+	}
+
+	mod_fs.open(this.dl_partpath, 'w', function (err, fd) {
+		if (err) {
+			dl.done(new VError(err, 'open "%s"', dl.dl_partpath));
+			return;
+		}
+
+		dl.dl_fd = fd;
+		dl.fetch();
+	});
+};
+
+/*
+ * Create the Verifier for the whole file, expecting the caller's digests plus
+ * "digests" (those recorded by a previous attempt).
+ */
+Download.prototype.makeVerifier = function (digests)
+{
+	var v;
+
+	v = new mod_digest.Verifier({
+	    'algorithms': this.dl_opts['algorithms'] || [ 'md5' ],
+	    'expected': this.dl_opts['digests'] || {}
+	});
+	digests.forEach(function (d) {
+		v.expect(d['algorithm'], d['value'], d['source']);
+	});
+	this.dl_verifier = v;
+};
+
+/*
+ * Feed the first "count" bytes of "path.part" to the Verifier, since the
+ * in-progress state of the hashes can't be saved across processes.
+ */
+Download.prototype.hashPrefix = function (count, callback)
+{
+	var dl = this;
+	var buf = new Buffer(Math.min(count, 1024 * 1024));
+	var pos = 0;
+
+	var readNext = function () {
+		if (pos == count) {
+			callback(null);
+			return;
+		}
+
+		mod_fs.read(dl.dl_fd, buf, 0, Math.min(buf.length, count - pos),
+		    pos, function (err, nread) {
+			if (err) {
+				callback(new VError(err, 'read "%s"',
+				    dl.dl_partpath));
+				return;
+			}
+
+			if (nread === 0) {
+				callback(new VError('read "%s": unexpected ' +
+				    'end of file at byte %d', dl.dl_partpath,
+				    pos));
+				return;
+			}
+
+			dl.dl_verifier.update(buf.slice(0, nread));
+			pos += nread;
+			readNext();
+		});
+	};
+
+	readNext();
+};
+
+/*
+ * Fetch the rest of the resource (from "dl_offset") into "path.part".
+ */
+Download.prototype.fetch = function ()
+{
+	var dl = this;
+	var args = {};
+
+	Object.keys(this.dl_opts).forEach(function (k) {
+		if (k != 'commitInterval' && k != 'algorithms' &&
+		    k != 'digests' &&
+		    (k != 'ifNoneMatch' || dl.dl_offset === 0))
+			args[k] = dl.dl_opts[k];
+	});
+	if (args['highWaterMark'] === undefined)
+		args['highWaterMark'] = 1024 * 1024;
+	if (this.dl_offset > 0) {
+		args['start'] = this.dl_offset;
+		args['etag'] = this.dl_meta['etag'];
+	}
+	args['verifier'] = this.dl_verifier;
+
+	this.dl_stream = new ReliableHttpStream(args);
+	this.dl_stream.on('data', function (buf) { dl.write(buf); });
+	this.dl_stream.on('notModified', function () {
+		dl.dl_notmodified = true;
+	});
+	this.dl_stream.on('end', function () {
+		dl.dl_ended = true;
+		if (dl.dl_notmodified) {
+			dl.dl_log.info('"%s" is up to date', dl.dl_path);
+			dl.discard(null, {
+			    'path': dl.dl_path,
+			    'size': null,
+			    'etag': dl.dl_opts['ifNoneMatch'],
+			    'resumedFrom': 0,
+			    'digests': null,
+			    'notModified': true
+			});
+		} else if (!dl.dl_writing) {
+			dl.finish();
+		}
+	});
+	this.dl_stream.on('error', function (err) { dl.failed(err); });
+};
+
+/*
+ * Write "buf" to "path.part", holding off the stream until that's done and
+ * committing every "commitInterval" bytes.
+ */
+Download.prototype.write = function (buf)
+{
+	var dl = this;
+	var stream = this.dl_stream;
+
+	stream.pause();
+	this.dl_writing = true;
+	writeAll(this.dl_fd, buf, this.dl_offset, function (err) {
+		var next;
+
+		if (err) {
+			stream.abort();
+			dl.dl_writing = false;
+			dl.failed(new VError(err, 'write "%s"',
+			    dl.dl_partpath));
+			return;
+		}
+
+		dl.dl_offset += buf.length;
+		next = function (err2) {
+			dl.dl_writing = false;
+			if (err2) {
+				stream.abort();
+				dl.failed(err2);
+			} else if (dl.dl_failure !== null) {
+				dl.failed(dl.dl_failure);
+			} else if (dl.dl_ended) {
+				dl.finish();
+			} else {
+				stream.resume();
+			}
+		};
+
+		if (dl.dl_offset - dl.dl_committed >= dl.dl_interval)
+			dl.commit(next);
+		else
+			next(null);
+	});
+};
+
+/*
+ * Make sure everything written so far is on stable storage, and then record
+ * that in "path.part.json" (which is replaced atomically), so that another
+ * process can pick up from there.
+ */
+Download.prototype.commit = function (callback)
+{
+	var dl = this;
+	var offset = this.dl_offset;
+	var info, meta, tmppath;
+
+	info = this.dl_stream.resourceInfo();
+	meta = {
+	    'resource': this.dl_resource,
+	    'etag': info['etag'],
+	    'lastModified': info['lastModified'],
+	    'size': info['size'],
+	    'committed': offset,
+	    'digests': this.dl_verifier.expected().filter(function (d) {
+		return (d['source'] != 'caller');
+	    })
+	};
+
+	tmppath = this.dl_metapath + '.tmp';
+	mod_fs.fsync(this.dl_fd, function (err) {
+		if (err) {
+			callback(new VError(err, 'fsync "%s"', dl.dl_partpath));
+			return;
+		}
+
+		mod_fs.writeFile(tmppath, JSON.stringify(meta),
+		    function (err2) {
+			if (err2) {
+				callback(new VError(err2, 'write "%s"',
+				    tmppath));
+				return;
+			}
+
+			mod_fs.rename(tmppath, dl.dl_metapath, function (err3) {
+				if (err3) {
+					callback(new VError(err3,
+					    'rename "%s"', tmppath));
+					return;
+				}
+
+				dl.dl_log.debug({ 'meta': meta },
+				    'committed %d bytes', offset);
+				dl.dl_committed = offset;
+				callback(null);
+			});
+		});
+	});
+};
+
+/*
+ * "path.part" already holds the whole resource, because a previous attempt
+ * committed all of it but didn't get to move it into place, so there's nothing
+ * left to fetch.  Check its digests and finish.
+ */
+Download.prototype.complete = function ()
+{
+	var err;
+
+	this.dl_log.info('"%s" is already complete (%d bytes)',
+	    this.dl_partpath, this.dl_offset);
+	err = this.dl_verifier.verify();
+	if (err !== null) {
+		this.discard(err);
+		return;
+	}
+
+	this.finish();
+};
+
+/*
+ * The stream has ended (or there was nothing to fetch), so the digests have
+ * been checked.  Move the file into place.
+ */
+Download.prototype.finish = function ()
+{
+	var dl = this;
+	var fd = this.dl_fd;
+	var etag;
+
+	etag = this.dl_stream !== null ?
+	    this.dl_stream.resourceInfo()['etag'] : null;
+	if (etag === null && this.dl_meta !== null)
+		etag = this.dl_meta['etag'];
+
+	this.dl_fd = null;
+	mod_fs.fsync(fd, function (err) {
+		if (err) {
+			mod_fs.close(fd, function () {});
+			dl.done(new VError(err, 'fsync "%s"', dl.dl_partpath));
+			return;
+		}
+
+		mod_fs.close(fd, function (err2) {
+			if (err2) {
+				dl.done(new VError(err2, 'close "%s"',
+				    dl.dl_partpath));
+				return;
+			}
+
+			mod_fs.rename(dl.dl_partpath, dl.dl_path,
+			    function (err3) {
+				if (err3) {
+					dl.done(new VError(err3, 'rename ' +
+					    '"%s"', dl.dl_partpath));
+					return;
+				}
+
+				mod_fs.unlink(dl.dl_metapath, function () {
+					dl.dl_log.info('downloaded "%s" ' +
+					    '(%d bytes)', dl.dl_path,
+					    dl.dl_offset);
+					dl.done(null, {
+					    'path': dl.dl_path,
+					    'size': dl.dl_offset,
+					    'etag': etag,
+					    'resumedFrom': dl.dl_resumed,
+					    'digests': dl.dl_verifier.digests()
+					});
+				});
+			});
+		});
+	});
+};
+
+/*
+ * Handle a failure of the stream or of writing the file.
+ */
+Download.prototype.failed = function (err)
+{
+	var dl = this;
+
+	if (this.dl_done)
+		return;
+
+	if (this.dl_writing) {
+		/* Wait for the write to finish (see write()). */
+		if (this.dl_failure === null)
+			this.dl_failure = err;
+		return;
+	}
+	this.dl_failure = null;
+
+	/*
+	 * If the resource changed since a previous attempt, the partial file
+	 * is useless, so start over (but only once).
+	 */
+	if (this.dl_resumed > 0 && !this.dl_restarted &&
+	    err instanceof mod_errors.ResourceChangedError) {
+		this.dl_log.info(err, 'resource changed since previous ' +
+		    'attempt; starting over');
+		this.dl_restarted = true;
+		mod_fs.unlink(this.dl_metapath, function () {
+			dl.startFresh();
+		});
+		return;
+	}
+
+	/*
+	 * If we resumed at the very end of the resource (because a previous
+	 * attempt committed all of it, but we didn't know its size), the
+	 * server can only say that there's nothing left.
+	 */
+	if (err instanceof mod_errors.RangeNotSatisfiableError &&
+	    this.dl_resumed > 0 && this.dl_offset == this.dl_resumed &&
+	    err.size === this.dl_offset) {
+		this.complete();
+		return;
+	}
+
+	/*
+	 * If the digests didn't match, the partial file is bad too, so don't
+	 * leave it around to be resumed.
+	 */
+	if (err instanceof mod_errors.IntegrityError) {
+		this.discard(err);
+		return;
+	}
+
+	if (this.dl_offset == this.dl_committed) {
+		this.done(err);
+		return;
+	}
+
+	this.commit(function (err2) {
+		if (err2)
+			dl.dl_log.warn(err2, 'failed to commit partial file');
+		dl.done(err);
+	});
+};
+
+/*
+ * Remove the partial file and its metadata, and then finish with "err" (or
+ * "result", if there's no error).
+ */
+Download.prototype.discard = function (err, result)
+{
+	var dl = this;
+	var fd = this.dl_fd;
+
+	this.dl_fd = null;
+	mod_fs.close(fd, function () {
+		mod_fs.unlink(dl.dl_partpath, function () {
+			mod_fs.unlink(dl.dl_metapath, function () {
+				dl.done(err, result);
+			});
+		});
+	});
+};
+
+Download.prototype.done = function (err, result)
+{
+	var dl = this;
+
+	mod_assert.ok(!this.dl_done);
+	this.dl_done = true;
+
+	if (err)
+		this.dl_log.error(err, 'download of "%s" failed', this.dl_path);
+
+	if (this.dl_fd === null) {
+		this.dl_callback(err || null, result);
+		return;
+	}
+
+	mod_fs.close(this.dl_fd, function () {
+		dl.dl_fd = null;
+		dl.dl_callback(err || null, result);
+	});
+};
+
+/*
+ * Write all of "buf" to "fd" at "position".
+ */
+function writeAll(fd, buf, position, callback)
+{
+	mod_fs.write(fd, buf, 0, buf.length, position,
+	    function (err, nwritten) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		if (nwritten < buf.length) {
+			writeAll(fd, buf.slice(nwritten), position + nwritten,
+			    callback);
+			return;
+		}
+
+		callback(null);
+	});
+}
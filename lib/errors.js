@@ -0,0 +1,203 @@
+/*
+ * errors.js: classes for the errors that the streams emit when they give up,
+ * so that callers can tell what went wrong without matching error messages.
+ */
+
+var mod_assert = require('assert');
+var mod_util = require('util');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+/* Public interface */
+module.exports = {
+    'InsecureRedirectError': InsecureRedirectError,
+    'IntegrityError': IntegrityError,
+    'RangeNotSatisfiableError': RangeNotSatisfiableError,
+    'ResourceChangedError': ResourceChangedError,
+    'RetriesExhaustedError': RetriesExhaustedError,
+    'StallError': StallError,
+    'isTypedError': isTypedError,
+    'wrapError': wrapError
+};
+
+/*
+ * Each of these is a VError constructed as:
+ *
+ *     new IntegrityError(info, format, ...)
+ *
+ * where "format" and the arguments after it are as for VError, and "info" is an
+ * object whose "cause" (if present) is the underlying error, and whose other
+ * properties are copied onto the new error.  The fields each class carries are
+ * described below.  In addition, errors emitted by ReliableHttpStream describe
+ * how far the transfer got (see addErrorInfo() in lib/httpstream.js):
+ *
+ *     bytesRead	bytes emitted by the stream
+ *
+ *     bytesExpected	bytes the stream expected to emit, or null if unknown
+ *
+ *     resumes		as for stats()
+ *
+ *     retries		as for stats()
+ *
+ *     statusCodes	status codes of the last few requests (null for those
+ *     			that got no response), oldest first
+ *
+ *     attempts		list of all the requests made, as for stats()
+ */
+
+/*
+ * The server redirected an https request to an http location, which the streams
+ * refuse to follow.  Fields: "location" (the "Location" header).
+ */
+function InsecureRedirectError(info)
+{
+	initError(this, InsecureRedirectError, arguments);
+}
+mod_util.inherits(InsecureRedirectError, VError);
+InsecureRedirectError.prototype.name = 'InsecureRedirectError';
+
+/*
+ * The data didn't match an expected digest.  Fields: "algorithm", "expected"
+ * and "actual" (base64 digests, except that "expected" is as supplied by the
+ * caller when it couldn't be parsed), and "source" (where the expected value
+ * came from: a header name, or "caller").
+ */
+function IntegrityError(info)
+{
+	initError(this, IntegrityError, arguments);
+}
+mod_util.inherits(IntegrityError, VError);
+IntegrityError.prototype.name = 'IntegrityError';
+
+/*
+ * The server said the range we asked for is not satisfiable (a 416 error, which
+ * is the cause).  Fields: "range" (the "Range" header sent) and, from
+ * ReliableHttpStream, "size" (the size of the resource according to the
+ * response's "Content-Range", or null if it didn't say).
+ */
+function RangeNotSatisfiableError(info)
+{
+	initError(this, RangeNotSatisfiableError, arguments);
+}
+mod_util.inherits(RangeNotSatisfiableError, VError);
+RangeNotSatisfiableError.prototype.name = 'RangeNotSatisfiableError';
+
+/*
+ * The resource changed while it was being fetched, or another source served a
+ * different version of it.  Fields: "property" (what changed: "etag",
+ * "last-modified", "size", "content", "content-encoding", or a digest
+ * algorithm), and "expected" and "actual" (its old and new values, where
+ * known).  If the server reported the change with a 412 error, that's the
+ * cause.
+ */
+function ResourceChangedError(info)
+{
+	initError(this, ResourceChangedError, arguments);
+}
+mod_util.inherits(ResourceChangedError, VError);
+ResourceChangedError.prototype.name = 'ResourceChangedError';
+
+/*
+ * The stream gave up after running into the limits on retries ("retryPolicy"),
+ * resumes ("maxResumes" and "resumePolicy"), or total time ("totalTimeout").
+ * The cause, if any, is the last error seen.  Fields: "limit" (which limit:
+ * "retryPolicy", "maxResumes", "resumePolicy", or "totalTimeout").
+ */
+function RetriesExhaustedError(info)
+{
+	initError(this, RetriesExhaustedError, arguments);
+}
+mod_util.inherits(RetriesExhaustedError, VError);
+RetriesExhaustedError.prototype.name = 'RetriesExhaustedError';
+
+/*
+ * Responses kept stalling until the retry policy was exhausted.  Fields:
+ * "idleTimeout" (if no data arrived for that many milliseconds) or
+ * "minThroughput" and "throughput" (if data arrived too slowly).
+ */
+function StallError(info)
+{
+	initError(this, StallError, arguments);
+}
+mod_util.inherits(StallError, VError);
+StallError.prototype.name = 'StallError';
+
+var ERROR_CLASSES = [
+    InsecureRedirectError,
+    IntegrityError,
+    RangeNotSatisfiableError,
+    ResourceChangedError,
+    RetriesExhaustedError,
+    StallError
+];
+
+function initError(err, ctor, args)
+{
+	var info = args[0];
+	var cause = info['cause'];
+
+	mod_assert.equal('object', typeof (info),
+	    '"info" arg must be an object');
+
+	/*
+	 * Some errors (e.g., restify's for a 412 with no body) have an empty
+	 * message, which VError would append as a dangling ": ".  We still
+	 * record such a cause, but leave it out of the message.
+	 */
+	VError.apply(err, [ {
+	    'cause': cause && cause.message ? cause : undefined,
+	    'constructorOpt': ctor
+	} ].concat(Array.prototype.slice.call(args, 1)));
+	if (cause && !cause.message)
+		err.jse_cause = cause;
+
+	Object.keys(info).forEach(function (k) {
+		if (k != 'cause')
+			err[k] = info[k];
+	});
+}
+
+/*
+ * Returns the class of "err" if it's one of the errors above, or null.
+ */
+function errorClass(err)
+{
+	var i;
+
+	for (i = 0; i < ERROR_CLASSES.length; i++) {
+		if (err instanceof ERROR_CLASSES[i])
+			return (ERROR_CLASSES[i]);
+	}
+
+	return (null);
+}
+
+function isTypedError(err)
+{
+	return (errorClass(err) !== null);
+}
+
+/*
+ * Like "new VError(err, format, ...)", except that if "err" is one of the
+ * errors above, the result is of the same class and carries the same fields.
+ */
+function wrapError(err)
+{
+	var args = Array.prototype.slice.call(arguments, 1);
+	var ctor, info, rv;
+
+	ctor = errorClass(err);
+	if (ctor === null)
+		return (VError.apply(null, [ err ].concat(args)));
+
+	info = { 'cause': err };
+	Object.keys(err).forEach(function (k) {
+		if (k != 'message' && k != 'stack' && !/^jse_/.test(k))
+			info[k] = err[k];
+	});
+
+	rv = Object.create(ctor.prototype);
+	ctor.apply(rv, [ info ].concat(args));
+	return (rv);
+}
@@ -4,10 +4,9 @@
  */
 
 var mod_assert = require('assert');
-var mod_crypto = require('crypto');
 var mod_util = require('util');
 var mod_stream = require('stream');
-var mod_retry = require('retry');
+var mod_zlib = require('zlib');
 
 /*
  * For 0.8, require the special readable-stream module for Readable.
@@ -18,8 +17,61 @@ if (!mod_stream.Transform)
 var mod_verror = require('verror');
 var VError = mod_verror.VError;
 
+var mod_abort = require('./abort');
+var mod_backoff = require('./backoff');
+var mod_client = require('./client');
+var mod_digest = require('./digest');
+var mod_errors = require('./errors');
+
 /* Public interface */
 module.exports = ReliableHttpStream;
+module.exports.SegmentedHttpStream = require('./segmented');
+module.exports.MultiRangeStream = require('./multirange');
+module.exports.download = require('./download');
+module.exports.HttpCache = require('./cache');
+module.exports.RemoteFile = require('./remotefile');
+module.exports.HttpClient = mod_client.HttpClient;
+module.exports.RestifyClient = mod_client.RestifyClient;
+module.exports.InsecureRedirectError = mod_errors.InsecureRedirectError;
+module.exports.IntegrityError = mod_errors.IntegrityError;
+module.exports.RangeNotSatisfiableError = mod_errors.RangeNotSatisfiableError;
+module.exports.ResourceChangedError = mod_errors.ResourceChangedError;
+module.exports.RetriesExhaustedError = mod_errors.RetriesExhaustedError;
+module.exports.StallError = mod_errors.StallError;
+
+/*
+ * Matches the value of a "Content-Range" header for a satisfied byte range
+ * (e.g., "bytes 0-499/1234" or "bytes 0-499/*").
+ */
+var CONTENT_RANGE_RE = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/;
+
+/*
+ * Number of requests whose status codes are recorded on errors (see
+ * addErrorInfo()).
+ */
+var ERROR_NSTATUSES = 5;
+
+/*
+ * Default number of bytes already read that each poll re-requests when
+ * following a resource (see "followOverlap").
+ */
+var FOLLOW_OVERLAP = 1024;
+
+/*
+ * Functions that create decoders for the content codings we can undo (see
+ * "decode"), and the "Accept-Encoding" header that asks for them.
+ */
+var DECODERS = {
+    'identity': null,
+    'gzip': mod_zlib.createGunzip,
+    'x-gzip': mod_zlib.createGunzip,
+    'deflate': mod_zlib.createInflate
+};
+if (mod_zlib.createBrotliDecompress)
+	DECODERS['br'] = mod_zlib.createBrotliDecompress;
+var ACCEPT_ENCODING = Object.keys(DECODERS).filter(function (k) {
+	return (k != 'identity' && k != 'x-gzip');
+}).join(', ');
 
 /*
  * A ReliableHttpStream is a readable stream for a given HTTP resource that
@@ -27,69 +79,617 @@ module.exports = ReliableHttpStream;
  * those resulting from unexpected upstream connection closes) by issuing
  * subsequent requests for the same resource from where we left off.
  *
+ * Once we know the etag (or, failing that, the last-modified time) of the
+ * resource, subsequent requests are made conditional on it (using "If-Match"
+ * or "If-Unmodified-Since", plus "If-Range"), so that if the resource changes
+ * while we're fetching it, the server reports that rather than sending us data
+ * from a different version of it.  Either way, the stream emits an "object
+ * changed while fetching" error (a ResourceChangedError; see lib/errors.js for
+ * the other kinds of errors the stream emits when it gives up).
+ *
+ * Redirects are followed (see "maxRedirects"), and once a request has been
+ * redirected, later requests for the rest of the resource go straight to the
+ * new location.  If that location starts failing (e.g., because it was a
+ * pre-signed URL that has since expired), the stream goes back to the original
+ * path, which presumably redirects it somewhere that works.
+ *
+ * The stream follows the usual contracts for node streams: destroy() (or the
+ * older abort()) stops fetching, aborts any outstanding request, and tears down
+ * the current response, and the stream emits "close" once it's stopped (after
+ * "end", "error", or destroy()).  So it can be consumed with async iteration
+ * ("for await") and stream.pipeline(), which destroy it if they stop early.
+ *
  * Arguments include:
  *
- *     client		restify HTTP client
+ *     client		client adapter (see lib/client.js) or restify HTTP
+ *     			client, used to make requests
  *
  *     path		resource to fetch from upstream
  *
+ *     url		Instead of "client" and "path", the URL of the resource
+ *     			to fetch with node's core "http" or "https" module.  In
+ *     			that case, "agent" and "tls" may also be specified (see
+ *     			HttpClient in lib/client.js).
+ *
+ *     sources		Instead of "client" and "path" or "url", a list of
+ *     			sources (mirrors) for the resource, each an object with
+ *     			either "client" and "path" or "url" (plus "agent" and
+ *     			"tls"), as above, and optionally a "name" for logs and
+ *     			stats (which defaults to the URL or path).  Requests go
+ *     			to the first source until its retry policy is exhausted
+ *     			(see "retryPolicy"), at which point the stream carries
+ *     			on from where it left off with the next source, with a
+ *     			fresh retry policy.  Every source must serve the same
+ *     			etag (or last-modified time), length, and digests of
+ *     			the resource, or the stream emits an error.
+ *
  *     log		bunyan-style logger
  *
  *     highWaterMark	See Node API docs
  *
+ *     start		If specified, the offset of the first byte of the
+ *     			resource to fetch.  Defaults to 0.
+ *
+ *     end		If specified, the offset of the last byte of the
+ *     			resource to fetch (inclusive, as with the HTTP "Range"
+ *     			header).  Defaults to the end of the resource.  If it's
+ *     			past the end of the resource, the stream stops at the
+ *     			end of the resource.
+ *
+ *     			If either "start" or "end" is specified, every request
+ *     			(including the first one) asks for the corresponding
+ *     			byte range, and each response must be a "206 Partial
+ *     			Content" whose Content-Range covers exactly the rest
+ *     			of the requested span.  Otherwise the stream emits an
+ *     			error.  The same applies to requests that resume a
+ *     			previous one.
+ *
+ *     skipIgnoredRange	If true, and the server responds to a range request
+ *     			(other than one with an explicit "end") with a "200 OK"
+ *     			and the whole resource, then the bytes preceding the
+ *     			requested range are read and discarded rather than
+ *     			causing the stream to emit an error.  This allows
+ *     			downloads from origins that don't support "Range" to
+ *     			survive interruptions, at the cost of re-fetching data.
+ *
+ *     etag		If specified, the etag that the resource is expected to
+ *     			have.  Every request is made conditional on this etag,
+ *     			and if any response carries a different one, the stream
+ *     			emits an error.  (Without this, the etag of the first
+ *     			response is used for subsequent requests.)
+ *
+ *     lastModified	If specified, the last-modified time (as sent in the
+ *     			"Last-Modified" header) that the resource is expected
+ *     			to have.  Like "etag", but only used if there's no
+ *     			(strong) etag.
+ *
+ *     ifNoneMatch	If specified, the etag of a copy of the resource that
+ *     			the caller already has.  Until the stream gets a
+ *     			response, its requests carry "If-None-Match" with this
+ *     			etag, and if the server responds "304 Not Modified",
+ *     			the stream emits "notModified" (with the response
+ *     			headers) and then "end", without emitting any data or
+ *     			checking any digests.  This is how HttpCache (see
+ *     			lib/cache.js) revalidates its copies.
+ *
+ *     algorithms	If specified, a list of digest algorithms (e.g., "md5",
+ *     			"sha256") to compute over the data emitted by the
+ *     			stream.  After "end", these are available via
+ *     			digests().  Defaults to [ "md5" ].
+ *
+ *     digests		If specified, an object mapping digest algorithms to
+ *     			the expected digests (base64 or hex) of the data
+ *     			emitted by the stream (or with "decode", of the
+ *     			encoded data the server sends), as known by the
+ *     			caller.  These are checked in addition to any digests
+ *     			advertised by the server in the "Content-MD5",
+ *     			"Digest", "Repr-Digest", or "x-amz-checksum-*" headers
+ *     			of the first response.  (Except for "Content-MD5", these
+ *     			describe the whole resource, so they're ignored when
+ *     			fetching a byte range.)  If any of these don't match,
+ *     			the stream emits an error instead of "end".
+ *
+ *     verifier		If specified, a Verifier (see lib/digest.js) that has
+ *     			already hashed the first "start" bytes of the resource,
+ *     			used instead of "algorithms" and "digests".  The data
+ *     			emitted by the stream is added to it, so the digests
+ *     			are checked over the whole resource rather than just
+ *     			the bytes fetched.  Accordingly, "Content-MD5" is
+ *     			ignored when "start" is non-zero, but the other digest
+ *     			headers are used.  This is how download() resumes a
+ *     			partial file.  "end" may not be specified.
+ *
  *     retryPolicy	If specified, this should specify a node-retry-like
  *     			retry policy, which will be used for retrying connection
- *     			failures and 500 errors.  If unspecified, such failures
- *     			will be retried a few times, for up to a few seconds
- *     			(which is deliberately vague).  Non-transient errors
- *     			(e.g., 400 errors) will never be retried, and premature
- *     			closes from the server will always be retried
- *     			immediately.
+ *     			failures, 429 errors, and 500 errors.  If unspecified,
+ *     			such failures will be retried a few times, for up to a
+ *     			few seconds (which is deliberately vague).  Delays are
+ *     			randomized unless the policy's "jitter" property is
+ *     			false, and if the failed response has a "Retry-After"
+ *     			header, we wait as long as that says instead, however
+ *     			long that is (see "totalTimeout" to bound it).
+ *     			Non-transient errors (e.g., 400 errors) will never be
+ *     			retried.  Premature closes from the server are handled
+ *     			separately (see "maxResumes" and "resumePolicy").
+ *
+ *     headers		If specified, an object of headers to send with every
+ *     			request.  The "Range" and conditional headers that the
+ *     			stream uses to resume requests take precedence.
+ *
+ *     beforeRequest	If specified, a function invoked as
+ *     			beforeRequest(options, attempt, callback) before every
+ *     			request (including retries, resumes, and HEAD requests),
+ *     			where "options" has the "method", "path", and "headers"
+ *     			of the request.  The function may add or replace
+ *     			headers (e.g., to sign the request with a fresh "Date",
+ *     			or to propagate a request id), and then it must invoke
+ *     			callback(), or callback(err) to fail the stream with
+ *     			"err".  "attempt" has properties "number" (1 for the
+ *     			stream's first request, 2 for the next, and so on),
+ *     			"reason" ("initial", "retry", "resume", "redirect",
+ *     			"failover", or "follow"), and "bytesRead" (bytes
+ *     			emitted by the stream so far).
+ *
+ *     maxRedirects	The maximum number of redirects (301, 302, 303, 307, or
+ *     			308 responses with a "Location") to follow for each
+ *     			request.  Defaults to 5.  If it's exceeded, the stream
+ *     			emits an error.  Locations on other servers are fetched
+ *     			with HttpClient (see "url" above).  "headers" are sent
+ *     			only to locations on the original server (since they
+ *     			may carry credentials), while "beforeRequest" is invoked
+ *     			again for every location.  Redirects from https to http
+ *     			are refused with an InsecureRedirectError.
+ *
+ *     refreshUrl	If specified, a function invoked as refreshUrl(err,
+ *     			callback) when a request fails with a 401 or 403 error
+ *     			"err" (e.g., because a pre-signed URL has expired).  It
+ *     			should invoke callback(err, update), where "update" may
+ *     			have a new "url" or "path" (relative to the current URL
+ *     			or path) for the resource, and "headers" to use instead
+ *     			of "headers" above.  The stream then carries on
+ *     			from where it left off using the new location, and the
+ *     			responses must still match the etag (or last-modified
+ *     			time) and length of the resource.  If callback is
+ *     			invoked with an error, or a request to a refreshed
+ *     			location fails the same way before any succeeds, the
+ *     			stream emits an error.
+ *
+ *     classifyError	If specified, a function invoked as
+ *     			classifyError(err, res) when a request fails, where
+ *     			"res" is the response (or null if there wasn't one).
+ *     			It should return "retry" to retry the request subject
+ *     			to the retry policy, "resume" to retry it immediately
+ *     			without counting against the policy, "fatal" to fail
+ *     			the stream, or null to use the default behavior
+ *     			described under "retryPolicy".
+ *
+ *     maxResumes	If specified, the maximum number of times to resume
+ *     			fetching the resource after a response closes
+ *     			prematurely or stalls, or a request fails with an error
+ *     			classified as "resume".  Defaults to no limit.
+ *
+ *     resumePolicy	If specified, a node-retry-like retry policy (as for
+ *     			"retryPolicy") for resuming after responses that close
+ *     			prematurely without having delivered any data.  After a
+ *     			response that delivered some data closes prematurely,
+ *     			we resume immediately, but consecutive responses that
+ *     			make no progress are retried with increasing delays,
+ *     			and when the policy is exhausted, the stream emits an
+ *     			error.  If unspecified, such resumes are retried several
+ *     			times with delays of up to ten seconds.
+ *
+ *     unknownLength	What to do if the server doesn't say how long the
+ *     			resource is (i.e., the responses have neither
+ *     			"Content-Length" nor "Content-Range") and the response
+ *     			ends without the kind of framing that distinguishes the
+ *     			end of the body from a dropped connection (as chunked
+ *     			encoding does).  Options are:
+ *
+ *     			"probe" (the default): request the next byte of the
+ *     			resource.  If the server responds with "416 Range Not
+ *     			Satisfiable" (and no "Content-Range" showing that the
+ *     			resource is longer), we're done.  If it responds with
+ *     			more data, we carry on.  A server that doesn't support
+ *     			Range requests responds with the whole resource
+ *     			instead: if that response has a "Content-Length"
+ *     			matching what we've read, or has none, we're done.
+ *
+ *     			"head": issue a HEAD request and compare its
+ *     			"Content-Length" to what we've read, carrying on if
+ *     			there's more.
+ *
+ *     			"error": emit an error rather than risk accepting a
+ *     			truncated body.
+ *
+ *     			"accept": assume we've read the whole resource.
+ *
+ *     			Either way, the length is learned from "Content-Range"
+ *     			if the server sends it on any response, including ones
+ *     			that resume after a dropped connection.
+ *
+ *     follow		If true, the stream doesn't end when it reaches the end
+ *     			of the resource, but polls for data appended to it
+ *     			(like "tail -f"), requesting the bytes after those it
+ *     			has read every "followInterval" milliseconds (default:
+ *     			1000).  A poll that finds nothing new doubles the
+ *     			interval, up to "followMaxInterval" milliseconds
+ *     			(default: 30000), and new data resets it.  If
+ *     			"followTimeout" is specified, the stream ends once that
+ *     			many milliseconds have passed without new data.
+ *     			Otherwise it follows the resource until it's destroyed.
+ *     			"end", "digests", and "verifier" may not be specified.
+ *
+ *     			Since a growing resource keeps changing, requests aren't
+ *     			conditional on its etag or last-modified time, and
+ *     			digests advertised by the server (which describe
+ *     			whatever version of the resource they came with) aren't
+ *     			checked.  Instead, the resource must never get shorter:
+ *     			if a response shows that it's shorter than it was, the
+ *     			stream emits a ResourceChangedError.  To also detect a
+ *     			resource that has been replaced by one at least as
+ *     			long, each poll requests the last "followOverlap" bytes
+ *     			already read (default: 1024) as well, and if they don't
+ *     			match what was emitted, the stream emits a
+ *     			ResourceChangedError rather than splice data from the
+ *     			new resource onto the old.  A replacement that happens
+ *     			to share those bytes isn't detected.  Setting
+ *     			"followOverlap" to 0 disables the check (so that a poll
+ *     			that finds nothing new fails with "416 Range Not
+ *     			Satisfiable" rather than re-reading data).  Either way,
+ *     			digests() covers all of the data emitted.
+ *
+ *     decode		If true, the stream asks the server to compress the
+ *     			resource ("Accept-Encoding: gzip, deflate, br", where
+ *     			brotli is supported) and emits the decoded data.
+ *     			Everything else about the transfer is in terms of the
+ *     			encoded representation that the server sends: resumed
+ *     			requests ask for the rest of it (so the server must
+ *     			encode the resource the same way every time, as it does
+ *     			when serving a pre-compressed object), digests (both
+ *     			those the server advertises and those passed in as
+ *     			"digests") are checked against it, and so are the
+ *     			byte counts in stats() other than "bytesDecoded".  If a
+ *     			later response uses a different content coding than
+ *     			the first, the stream emits a ResourceChangedError.
+ *     			"start", "end", and "verifier" may not be specified.
+ *
+ *     totalTimeout	If specified, the number of milliseconds (from when the
+ *     			stream starts fetching) within which the whole transfer
+ *     			must complete.  Otherwise, the stream emits an error.
+ *     			The stream also gives up right away if it would have
+ *     			to wait until after then to retry a failed request.
+ *
+ *     idleTimeout	If specified, the number of milliseconds after which a
+ *     			response from which no data has arrived is considered
+ *     			stalled.  A stalled response is torn down and the rest
+ *     			of the resource is requested again, subject to the
+ *     			retry policy.  This only counts time during which the
+ *     			stream is trying to read data, not time during which
+ *     			the consumer's backpressure has stopped it from reading,
+ *     			and it doesn't apply while waiting for the response
+ *     			headers (which is bounded by the client's own timeouts).
+ *
+ *     minThroughput	If specified, the minimum acceptable throughput (in
+ *     			bytes per second) of a response, measured over the time
+ *     			the stream spends trying to read data as above.  A
+ *     			response whose throughput falls below this over any
+ *     			period of "throughputWindow" milliseconds (default:
+ *     			10000) is considered stalled.
+ *
+ *     pauseTimeout	If specified, the number of milliseconds after which
+ *     			the stream releases the current response (closing its
+ *     			connection) if the consumer's backpressure has stopped
+ *     			it from reading for that long.  When the consumer reads
+ *     			again, the stream requests the rest of the resource, as
+ *     			it does after a premature close (i.e., conditional on
+ *     			the etag or last-modified time of the first response),
+ *     			but this doesn't count against the retry policy or
+ *     			"maxResumes".  This keeps streams whose consumers stop
+ *     			reading for a long time from holding connections that
+ *     			the server may time out anyway.
+ *
+ *     progressInterval	If specified, the minimum number of milliseconds between
+ *     			"progress" events (see stats()).  Defaults to 1000.
+ *
+ *     signal		If specified, an AbortSignal.  When it's aborted, the
+ *     			stream is destroyed with an "AbortError".
  */
 function ReliableHttpStream(args)
 {
-	mod_assert.equal('object', typeof (args['client']),
-	    '"client" arg must be a restify client');
-	mod_assert.equal('string', typeof (args['path']),
-	    '"path" arg must be a string');
 	mod_assert.equal('object', typeof (args['log']),
 	    '"log" arg must be a bunyan log');
 	mod_assert.equal('number', typeof (args['highWaterMark']),
 	    '"highWaterMark" arg must be a number');
+	mod_assert.ok(args['start'] === undefined ||
+	    (typeof (args['start']) == 'number' && args['start'] >= 0),
+	    '"start" arg must be a non-negative number');
+	mod_assert.ok(args['etag'] === undefined ||
+	    typeof (args['etag']) == 'string',
+	    '"etag" arg must be a string');
+	mod_assert.ok(args['lastModified'] === undefined ||
+	    typeof (args['lastModified']) == 'string',
+	    '"lastModified" arg must be a string');
+	mod_assert.ok(args['ifNoneMatch'] === undefined ||
+	    typeof (args['ifNoneMatch']) == 'string',
+	    '"ifNoneMatch" arg must be a string');
+	mod_assert.ok(args['algorithms'] === undefined ||
+	    Array.isArray(args['algorithms']),
+	    '"algorithms" arg must be an array');
+	mod_assert.ok(args['digests'] === undefined ||
+	    typeof (args['digests']) == 'object',
+	    '"digests" arg must be an object');
+	mod_assert.ok(args['verifier'] === undefined ||
+	    (typeof (args['verifier']) == 'object' &&
+	    args['end'] === undefined),
+	    '"verifier" arg must be an object, and requires no "end"');
+	mod_assert.ok(args['headers'] === undefined ||
+	    typeof (args['headers']) == 'object',
+	    '"headers" arg must be an object');
+	mod_assert.ok(args['beforeRequest'] === undefined ||
+	    typeof (args['beforeRequest']) == 'function',
+	    '"beforeRequest" arg must be a function');
+	mod_assert.ok(args['maxRedirects'] === undefined ||
+	    (typeof (args['maxRedirects']) == 'number' &&
+	    args['maxRedirects'] >= 0),
+	    '"maxRedirects" arg must be a non-negative number');
+	mod_assert.ok(args['refreshUrl'] === undefined ||
+	    typeof (args['refreshUrl']) == 'function',
+	    '"refreshUrl" arg must be a function');
+	mod_assert.ok(args['classifyError'] === undefined ||
+	    typeof (args['classifyError']) == 'function',
+	    '"classifyError" arg must be a function');
+	mod_assert.ok(args['maxResumes'] === undefined ||
+	    (typeof (args['maxResumes']) == 'number' &&
+	    args['maxResumes'] >= 0),
+	    '"maxResumes" arg must be a non-negative number');
+	mod_assert.ok(args['resumePolicy'] === undefined ||
+	    typeof (args['resumePolicy']) == 'object',
+	    '"resumePolicy" arg must be an object');
+	mod_assert.ok(args['unknownLength'] === undefined ||
+	    args['unknownLength'] == 'probe' ||
+	    args['unknownLength'] == 'head' ||
+	    args['unknownLength'] == 'error' ||
+	    args['unknownLength'] == 'accept',
+	    '"unknownLength" arg must be "probe", "head", "error", ' +
+	    'or "accept"');
+	mod_assert.ok(args['totalTimeout'] === undefined ||
+	    (typeof (args['totalTimeout']) == 'number' &&
+	    args['totalTimeout'] > 0),
+	    '"totalTimeout" arg must be a positive number');
+	mod_assert.ok(args['idleTimeout'] === undefined ||
+	    (typeof (args['idleTimeout']) == 'number' &&
+	    args['idleTimeout'] > 0),
+	    '"idleTimeout" arg must be a positive number');
+	mod_assert.ok(args['pauseTimeout'] === undefined ||
+	    (typeof (args['pauseTimeout']) == 'number' &&
+	    args['pauseTimeout'] > 0),
+	    '"pauseTimeout" arg must be a positive number');
+	mod_assert.ok(args['minThroughput'] === undefined ||
+	    typeof (args['minThroughput']) == 'number',
+	    '"minThroughput" arg must be a number');
+	mod_assert.ok(args['throughputWindow'] === undefined ||
+	    (typeof (args['throughputWindow']) == 'number' &&
+	    args['throughputWindow'] > 0),
+	    '"throughputWindow" arg must be a positive number');
+	mod_assert.ok(args['progressInterval'] === undefined ||
+	    (typeof (args['progressInterval']) == 'number' &&
+	    args['progressInterval'] >= 0),
+	    '"progressInterval" arg must be a non-negative number');
+	mod_assert.ok(args['end'] === undefined ||
+	    (typeof (args['end']) == 'number' &&
+	    args['end'] >= (args['start'] || 0)),
+	    '"end" arg must be a number no less than "start"');
+	mod_assert.ok(!args['follow'] || (args['end'] === undefined &&
+	    args['digests'] === undefined && args['verifier'] === undefined),
+	    '"follow" arg is incompatible with "end", "digests", and ' +
+	    '"verifier"');
+	mod_assert.ok(!args['decode'] || (args['start'] === undefined &&
+	    args['end'] === undefined && args['verifier'] === undefined),
+	    '"decode" arg is incompatible with "start", "end", and ' +
+	    '"verifier"');
+	mod_assert.ok(args['followInterval'] === undefined ||
+	    (typeof (args['followInterval']) == 'number' &&
+	    args['followInterval'] > 0),
+	    '"followInterval" arg must be a positive number');
+	mod_assert.ok(args['followMaxInterval'] === undefined ||
+	    (typeof (args['followMaxInterval']) == 'number' &&
+	    args['followMaxInterval'] > 0),
+	    '"followMaxInterval" arg must be a positive number');
+	mod_assert.ok(args['followTimeout'] === undefined ||
+	    (typeof (args['followTimeout']) == 'number' &&
+	    args['followTimeout'] > 0),
+	    '"followTimeout" arg must be a positive number');
+	mod_assert.ok(args['followOverlap'] === undefined ||
+	    (typeof (args['followOverlap']) == 'number' &&
+	    args['followOverlap'] >= 0),
+	    '"followOverlap" arg must be a non-negative number');
+	mod_abort.checkSignal(args['signal']);
 
 	this.rs_log = args['log'];
-	this.rs_path = args['path'];
-	this.rs_client = args['client'];
+	this.rs_sources = makeSources(args);
+	this.rs_sourceidx = 0;		/* current source */
+	this.rs_target = null;		/* current source's target */
+	this.rs_clientargs = null;	/* current source's "agent" and "tls" */
+	this.rs_checksource = false;	/* see checkSource() */
+	this.rs_nfailovers = 0;		/* sources given up on */
+
+	/* requested byte range (see above) */
+	this.rs_start = args['start'] || 0;
+	this.rs_end = args['end'] === undefined ? null : args['end'];
+	this.rs_ranged = this.rs_start > 0 || this.rs_end !== null;
+	this.rs_skipignored = args['skipIgnoredRange'] ? true : false;
 
 	/* runtime state */
 	this.rs_nbytesread = 0;		/* number of bytes consumed */
 	this.rs_nresumes = 0;		/* number of resume attempts */
-	this.rs_md5 = mod_crypto.createHash('md5');
+	this.rs_nretries = 0;		/* number of failed attempts retried */
+	this.rs_prefixed = args['verifier'] !== undefined;
+	this.rs_verifier = this.rs_prefixed ? args['verifier'] :
+	    new mod_digest.Verifier({
+		'algorithms': args['algorithms'] || [ 'md5' ],
+		'expected': args['digests'] || {}
+	    });
 	this.rs_request = null;
 	this.rs_response = null;
 	this.rs_source = null;
 	this.rs_aborted = null;
 	this.rs_request_pending = false;
 	this.rs_error = null;
+	this.rs_done = false;		/* read the whole resource */
 	this.rs_reading = false;	/* read in progress */
+	this.rs_skip = 0;		/* bytes of response to discard */
 	this.rs_retrypolicy = args['retryPolicy'] || {
 	    'retries': 3,
 	    'minTimeout': 1000,
 	    'maxTimeout': 10000
 	};
 	this.rs_retry = null;
+	this.rs_classify = args['classifyError'] || null;
+
+	/* request preparation (see issueRequest()) */
+	this.rs_headers = args['headers'] || null;
+	this.rs_hook = args['beforeRequest'] || null;
+	this.rs_nrequests = 0;		/* requests issued */
+	this.rs_reason = 'initial';	/* reason for next request */
+
+	/* redirects (see issueRequest()) */
+	this.rs_maxredirects = args['maxRedirects'] === undefined ? 5 :
+	    args['maxRedirects'];
+	this.rs_location = null;	/* target we were redirected to */
+	this.rs_location_ok = false;	/* it has served a response */
+	this.rs_nredirects = 0;		/* redirects followed */
+
+	/* refreshing the location (see refresh()) */
+	this.rs_refresh = args['refreshUrl'] || null;
+	this.rs_refreshed = false;	/* refreshed, but no response yet */
+	this.rs_nrefreshes = 0;		/* refreshes done */
+
+	/* limits on resuming (see responseEnd()) */
+	this.rs_maxresumes = args['maxResumes'] === undefined ? null :
+	    args['maxResumes'];
+	this.rs_resumepolicy = args['resumePolicy'] || {
+	    'retries': 10,
+	    'minTimeout': 100,
+	    'maxTimeout': 10000
+	};
+	this.rs_stuck = null;		/* backoff for resumes (see above) */
+	this.rs_nstuck = 0;		/* consecutive resumes w/o progress */
+	this.rs_totaltimeout = args['totalTimeout'] || null;
+	this.rs_deadline = null;	/* timer for "totalTimeout" */
+
+	/* stall detection (see stallWatchStart()) */
+	this.rs_idletimeout = args['idleTimeout'] || null;
+	this.rs_minthroughput = args['minThroughput'] || null;
+	this.rs_tputwindow = args['throughputWindow'] || 10000;
+	this.rs_stalltimer = null;	/* pending stall check */
+	this.rs_waitstart = null;	/* when we started waiting for data */
+	this.rs_waitms = 0;		/* time spent waiting in this window */
+	this.rs_waitbytes = 0;		/* bytes received in this window */
+
+	/* releasing paused responses (see pauseWatchStart()) */
+	this.rs_pausetimeout = args['pauseTimeout'] || null;
+	this.rs_pausetimer = null;	/* pending pause check */
+	this.rs_pausestart = null;	/* when the consumer stopped reading */
+	this.rs_nreleases = 0;		/* responses released */
+
+	/* progress reporting (see stats()) */
+	this.rs_progressinterval = args['progressInterval'] === undefined ?
+	    1000 : args['progressInterval'];
+	this.rs_attempts = [];		/* history of requests (see stats()) */
+	this.rs_attempt = null;		/* entry for current request */
+	this.rs_starttime = null;	/* when we started fetching */
+	this.rs_lastprogress = null;	/* when "progress" was last emitted */
+	this.rs_sampletime = null;	/* start of current rate sample */
+	this.rs_samplebytes = 0;	/* bytes read before current sample */
+	this.rs_rate = null;		/* rate over last complete sample */
+
+	/* resources of unknown length (see checkLength()) */
+	this.rs_unknownlen = args['unknownLength'] || 'probe';
+	this.rs_probing = false;	/* requesting past the end */
 
 	/* populated from first response headers */
-	this.rs_exp_md5 = null;
-	this.rs_exp_len = null;
-	this.rs_exp_etag = null;
+	this.rs_responded = false;	/* first response received */
+	this.rs_exp_len = null;		/* null if unknown */
+	this.rs_exp_etag = args['etag'] || null;
+	this.rs_exp_lastmod = args['lastModified'] || null;
+	this.rs_exp_total = null;	/* total size of the resource */
+
+	/* revalidating the caller's copy (see "ifNoneMatch") */
+	this.rs_ifnonematch = args['ifNoneMatch'] || null;
+
+	/* following a growing resource (see followWait()) */
+	this.rs_follow = args['follow'] ? true : false;
+	this.rs_followmin = args['followInterval'] || 1000;
+	this.rs_followmax = Math.max(this.rs_followmin,
+	    args['followMaxInterval'] || 30000);
+	this.rs_followtimeout = args['followTimeout'] || null;
+	this.rs_followoverlap = args['followOverlap'] !== undefined ?
+	    args['followOverlap'] : FOLLOW_OVERLAP;
+	this.rs_followdelay = this.rs_followmin; /* delay before next poll */
+	this.rs_followtimer = null;	/* pending poll */
+	this.rs_lastdata = null;	/* when data was last emitted */
+	this.rs_tail = null;		/* last bytes emitted (for overlap) */
+	this.rs_overlap = 0;		/* bytes re-requested by this request */
+	this.rs_overlapcheck = null;	/* bytes the overlap must match */
+
+	/* decoding the content coding (see "decode") */
+	this.rs_decode = args['decode'] ? true : false;
+	this.rs_encoding = null;	/* content coding of first response */
+	this.rs_decoder = null;		/* zlib stream, if any */
+	this.rs_decoding = false;	/* decoder is busy with a write */
+	this.rs_decodeend = false;	/* decoder has all of its input */
+	this.rs_ndecoded = 0;		/* decoded bytes emitted */
+
+	this.useSource(0);
 
 	mod_stream.Readable.call(this,
 	    { 'highWaterMark': args['highWaterMark'] });
+
+	if (args['signal'] !== undefined)
+		mod_abort.watchSignal(this, args['signal']);
 }
 
 mod_util.inherits(ReliableHttpStream, mod_stream.Readable);
 
+/*
+ * Returns the list of sources described by constructor arguments "args" (see
+ * "sources" above), each with its "name", "target" (see mod_client.fromArgs()),
+ * and "clientargs" (for fetching redirects).
+ */
+function makeSources(args)
+{
+	var sources;
+
+	if (args['sources'] !== undefined) {
+		mod_assert.ok(Array.isArray(args['sources']) &&
+		    args['sources'].length > 0,
+		    '"sources" arg must be a non-empty array');
+		mod_assert.ok(args['client'] === undefined &&
+		    args['url'] === undefined,
+		    '"sources" arg is mutually exclusive with "client" ' +
+		    'and "url"');
+		sources = args['sources'];
+	} else {
+		sources = [ args ];
+	}
+
+	return (sources.map(function (src) {
+		var target = mod_client.fromArgs(src);
+
+		mod_assert.ok(src['name'] === undefined ||
+		    typeof (src['name']) == 'string',
+		    'source "name" must be a string');
+		return ({
+		    'name': src['name'] || target['url'] || target['path'],
+		    'target': target,
+		    'clientargs': { 'agent': src['agent'], 'tls': src['tls'] }
+		});
+	}));
+}
+
+if (typeof (mod_stream.Readable.prototype.destroy) != 'function')
+	ReliableHttpStream.prototype.destroy = mod_abort.destroy;
+
 ReliableHttpStream.prototype._read = function ()
 {
 	var s = this;
@@ -110,6 +710,10 @@ ReliableHttpStream.prototype._read = function ()
 	}
 
 	this.rs_reading = true;
+	this.rs_pausestart = null;
+
+	if (this.rs_decoder !== null && this.decodeRead())
+		return;
 
 	if (this.rs_response !== null) {
 		this.pump();
@@ -120,14 +724,37 @@ ReliableHttpStream.prototype._read = function ()
 		/* There's already a request pending. */
 		return;
 
-	this.rs_retry = new mod_retry.operation(this.rs_retrypolicy);
+	if (this.rs_followtimer !== null)
+		/* We're waiting to poll for more (see followWait()). */
+		return;
+
+	if (this.rs_starttime === null) {
+		this.rs_starttime = Date.now();
+		this.rs_sampletime = this.rs_starttime;
+		this.rs_lastdata = this.rs_starttime;
+		if (this.rs_totaltimeout !== null) {
+			this.rs_deadline = setTimeout(function () {
+				var err = new mod_errors.RetriesExhaustedError({
+				    'limit': 'totalTimeout'
+				}, 'transfer did not complete within %d ms ' +
+				    '(%s)', s.rs_totaltimeout,
+				    s.bytesRecovered());
+				s.rs_deadline = null;
+				s.rs_reading = false;
+				s.internalError(err);
+			}, this.rs_totaltimeout);
+		}
+	}
+
+	this.rs_retry = new mod_backoff.Backoff(this.rs_retrypolicy,
+	    this.deadline());
 	this.rs_retry.attempt(function () { s.makeRequest(); });
 };
 
 ReliableHttpStream.prototype.makeRequest = function ()
 {
 	var s = this;
-	var rqoptions;
+	var rqoptions, validator, onEnd;
 
 	mod_assert.ok(this.rs_request_pending === false);
 
@@ -138,190 +765,1947 @@ ReliableHttpStream.prototype.makeRequest = function ()
 	}
 
 	rqoptions = {
-	    'path': this.rs_path,
-	    'retry': this.rs_retrypolicy
+	    'method': 'GET',
+	    'headers': {}
 	};
 
 	/*
-	 * We don't supply the "Range" header for the first request because the
-	 * server won't try to serve us the content-md5 value if Range is
-	 * specified.
+	 * Unless the caller asked for a specific range, we don't supply the
+	 * "Range" header for the first request because the server won't try to
+	 * serve us the content-md5 value if Range is specified.
 	 */
-	if (this.rs_nbytesread > 0) {
-		rqoptions['headers'] = {
-		    'range': 'bytes=' + this.rs_nbytesread + '-'
-		};
-	}
+	if (this.rs_ranged || this.rs_nbytesread > 0 || this.rs_probing)
+		rqoptions['headers']['range'] = this.rangeHeader();
+	validator = this.rs_follow ? null :
+	    this.addConditions(rqoptions['headers']);
+	if (this.rs_decode)
+		rqoptions['headers']['accept-encoding'] = ACCEPT_ENCODING;
+	if (this.rs_ifnonematch !== null && !this.rs_responded)
+		rqoptions['headers']['if-none-match'] = this.rs_ifnonematch;
 
-	this.rs_log.debug('read: initiating request', rqoptions);
 	this.rs_request_pending = true;
-	this.rs_client.get(rqoptions, function (err, req) {
+	this.attemptStart(rqoptions['headers']['range'] || null);
+	this.issueRequest(rqoptions, function (err, res) {
+		/* The client doesn't call back after abort(). */
+		s.rs_request_pending = false;
+		if (res)
+			s.attemptResponse(res);
+
 		if (err) {
-			/*
-			 * Retries are automatically handled by the restify
-			 * client according to the configured policy, so this
-			 * indicates an error that's fatal to the stream.
-			 */
-			s.rs_reading = false;
-			s.internalError(err);
+			s.requestFailed(err, res, validator);
 			return;
 		}
 
-		s.rs_log.debug('read: request start');
-		s.rs_request = req;
-		s.rs_request_pending = false;
+		if (res.statusCode == 304 && s.rs_ifnonematch !== null &&
+		    !s.rs_responded) {
+			res.resume();
+			s.notModified(res);
+			return;
+		}
+
+		s.rs_response = res;
+		if (!res.read) {
+			/* pre-0.10 stream */
+			s.rs_source = new mod_stream.Readable();
+			s.rs_source.wrap(res);
+		} else {
+			s.rs_source = res;
+		}
+
+		s.rs_log.debug({
+		    'statusCode': res.statusCode,
+		    'x-server-name': res.headers['x-server-name'],
+		    'x-request-id': res.headers['x-request-id']
+		}, 'response');
+
+		if (!s.rs_follow && s.rs_exp_etag !== null &&
+		    s.rs_exp_etag !== res.headers['etag']) {
+			s.rs_reading = false;
+			s.internalError(new mod_errors.ResourceChangedError({
+			    'property': 'etag',
+			    'expected': s.rs_exp_etag,
+			    'actual': res.headers['etag'] || null
+			}, 'object changed while fetching (etag mismatch)'));
+			return;
+		}
 
-		if (s.rs_aborted !== null) {
-			s.rs_log.debug('read: aborting request that was ' +
-			    'pending when abort() called');
-			s.stopAndCleanUp();
+		if (!s.rs_follow && s.rs_exp_etag === null &&
+		    s.rs_exp_lastmod !== null &&
+		    s.rs_exp_lastmod !== res.headers['last-modified']) {
+			s.rs_reading = false;
+			s.internalError(new mod_errors.ResourceChangedError({
+			    'property': 'last-modified',
+			    'expected': s.rs_exp_lastmod,
+			    'actual': res.headers['last-modified'] || null
+			}, 'object changed while fetching ' +
+			    '(last-modified mismatch)'));
 			return;
 		}
 
-		req.on('result', function (err2, res) {
-			if (err2 &&
-			    (err2.statusCode === undefined ||
-			    err2.statusCode >= 500) &&
-			    s.rs_retry.retry(err2)) {
-				s.rs_log.warn(err2, 'found error, will retry');
-				s.rs_request = null;
+		s.rs_skip = 0;
+		s.rs_overlapcheck = null;
+		if (s.rs_ranged || s.rs_nbytesread > 0 || s.rs_probing) {
+			if (s.rs_probing && !s.rs_follow &&
+			    res.statusCode == 200 && s.probeIgnored(res))
 				return;
-			}
 
-			if (err2) {
+			err = s.checkRange(res);
+			if (err !== null) {
 				s.rs_reading = false;
-				s.internalError(err2);
+				s.internalError(err);
 				return;
 			}
+		}
 
-			s.rs_response = res;
-			if (!res.read) {
-				/* pre-0.10 stream */
-				s.rs_source = new mod_stream.Readable();
-				s.rs_source.wrap(res);
-			} else {
-				s.rs_source = res;
-			}
-
-			s.rs_log.debug({
-			    'statusCode': res.statusCode,
-			    'x-server-name': res.headers['x-server-name'],
-			    'x-request-id': res.headers['x-request-id']
-			}, 'response');
+		/*
+		 * When following, discard the bytes we re-requested, but
+		 * check them against what we emitted (see "followOverlap").
+		 */
+		if (s.rs_overlap > 0 && res.statusCode == 206) {
+			s.rs_skip = s.rs_overlap;
+			s.rs_overlapcheck = s.rs_tail.slice(
+			    s.rs_tail.length - s.rs_overlap);
+		}
+		s.rs_overlap = 0;
 
-			if (s.rs_exp_etag !== null &&
-			    s.rs_exp_etag !== res.headers['etag']) {
+		if (s.rs_checksource) {
+			s.rs_checksource = false;
+			err = s.checkSource(res);
+			if (err !== null) {
 				s.rs_reading = false;
-				s.internalError(new VError(
-				    'object changed while fetching ' +
-				    '(etag mismatch)'));
+				s.internalError(err);
 				return;
 			}
+		}
 
-			if (s.rs_exp_len === null) {
-				s.rs_exp_md5 = res.headers['content-md5'] ||
-				    null;
-				s.rs_exp_len = parseInt(
-				    res.headers['content-length'], 10) || 0;
-				s.rs_exp_etag = res.headers['etag'] || null;
-				s.rs_log.debug({
-				    'content-length': s.rs_exp_len,
-				    'etag': s.rs_exp_etag,
-				    'md5': s.rs_exp_md5
-				}, 'response details');
+		if (s.rs_decode) {
+			err = s.checkEncoding(res);
+			if (err !== null) {
+				s.rs_reading = false;
+				s.internalError(err);
+				return;
 			}
+		}
 
-			s.rs_source.on('end', function () {
-				mod_assert.ok(s.rs_response === res);
-				s.responseEnd();
-			});
+		s.rs_probing = false;
+		if (s.rs_exp_len === null)
+			s.learnLength(res);
 
-			s.pump();
+		if (!s.rs_responded) {
+			s.rs_responded = true;
+			s.rs_exp_etag = res.headers['etag'] || null;
+			s.rs_exp_lastmod =
+			    res.headers['last-modified'] || null;
+			if (res.statusCode == 200 && s.rs_skip === 0)
+				s.rs_exp_total = s.rs_exp_len;
+
+			/*
+			 * If we're skipping the start of the resource,
+			 * the server's digests don't help.
+			 */
+			if (s.rs_skip === 0)
+				s.expectDigests(res);
+			s.rs_log.debug({
+			    'content-length': s.rs_exp_len,
+			    'content-range':
+			        res.headers['content-range'],
+			    'etag': s.rs_exp_etag,
+			    'last-modified': s.rs_exp_lastmod,
+			    'digests': s.rs_verifier.expected()
+			}, 'response details');
+		} else if (s.rs_follow) {
+			/* A growing resource's validators keep changing. */
+			s.rs_exp_etag = res.headers['etag'] || null;
+			s.rs_exp_lastmod =
+			    res.headers['last-modified'] || null;
+		}
+
+		onEnd = function () {
+			/*
+			 * We may have abandoned this response (see
+			 * stall()) or stopped altogether before it ended.
+			 */
+			if (s.rs_response !== res || s.rs_error !== null ||
+			    s.rs_aborted !== null)
+				return;
+			s.responseEnd();
+		};
+		s.rs_source.on('end', onEnd);
+
+		/*
+		 * Newer versions of Node destroy a response that's cut off
+		 * partway through (emitting "error" and "close") rather than
+		 * ending it, so treat that as the end of a truncated response.
+		 * Older versions emit "end" after "close" instead.
+		 */
+		res.on('error', function (err2) {
+			s.rs_log.debug(err2, 'response error');
 		});
+		res.on('close', function () {
+			if (res.complete === false && res.destroyed === true)
+				onEnd();
+		});
+
+		s.pump();
 	});
 };
 
-ReliableHttpStream.prototype.responseEnd = function ()
+/*
+ * Issue a request with the given "method" and "headers" ("options", to which
+ * this adds "path"; see lib/client.js) once it's been prepared with the
+ * "headers" and "beforeRequest" arguments, following any redirects, and invoke
+ * callback(err, res) as the client does.  If the hook fails or there are too
+ * many redirects, the stream emits an error instead.  The caller sets
+ * "rs_request_pending".
+ *
+ * GET requests go to the location we were last redirected to, if any.  HEAD
+ * requests always start from the original path, since a pre-signed URL is
+ * typically only good for GET.
+ */
+ReliableHttpStream.prototype.issueRequest = function (options, callback)
 {
-	this.rs_log.debug('read "end" after %d bytes', this.rs_nbytesread);
+	var s = this;
+	var target, nredirects, send, onResponse, fail;
 
-	if (this.rs_exp_len > this.rs_nbytesread) {
-		this.rs_log.debug('bytes read (%d) is less than expected (%d)' +
-		    ' (initiating retry)', this.rs_nbytesread, this.rs_exp_len);
-		this.rs_source.removeAllListeners('readable');
-		this.rs_request = null;
-		this.rs_response = null;
-		this.rs_source = null;
-		this.rs_reading = false;
-		this._read();
-		return;
-	}
+	target = options['method'] == 'GET' && this.rs_location !== null ?
+	    this.rs_location : this.rs_target;
+	nredirects = 0;
 
-	var calcmd5 = this.rs_md5.digest('base64');
-	if (this.rs_exp_md5 !== null) {
-		if (this.rs_exp_md5 != calcmd5) {
-			this.internalError(new VError('md5 mismatch: ' +
-			    'expected %j, got %j', this.rs_exp_md5, calcmd5));
+	send = function () {
+		var rqoptions, attempt;
+
+		rqoptions = {
+		    'method': options['method'],
+		    'path': target['path'],
+		    'headers': {}
+		};
+		Object.keys(options['headers']).forEach(function (h) {
+			rqoptions['headers'][h] = options['headers'][h];
+		});
+		attempt = {
+		    'number': ++s.rs_nrequests,
+		    'reason': s.rs_reason,
+		    'bytesRead': s.rs_nbytesread
+		};
+
+		mod_client.prepareRequest(target, s.rs_headers, s.rs_hook,
+		    rqoptions, attempt, function (err) {
+			/* We may have stopped while the hook was running. */
+			if (s.rs_aborted !== null || s.rs_error !== null)
+				return;
+
+			if (err) {
+				fail(new VError(err,
+				    'beforeRequest hook failed'));
+				return;
+			}
+
+			s.rs_log.debug('read: initiating request', rqoptions);
+			s.rs_request = target['client'].startRequest(rqoptions,
+			    onResponse);
+		    });
+	};
+
+	onResponse = function (err, res) {
+		var location, next;
+
+		if (err || !mod_client.isRedirect(res)) {
+			if (!err && target === s.rs_location)
+				s.rs_location_ok = true;
+			if (!err)
+				s.rs_refreshed = false;
+			callback(err, res);
 			return;
 		}
 
-		this.rs_log.debug('md5 matched');
-	}
+		res.resume();
+		s.rs_request = null;
+		location = res.headers['location'];
+		if (++nredirects > s.rs_maxredirects) {
+			fail(new VError('too many redirects (%d) ' +
+			    '(last to "%s")', nredirects, location));
+			return;
+		}
 
-	this.push(null);
+		next = mod_client.resolveRedirect(target, location,
+		    s.rs_clientargs);
+		if (next === null) {
+			fail(new VError('unsupported redirect location: "%s"',
+			    location));
+			return;
+		}
+
+		err = mod_client.checkRedirect(target, next, location);
+		if (err !== null) {
+			fail(err);
+			return;
+		}
+
+		s.rs_log.debug('status %d: redirected to "%s"',
+		    res.statusCode, location);
+		s.rs_nredirects++;
+		s.rs_reason = 'redirect';
+		target = next;
+		if (options['method'] == 'GET') {
+			s.rs_location = next;
+			s.rs_location_ok = false;
+		}
+		send();
+	};
+
+	fail = function (err) {
+		s.rs_request_pending = false;
+		s.rs_reading = false;
+		s.internalError(err);
+	};
+
+	send();
 };
 
-ReliableHttpStream.prototype.pump = function ()
+/*
+ * Handle the failure of the current request with error "err" and response "res"
+ * (which may be null).  "validator" is the validator used to make the request
+ * conditional (see addConditions()).
+ */
+ReliableHttpStream.prototype.requestFailed = function (err, res, validator)
 {
 	var s = this;
-	var source = this.rs_source;
-	var buf;
+	var disposition, limiterr;
+
+	this.rs_request = null;
+	if (err.statusCode == 416 && this.rs_probing &&
+	    (this.rs_follow || this.probeDone(res))) {
+		/*
+		 * When following, this just means there's nothing new yet,
+		 * unless the resource has gotten shorter.
+		 */
+		limiterr = this.rs_follow ? this.followSize(
+		    this.unsatisfiedLength(res)) : null;
+		if (limiterr !== null) {
+			this.attemptEnd('failed', limiterr);
+			this.rs_reading = false;
+			this.internalError(limiterr);
+			return;
+		}
+
+		this.rs_probing = false;
+		this.rs_overlap = 0;
+		this.attemptEnd('complete', null);
+		this.finish();
+		return;
+	}
+
+	this.attemptEnd('failed', err);
+	disposition = mod_backoff.classify(err, res, this.rs_classify);
 
 	/*
-	 * The Node docs suggest that if push() returns true, we could keep
-	 * reading, but the push() itself calls _read() back, so we don't
-	 * bother.
+	 * If the location we were redirected to worked before but doesn't now,
+	 * go back to the original path, even for errors that would otherwise be
+	 * fatal (except for those that mean the resource has changed).
 	 */
-	buf = source.read();
-	if (buf === null) {
-		this.rs_log.trace('read null; waiting for more data');
-		source.once('readable', function () {
-			s.rs_log.trace('source readable');
-			s.pump();
-		});
+	if (this.rs_location !== null && this.rs_location_ok) {
+		this.rs_log.warn(err, 'redirected location failed, ' +
+		    'falling back to original path');
+		this.rs_location = null;
+		if (disposition == 'fatal' && err.statusCode != 412 &&
+		    err.statusCode != 416)
+			disposition = 'resume';
+	}
+
+	if (disposition == 'fatal' && this.rs_refresh !== null &&
+	    !this.rs_refreshed &&
+	    (err.statusCode == 401 || err.statusCode == 403)) {
+		this.refresh(err);
 		return;
 	}
 
-	this.rs_log.trace('read %d bytes from source', buf.length);
-	this.rs_nbytesread += buf.length;
-	this.rs_md5.update(buf);
+	if (disposition == 'resume') {
+		limiterr = this.checkResumes(err);
+		if (limiterr === null) {
+			this.rs_log.warn(err,
+			    'found error, will resume immediately');
+			this.rs_nresumes++;
+			this.rs_reason = 'resume';
+			setImmediate(function () { s.makeRequest(); });
+			return;
+		}
+
+		this.rs_log.warn(err, 'found error, but cannot resume');
+		err = limiterr;
+	}
+
+	if (disposition == 'retry' && this.rs_retry.retry(err, res)) {
+		this.rs_log.warn(err, 'found error, will retry');
+		this.rs_nretries++;
+		this.rs_reason = 'retry';
+		return;
+	}
+
+	if (disposition == 'retry' && this.rs_retry.overdue())
+		err = this.overdueError(err);
+	else if (disposition == 'retry' && this.failover(err))
+		return;
+	else if (disposition == 'retry')
+		err = new mod_errors.RetriesExhaustedError({
+		    'cause': err,
+		    'limit': 'retryPolicy'
+		}, 'giving up after %d retries (%s)', this.rs_nretries,
+		    this.bytesRecovered());
+	else if (err.statusCode == 412)
+		err = new mod_errors.ResourceChangedError({
+		    'cause': err,
+		    'property': validator
+		}, 'object changed while fetching (%s mismatch)', validator);
+	else if (err.statusCode == 416)
+		err = new mod_errors.RangeNotSatisfiableError({
+		    'cause': err,
+		    'range': this.rangeHeader(),
+		    'size': this.unsatisfiedLength(res)
+		}, 'requested range not satisfiable (%s)', this.rangeHeader());
+
 	this.rs_reading = false;
-	this.push(buf);
+	this.internalError(err);
 };
 
-ReliableHttpStream.prototype.internalError = function (err)
+/*
+ * Direct subsequent requests to source "i" (see "sources").
+ */
+ReliableHttpStream.prototype.useSource = function (i)
 {
-	this.rs_error = err;
-	this.rs_log.error(err);
-	this.emit('error', this.rs_error);
-	this.stopAndCleanUp();
+	this.rs_sourceidx = i;
+	this.rs_target = this.rs_sources[i].target;
+	this.rs_clientargs = this.rs_sources[i].clientargs;
+	this.rs_location = null;
+	this.rs_location_ok = false;
+	this.rs_refreshed = false;
+	this.rs_checksource = this.rs_responded;
 };
 
-ReliableHttpStream.prototype.stopAndCleanUp = function ()
+/*
+ * After the current source has failed with error "err" and its retry policy is
+ * exhausted, carry on with the next source, if there is one.  Returns false if
+ * there isn't.
+ */
+ReliableHttpStream.prototype.failover = function (err)
 {
-	mod_assert.ok(this.rs_error || this.rs_aborted);
-	if (this.rs_request)
-		this.rs_request.abort();
-	if (this.rs_response)
-		this.rs_response.destroy();
+	var s = this;
+	var from, health;
+
+	if (this.rs_sourceidx + 1 >= this.rs_sources.length)
+		return (false);
+
+	from = this.rs_sources[this.rs_sourceidx].name;
+	health = this.sourceStats()[this.rs_sourceidx];
+	this.useSource(this.rs_sourceidx + 1);
+	this.rs_log.warn({
+	    'err': err,
+	    'source': health
+	}, 'source "%s" failed, failing over to "%s" after %d bytes', from,
+	    this.rs_sources[this.rs_sourceidx].name, this.rs_nbytesread);
+	this.rs_nfailovers++;
+	this.rs_reason = 'failover';
+	this.rs_retry = new mod_backoff.Backoff(this.rs_retrypolicy,
+	    this.deadline());
+	setImmediate(function () {
+		s.rs_retry.attempt(function () { s.makeRequest(); });
+	});
+	return (true);
 };
 
-ReliableHttpStream.prototype.abort = function ()
+/*
+ * Check the first response "res" from a source we've failed over to against
+ * what earlier sources told us about the resource.  The etag (or last-modified
+ * time) and length are checked for every response, so this checks that any
+ * digests the source advertises for the whole resource match those we expect.
+ * Returns an error describing a mismatch, or null.
+ */
+ReliableHttpStream.prototype.checkSource = function (res)
 {
-	if (this.rs_aborted !== null)
-	        return;
+	var s = this;
+	var err = null;
 
-	this.rs_aborted = new Date();
-	this.rs_log.info('aborted');
-	this.stopAndCleanUp();
+	mod_digest.parseDigestHeaders(res.headers, true).forEach(function (d) {
+		var e;
+
+		/* "Content-MD5" covers only the response body. */
+		if (err !== null ||
+		    (d.source == 'content-md5' && res.statusCode != 200))
+			return;
+
+		e = s.rs_verifier.conflict(d.algorithm, d.value);
+		if (e !== null)
+			err = new mod_errors.ResourceChangedError({
+			    'property': d.algorithm,
+			    'expected': e.value,
+			    'actual': d.value
+			}, 'source "%s" does not match: ' +
+			    '%s from %s is %j, but expected %j (from %s)',
+			    s.rs_sources[s.rs_sourceidx].name, d.algorithm,
+			    d.source, d.value, e.value, e.source);
+	});
+
+	return (err);
+};
+
+/*
+ * Ask the caller for a new location for the resource (see "refreshUrl") after
+ * a request failed with authorization error "err", and then carry on from
+ * where we left off.
+ */
+ReliableHttpStream.prototype.refresh = function (err)
+{
+	var s = this;
+
+	this.rs_log.warn(err, 'request was not authorized, refreshing URL');
+	this.rs_refresh(err, function (err2, update) {
+		var location, next;
+
+		if (s.rs_aborted !== null || s.rs_error !== null)
+			return;
+
+		if (!err2) {
+			mod_assert.ok(typeof (update) == 'object' &&
+			    update !== null,
+			    'refreshUrl must supply an object');
+			location = update['url'] || update['path'];
+			mod_assert.ok(location === undefined ||
+			    typeof (location) == 'string',
+			    'refreshUrl "url" or "path" must be a string');
+			mod_assert.ok(update['headers'] === undefined ||
+			    typeof (update['headers']) == 'object',
+			    'refreshUrl "headers" must be an object');
+			next = location === undefined ? s.rs_target :
+			    mod_client.resolveRedirect(s.rs_target, location,
+			    s.rs_clientargs);
+			if (next === null)
+				err2 = new VError('unsupported location: "%s"',
+				    location);
+			else
+				/* The caller chose it, so it's not foreign. */
+				next['foreign'] = false;
+		}
+
+		if (err2) {
+			s.rs_reading = false;
+			s.internalError(new VError(err2, 'refreshUrl failed'));
+			return;
+		}
+
+		s.rs_log.debug('refreshed location: "%s"',
+		    next['url'] || next['path']);
+		s.rs_target = next;
+		s.rs_location = null;
+		if (update['headers'] !== undefined)
+			s.rs_headers = update['headers'];
+		s.rs_refreshed = true;
+		s.rs_nrefreshes++;
+		s.rs_reason = 'resume';
+		setImmediate(function () { s.makeRequest(); });
+	});
+};
+
+/*
+ * If we don't know how many bytes to expect yet, try to work it out from the
+ * headers of response "res", which picks up after the "rs_nbytesread" bytes
+ * we've already read (once "rs_skip" bytes have been discarded).
+ */
+ReliableHttpStream.prototype.learnLength = function (res)
+{
+	var len, match;
+
+	len = parseInt(res.headers['content-length'], 10);
+	if (isNaN(len) && res.statusCode == 206) {
+		match = CONTENT_RANGE_RE.exec(
+		    res.headers['content-range'] || '');
+		if (match !== null)
+			len = parseInt(match[2], 10) -
+			    parseInt(match[1], 10) + 1;
+	}
+
+	if (isNaN(len)) {
+		this.rs_log.debug('response has unknown length');
+		return;
+	}
+
+	this.rs_exp_len = this.rs_nbytesread + len - this.rs_skip;
+};
+
+/*
+ * Add headers to "headers" that make the request conditional on the resource
+ * not having changed since we started fetching it.  We use the etag if we have
+ * a strong one, since weak etags can't be used in "If-Match" or "If-Range".
+ * Otherwise we fall back to the last-modified time.  Returns the name of the
+ * validator used, or null if we don't know either one yet.
+ */
+ReliableHttpStream.prototype.addConditions = function (headers)
+{
+	var value, validator;
+
+	if (this.rs_exp_etag !== null && !/^W\//.test(this.rs_exp_etag)) {
+		value = this.rs_exp_etag;
+		validator = 'etag';
+		headers['if-match'] = value;
+	} else if (this.rs_exp_lastmod !== null) {
+		value = this.rs_exp_lastmod;
+		validator = 'last-modified';
+		headers['if-unmodified-since'] = value;
+	} else {
+		return (null);
+	}
+
+	/*
+	 * "If-Range" is redundant with the above for servers that support
+	 * both, but it causes servers that don't support "If-Match" to send a
+	 * full response rather than a range of a different version of the
+	 * resource.  Either way, we'll notice the change.
+	 */
+	if (headers['range'])
+		headers['if-range'] = value;
+
+	return (validator);
+};
+
+/*
+ * Returns the value of the "Range" header for the next request, which covers
+ * whatever part of the requested span we haven't read yet.
+ */
+ReliableHttpStream.prototype.rangeHeader = function ()
+{
+	return ('bytes=' + (this.rs_start + this.rs_nbytesread -
+	    this.rs_overlap) + '-' +
+	    (this.rs_end === null ? '' : this.rs_end));
+};
+
+/*
+ * For a response to a request with a "Range" header (which includes every
+ * request for an explicit byte range and every request that resumes a previous
+ * one), validate that response "res" is a "206 Partial Content" covering
+ * exactly the rest of the requested span of a resource whose size hasn't
+ * changed.  If the server ignored the range and sent the whole resource
+ * instead, and the caller asked us to put up with that, arrange to discard the
+ * bytes preceding the requested range.  This also records the total size of
+ * the resource if we didn't know it already.  Returns an error describing the
+ * problem, or null if the response is okay.
+ */
+ReliableHttpStream.prototype.checkRange = function (res)
+{
+	var range, match, low, high, total, err;
+
+	if (res.statusCode == 200 && this.rs_skipignored &&
+	    this.rs_end === null) {
+		total = parseInt(res.headers['content-length'], 10);
+		if (isNaN(total))
+			return (new VError('server ignored %s and sent no ' +
+			    'content-length', this.rangeHeader()));
+		if (this.rs_follow) {
+			err = this.followSize(total);
+			if (err !== null)
+				return (err);
+		} else if (this.rs_exp_total !== null &&
+		    total != this.rs_exp_total) {
+			return (new mod_errors.ResourceChangedError({
+			    'property': 'size',
+			    'expected': this.rs_exp_total,
+			    'actual': total
+			}, 'object changed while fetching (size changed from ' +
+			    '%d to %d bytes)', this.rs_exp_total, total));
+		}
+
+		this.rs_exp_total = total;
+		this.rs_skip = this.rs_start + this.rs_nbytesread;
+		this.rs_log.warn('server ignored %s (will skip the first ' +
+		    '%d bytes of the response)', this.rangeHeader(),
+		    this.rs_skip);
+		return (null);
+	}
+
+	range = res.headers['content-range'];
+	if (res.statusCode != 206)
+		return (new VError('server ignored %s (expected ' +
+		    'status 206, got %d)', this.rangeHeader(),
+		    res.statusCode));
+
+	match = CONTENT_RANGE_RE.exec(range || '');
+	if (match === null)
+		return (new VError('missing or invalid content-range ' +
+		    'header for %s: %j', this.rangeHeader(), range));
+
+	low = parseInt(match[1], 10);
+	high = parseInt(match[2], 10);
+	total = match[3] == '*' ? null : parseInt(match[3], 10);
+
+	/*
+	 * An "end" past the end of the resource is satisfiable: the server
+	 * sends up to its last byte (see RFC 9110), and from then on we ask
+	 * for exactly that.
+	 */
+	if (this.rs_end !== null && total !== null && this.rs_end >= total) {
+		this.rs_log.debug('"end" (%d) is past the end of the ' +
+		    'resource (%d bytes)', this.rs_end, total);
+		this.rs_end = total - 1;
+	}
+
+	if (low != this.rs_start + this.rs_nbytesread - this.rs_overlap ||
+	    (this.rs_end !== null && high != this.rs_end))
+		return (new VError('range mismatch: requested %s, but ' +
+		    'server returned %j', this.rangeHeader(), range));
+
+	if (total !== null) {
+		if (this.rs_follow)
+			return (this.followSize(total));
+		if (this.rs_exp_total === null)
+			this.rs_exp_total = total;
+		else if (total != this.rs_exp_total)
+			return (new mod_errors.ResourceChangedError({
+			    'property': 'size',
+			    'expected': this.rs_exp_total,
+			    'actual': total
+			}, 'object changed while fetching (size changed from ' +
+			    '%d to %d bytes)', this.rs_exp_total, total));
+	}
+
+	return (null);
+};
+
+ReliableHttpStream.prototype.responseEnd = function ()
+{
+	var progressed, truncated;
+
+	this.rs_log.debug('read "end" after %d bytes', this.rs_nbytesread);
+	this.stallWatchStop();
+
+	/*
+	 * Node tells us if the connection was dropped partway through a
+	 * response whose length it knew, including one with chunked encoding.
+	 */
+	truncated = this.rs_response.complete === false;
+	if (truncated || (this.rs_exp_len !== null &&
+	    this.rs_exp_len > this.rs_nbytesread)) {
+		this.rs_log.debug('bytes read (%d) is less than expected (%s)' +
+		    ' (initiating retry)', this.rs_nbytesread,
+		    this.rs_exp_len === null ? 'unknown' : this.rs_exp_len);
+		progressed = this.rs_attempt.nbytes > 0;
+		this.attemptEnd('closed', null);
+		this.rs_source.removeAllListeners('readable');
+		this.rs_request = null;
+		this.rs_response = null;
+		this.rs_source = null;
+		this.resumeAfterClose(progressed);
+		return;
+	}
+
+	this.attemptEnd('complete', null);
+	if (this.rs_exp_len === null &&
+	    !/chunked/i.test(this.rs_response.headers['transfer-encoding'])) {
+		this.rs_source.removeAllListeners('readable');
+		this.rs_request = null;
+		this.rs_response = null;
+		this.rs_source = null;
+		this.checkLength();
+		return;
+	}
+
+	this.finish();
+};
+
+/*
+ * Invoked when we've read the whole resource.
+ */
+ReliableHttpStream.prototype.finish = function ()
+{
+	var err;
+
+	if (this.rs_follow && (this.rs_followtimeout === null ||
+	    Date.now() - this.rs_lastdata < this.rs_followtimeout)) {
+		this.followWait();
+		return;
+	}
+
+	if (this.rs_exp_len === null)
+		this.rs_exp_len = this.rs_nbytesread;
+
+	if (this.rs_deadline !== null) {
+		clearTimeout(this.rs_deadline);
+		this.rs_deadline = null;
+	}
+
+	err = this.rs_verifier.verify();
+	if (err !== null) {
+		this.internalError(err);
+		return;
+	}
+
+	this.rs_log.debug({ 'digests': this.rs_verifier.digests() },
+	    'digests matched');
+	if (this.rs_decoder !== null) {
+		this.decodeEnd();
+		return;
+	}
+
+	this.reportProgress(true);
+	this.rs_done = true;
+	this.push(null);
+};
+
+/*
+ * When following a growing resource, invoked instead of finishing when we've
+ * read everything there is so far.  Wait a while and then ask for more.
+ */
+ReliableHttpStream.prototype.followWait = function ()
+{
+	var s = this;
+	var delay;
+
+	if (this.rs_source !== null) {
+		this.rs_source.removeAllListeners('readable');
+		this.rs_request = null;
+		this.rs_response = null;
+		this.rs_source = null;
+	}
+
+	this.rs_exp_len = null;
+	delay = this.rs_followdelay;
+	this.rs_followdelay = Math.min(delay * 2, this.rs_followmax);
+	this.rs_log.debug('read %d bytes so far (polling again in %d ms)',
+	    this.rs_nbytesread, delay);
+	this.rs_followtimer = setTimeout(function () {
+		s.rs_followtimer = null;
+		s.rs_probing = true;
+		s.rs_reason = 'follow';
+		s.rs_overlap = s.rs_tail === null ? 0 : s.rs_tail.length;
+		s.rs_reading = false;
+		s._read();
+	}, delay);
+};
+
+/*
+ * When following a growing resource, a response shows that the resource's size
+ * is "total" (which may be null if it doesn't say).  Returns an error if the
+ * resource has gotten shorter, and null otherwise.
+ */
+ReliableHttpStream.prototype.followSize = function (total)
+{
+	var min;
+
+	min = Math.max(this.rs_exp_total || 0,
+	    this.rs_start + this.rs_nbytesread);
+	if (total !== null && total < min)
+		return (new mod_errors.ResourceChangedError({
+		    'property': 'size',
+		    'expected': min,
+		    'actual': total
+		}, 'object changed while following (size went from %d to ' +
+		    '%d bytes)', min, total));
+
+	if (total !== null)
+		this.rs_exp_total = total;
+	return (null);
+};
+
+/*
+ * The server says that the caller's copy of the resource is current (see
+ * "ifNoneMatch"), so end the stream without emitting any data.
+ */
+ReliableHttpStream.prototype.notModified = function (res)
+{
+	this.rs_log.debug({ 'etag': res.headers['etag'] },
+	    'response: not modified');
+	this.attemptEnd('complete', null);
+	if (this.rs_deadline !== null) {
+		clearTimeout(this.rs_deadline);
+		this.rs_deadline = null;
+	}
+
+	this.rs_done = true;
+	this.rs_reading = false;
+	this.emit('notModified', res.headers);
+	this.push(null);
+};
+
+/*
+ * Invoked when a response of unknown length ended, apparently successfully, but
+ * without anything to tell us whether that was really the end of the resource.
+ * See "unknownLength" above.
+ */
+ReliableHttpStream.prototype.checkLength = function ()
+{
+	this.rs_log.debug('response of unknown length ended after %d bytes ' +
+	    '(policy: %s)', this.rs_nbytesread, this.rs_unknownlen);
+	this.rs_reason = 'resume';
+
+	switch (this.rs_unknownlen) {
+	case 'accept':
+		this.finish();
+		break;
+
+	case 'probe':
+		this.rs_probing = true;
+		this.rs_reading = false;
+		this._read();
+		break;
+
+	case 'head':
+		this.headLength();
+		break;
+
+	default:
+		mod_assert.equal(this.rs_unknownlen, 'error');
+		this.rs_reading = false;
+		this.internalError(new VError('response ended without a ' +
+		    'known length, so it may have been truncated (%s)',
+		    this.bytesRecovered()));
+		break;
+	}
+};
+
+/*
+ * Given the response "res" to a request for the data just past what we've read
+ * (see checkLength()) that failed with "416 Range Not Satisfiable", returns
+ * true if the response shows that we've read the whole resource.  Without a
+ * "Content-Range", all it says is that there's nothing past what we've read.
+ */
+ReliableHttpStream.prototype.probeDone = function (res)
+{
+	var len = this.unsatisfiedLength(res);
+
+	return (len === null || len == this.rs_start + this.rs_nbytesread);
+};
+
+/*
+ * Given the "200 OK" response "res" to a request for the data just past what
+ * we've read (see checkLength()) from a server that ignored the "Range" header,
+ * returns true (having abandoned the response and finished the stream) if the
+ * response shows that we've read the whole resource.  That's the case if its
+ * "Content-Length" matches what we've read, or if it has none: a server that
+ * supports neither Range requests nor lengths can't tell us any more.
+ * Otherwise, the response is left to checkRange().
+ */
+ReliableHttpStream.prototype.probeIgnored = function (res)
+{
+	var len = parseInt(res.headers['content-length'], 10);
+
+	if (!isNaN(len) && len != this.rs_start + this.rs_nbytesread)
+		return (false);
+
+	if (isNaN(len))
+		this.rs_log.warn('server ignored %s and sent no ' +
+		    'content-length (assuming %d bytes is the whole resource)',
+		    this.rangeHeader(), this.rs_nbytesread);
+	else
+		this.rs_log.debug('server ignored %s, but content-length ' +
+		    'shows we have read the whole resource',
+		    this.rangeHeader());
+
+	res.destroy();
+	this.rs_request = null;
+	this.rs_response = null;
+	this.rs_source = null;
+	this.rs_probing = false;
+	this.attemptEnd('complete', null);
+	this.finish();
+	return (true);
+};
+
+/*
+ * Returns the size of the resource according to "416 Range Not Satisfiable"
+ * response "res" (which may be null), or null if it doesn't say.
+ */
+ReliableHttpStream.prototype.unsatisfiedLength = function (res)
+{
+	var match;
+
+	if (!res)
+		return (null);
+
+	match = /^bytes\s+\*\/(\d+)$/.exec(res.headers['content-range'] || '');
+	return (match === null ? null : parseInt(match[1], 10));
+};
+
+/*
+ * Issue a HEAD request to find out how long the resource is (see
+ * checkLength()), and then either finish or fetch the rest of it.
+ */
+ReliableHttpStream.prototype.headLength = function ()
+{
+	var s = this;
+	var headers = {};
+
+	this.addConditions(headers);
+	this.rs_request_pending = true;
+	this.issueRequest({
+	    'method': 'HEAD',
+	    'headers': headers
+	}, function (err, res) {
+		var len;
+
+		s.rs_request_pending = false;
+		s.rs_request = null;
+		if (err) {
+			s.rs_reading = false;
+			s.internalError(new VError(err, 'HEAD request to ' +
+			    'determine length failed (%s)',
+			    s.bytesRecovered()));
+			return;
+		}
+
+		res.resume();
+		len = parseInt(res.headers['content-length'], 10);
+		if (isNaN(len)) {
+			s.rs_reading = false;
+			s.internalError(new VError('response ended without ' +
+			    'a known length, and HEAD response has none ' +
+			    'either (%s)', s.bytesRecovered()));
+			return;
+		}
+
+		s.rs_exp_len = len - s.rs_start;
+		s.rs_log.debug('HEAD response: content-length %d', len);
+		if (s.rs_exp_len == s.rs_nbytesread) {
+			s.finish();
+		} else if (s.rs_exp_len > s.rs_nbytesread) {
+			s.rs_nresumes++;
+			s.rs_reading = false;
+			s._read();
+		} else {
+			s.rs_reading = false;
+			s.internalError(new mod_errors.ResourceChangedError({
+			    'property': 'size',
+			    'actual': len
+			}, 'object changed while fetching (HEAD response ' +
+			    'has content-length %d, but %d bytes were read)',
+			    len, s.rs_start + s.rs_nbytesread));
+		}
+	});
+};
+
+/*
+ * Request the rest of the resource after the current response closed
+ * prematurely.  "progressed" indicates whether that response delivered any
+ * data.  If it did, we resume right away.  Otherwise, we back off according to
+ * the resume policy.
+ */
+ReliableHttpStream.prototype.resumeAfterClose = function (progressed)
+{
+	var s = this;
+	var err;
+
+	err = this.checkResumes();
+	this.rs_reason = 'resume';
+	if (err === null && progressed) {
+		this.rs_nresumes++;
+		this.rs_reading = false;
+		this._read();
+		return;
+	}
+
+	if (err === null) {
+		this.rs_nstuck++;
+		if (this.rs_stuck === null) {
+			this.rs_stuck = new mod_backoff.Backoff(
+			    this.rs_resumepolicy);
+			this.rs_stuck.defer(function () {
+				s.rs_reading = false;
+				s._read();
+			});
+		}
+
+		/*
+		 * As in stall(), we leave "rs_reading" set while we wait, so
+		 * that the consumer doesn't kick off a request in the meantime.
+		 */
+		if (this.rs_stuck.retry(null, null)) {
+			this.rs_log.debug('response made no progress ' +
+			    '(will resume after a delay)');
+			this.rs_nresumes++;
+			return;
+		}
+
+		err = new mod_errors.RetriesExhaustedError({
+		    'limit': 'resumePolicy'
+		}, 'giving up after %d consecutive responses without ' +
+		    'progress (%s)', this.rs_nstuck, this.bytesRecovered());
+	}
+
+	this.rs_reading = false;
+	this.internalError(err);
+};
+
+/*
+ * Returns an error (caused by "cause", if given) if we've already resumed as
+ * many times as we're allowed to, or null otherwise.
+ */
+ReliableHttpStream.prototype.checkResumes = function (cause)
+{
+	if (this.rs_maxresumes === null ||
+	    this.rs_nresumes < this.rs_maxresumes)
+		return (null);
+
+	return (new mod_errors.RetriesExhaustedError({
+	    'cause': cause,
+	    'limit': 'maxResumes'
+	}, 'giving up after %d resumes (%s)', this.rs_nresumes,
+	    this.bytesRecovered()));
+};
+
+/*
+ * Returns the time (in milliseconds since the epoch) by which the transfer must
+ * complete according to "totalTimeout", or null if there's no such limit.
+ */
+ReliableHttpStream.prototype.deadline = function ()
+{
+	if (this.rs_totaltimeout === null)
+		return (null);
+	return (this.rs_starttime + this.rs_totaltimeout);
+};
+
+/*
+ * Returns the error for giving up on "cause" because retrying it would take us
+ * past the "totalTimeout" deadline.
+ */
+ReliableHttpStream.prototype.overdueError = function (cause)
+{
+	return (new mod_errors.RetriesExhaustedError({
+	    'cause': cause,
+	    'limit': 'totalTimeout'
+	}, 'transfer would not complete within %d ms (%s)',
+	    this.rs_totaltimeout, this.bytesRecovered()));
+};
+
+/*
+ * Returns a description of how much of the resource we've read, for use in
+ * error messages.
+ */
+ReliableHttpStream.prototype.bytesRecovered = function ()
+{
+	if (this.rs_exp_len === null)
+		return (mod_util.format('%d bytes read', this.rs_nbytesread));
+	return (mod_util.format('%d of %d bytes read', this.rs_nbytesread,
+	    this.rs_exp_len));
+};
+
+/*
+ * Record the digests advertised in the headers of the first response "res".
+ */
+ReliableHttpStream.prototype.expectDigests = function (res)
+{
+	var s = this;
+	var whole = !this.rs_ranged || this.rs_prefixed;
+
+	/* These describe a version of the resource we won't end up with. */
+	if (this.rs_follow)
+		return;
+
+	mod_digest.parseDigestHeaders(res.headers, whole).forEach(
+	    function (d) {
+		/*
+		 * If the verifier covers the whole resource (see the
+		 * "verifier" argument), a "Content-MD5" for just the
+		 * range we requested doesn't describe it.
+		 */
+		if (s.rs_prefixed && s.rs_ranged && d.source == 'content-md5')
+			return;
+		s.rs_verifier.expect(d.algorithm, d.value, d.source);
+	    });
+};
+
+/*
+ * After "end", returns an object mapping each digest algorithm computed (see
+ * the "algorithms" and "digests" constructor arguments) to the base64-encoded
+ * digest of the data emitted by the stream.  Returns null before then.
+ */
+ReliableHttpStream.prototype.digests = function ()
+{
+	return (this.rs_verifier.digests());
+};
+
+/*
+ * Returns an object describing the resource as learned from the responses so
+ * far, with properties "etag", "lastModified", and "size" (the total size of
+ * the resource), each of which is null if not known.
+ */
+ReliableHttpStream.prototype.resourceInfo = function ()
+{
+	return ({
+	    'etag': this.rs_exp_etag,
+	    'lastModified': this.rs_exp_lastmod,
+	    'size': this.rs_exp_total
+	});
+};
+
+/*
+ * Returns an object describing the progress of the stream so far, with
+ * properties:
+ *
+ *     bytesRead	number of bytes emitted by the stream (or, when
+ *     			decoding, read from the encoded representation; see
+ *     			"decode")
+ *
+ *     bytesDecoded	number of bytes emitted by the stream (the same as
+ *     			"bytesRead" unless decoding)
+ *
+ *     bytesExpected	total number of bytes the stream is expected to emit,
+ *     			or null if that's not known yet
+ *
+ *     elapsed		milliseconds since the stream started fetching
+ *
+ *     rate		throughput (in bytes per second) over the last second
+ *     			or so, or null if nothing has been fetched yet
+ *
+ *     averageRate	throughput (in bytes per second) since the stream
+ *     			started fetching, or null as above
+ *
+ *     eta		estimated milliseconds until the stream has emitted
+ *     			everything, based on "rate", or null if unknown
+ *
+ *     resumes		number of requests made to pick up where a previous
+ *     			response left off after it closed prematurely or
+ *     			stalled
+ *
+ *     retries		number of failed attempts that were retried
+ *
+ *     redirects	number of redirects followed
+ *
+ *     releases		number of responses released because the consumer
+ *     			stopped reading (see "pauseTimeout")
+ *
+ *     refreshes	number of times the location was refreshed (see
+ *     			"refreshUrl")
+ *
+ *     failovers	number of times the stream gave up on a source and
+ *     			moved on to the next one (see "sources")
+ *
+ *     source		name of the source currently in use
+ *
+ *     sources		list of the sources, each with "name", "requests" (the
+ *     			number of requests made to it), "failures" (the number
+ *     			of those that failed or stalled), "bytesRead" (the
+ *     			number of bytes emitted from its responses), and
+ *     			"lastError" (as for "attempts" below)
+ *
+ *     attempts		list of the HTTP requests made, each with "range" (the
+ *     			"Range" header sent, if any), "started" and "ended"
+ *     			(Dates), "status", "serverName" and "requestId" (from
+ *     			the "x-server-name" and "x-request-id" response
+ *     			headers), "source" (the name of the source the request
+ *     			was made to), "bytesRead" (the number of bytes emitted
+ *     			from the response), "reason" (why the attempt ended:
+ *     			"complete", "closed", "stalled", "released",
+ *     			"failed", "aborted", or null if it hasn't), and
+ *     			"error" (the message or
+ *     			name of the error that ended it, if any)
+ *
+ * While data is flowing, the stream emits "progress" events with this object at
+ * most once every "progressInterval" milliseconds, plus once more just before
+ * "end".
+ */
+ReliableHttpStream.prototype.stats = function ()
+{
+	var elapsed, avgrate, rate, eta;
+
+	elapsed = this.rs_starttime === null ? 0 :
+	    Date.now() - this.rs_starttime;
+	avgrate = elapsed === 0 ? null :
+	    Math.floor(this.rs_nbytesread * 1000 / elapsed);
+	rate = this.rs_rate !== null ? this.rs_rate : avgrate;
+
+	eta = null;
+	if (this.rs_exp_len !== null) {
+		if (this.rs_nbytesread >= this.rs_exp_len)
+			eta = 0;
+		else if (rate)
+			eta = Math.ceil((this.rs_exp_len -
+			    this.rs_nbytesread) * 1000 / rate);
+	}
+
+	return ({
+	    'bytesRead': this.rs_nbytesread,
+	    'bytesExpected': this.rs_exp_len,
+	    'bytesDecoded': this.rs_ndecoded,
+	    'elapsed': elapsed,
+	    'rate': rate,
+	    'averageRate': avgrate,
+	    'eta': eta,
+	    'resumes': this.rs_nresumes,
+	    'retries': this.rs_nretries,
+	    'redirects': this.rs_nredirects,
+	    'releases': this.rs_nreleases,
+	    'refreshes': this.rs_nrefreshes,
+	    'failovers': this.rs_nfailovers,
+	    'source': this.rs_sources[this.rs_sourceidx].name,
+	    'sources': this.sourceStats(),
+	    'attempts': this.attemptStats()
+	});
+};
+
+/*
+ * Returns the "attempts" part of stats().
+ */
+ReliableHttpStream.prototype.attemptStats = function ()
+{
+	var s = this;
+
+	return (this.rs_attempts.map(function (a) {
+		return ({
+		    'range': a.range,
+		    'started': a.started,
+		    'ended': a.ended,
+		    'status': a.status,
+		    'serverName': a.serverName,
+		    'requestId': a.requestId,
+		    'source': s.rs_sources[a.source].name,
+		    'bytesRead': a.nbytes,
+		    'reason': a.reason,
+		    'error': a.error
+		});
+	}));
+};
+
+/*
+ * Returns the "sources" part of stats(), summarizing the attempts made to each
+ * source.
+ */
+ReliableHttpStream.prototype.sourceStats = function ()
+{
+	var rv;
+
+	rv = this.rs_sources.map(function (src) {
+		return ({
+		    'name': src.name,
+		    'requests': 0,
+		    'failures': 0,
+		    'bytesRead': 0,
+		    'lastError': null
+		});
+	});
+
+	this.rs_attempts.forEach(function (a) {
+		var st = rv[a.source];
+
+		st.requests++;
+		st.bytesRead += a.nbytes;
+		if (a.reason == 'failed' || a.reason == 'stalled') {
+			st.failures++;
+			st.lastError = a.error;
+		}
+	});
+
+	return (rv);
+};
+
+/*
+ * Update the throughput sample and emit a "progress" event if it's been long
+ * enough since the last one (or if "force" is true).
+ */
+ReliableHttpStream.prototype.reportProgress = function (force)
+{
+	var now = Date.now();
+
+	if (now - this.rs_sampletime >= 1000) {
+		this.rs_rate = Math.floor((this.rs_nbytesread -
+		    this.rs_samplebytes) * 1000 / (now - this.rs_sampletime));
+		this.rs_sampletime = now;
+		this.rs_samplebytes = this.rs_nbytesread;
+	}
+
+	if (!force && this.rs_lastprogress !== null &&
+	    now - this.rs_lastprogress < this.rs_progressinterval)
+		return;
+
+	this.rs_lastprogress = now;
+	if (this.listeners('progress').length > 0)
+		this.emit('progress', this.stats());
+};
+
+/*
+ * Record the start of a new HTTP request for the given "Range" header (which
+ * may be null).  See stats().
+ */
+ReliableHttpStream.prototype.attemptStart = function (range)
+{
+	this.rs_attempt = {
+	    'range': range,
+	    'started': new Date(),
+	    'ended': null,
+	    'status': null,
+	    'serverName': null,
+	    'requestId': null,
+	    'source': this.rs_sourceidx,
+	    'nbytes': 0,
+	    'reason': null,
+	    'error': null
+	};
+	this.rs_attempts.push(this.rs_attempt);
+};
+
+ReliableHttpStream.prototype.attemptResponse = function (res)
+{
+	if (this.rs_attempt === null)
+		return;
+
+	this.rs_attempt.status = res.statusCode;
+	this.rs_attempt.serverName = res.headers['x-server-name'] || null;
+	this.rs_attempt.requestId = res.headers['x-request-id'] || null;
+};
+
+/*
+ * Record that the current HTTP request has finished for the given reason, and
+ * with the given error (which may be null).  See stats().
+ */
+ReliableHttpStream.prototype.attemptEnd = function (reason, err)
+{
+	if (this.rs_attempt === null)
+		return;
+
+	this.rs_attempt.ended = new Date();
+	this.rs_attempt.reason = reason;
+	this.rs_attempt.error = err ? (err.message || err.name) : null;
+	this.rs_attempt = null;
+};
+
+ReliableHttpStream.prototype.pump = function ()
+{
+	var s = this;
+	var source = this.rs_source;
+	var buf;
+
+	/* Emit decoded data before reading more of the encoded data. */
+	if (this.rs_decoder !== null && this.decodeRead())
+		return;
+
+	/*
+	 * The Node docs suggest that if push() returns true, we could keep
+	 * reading, but the push() itself calls _read() back, so we don't
+	 * bother.
+	 */
+	buf = source.read();
+	while (buf !== null && this.rs_skip > 0) {
+		/* Discard data preceding the range we asked for. */
+		if (this.rs_overlapcheck !== null &&
+		    !this.checkOverlap(buf.slice(0, this.rs_skip)))
+			return;
+		if (buf.length > this.rs_skip) {
+			this.stallWatchData(this.rs_skip);
+			buf = buf.slice(this.rs_skip);
+			this.rs_skip = 0;
+		} else {
+			this.stallWatchData(buf.length);
+			this.rs_skip -= buf.length;
+			buf = source.read();
+		}
+	}
+
+	if (buf === null) {
+		this.rs_log.trace('read null; waiting for more data');
+		this.stallWatchStart();
+		source.once('readable', function () {
+			s.rs_log.trace('source readable');
+			s.pump();
+		});
+		return;
+	}
+
+	this.stallWatchData(buf.length);
+	this.rs_log.trace('read %d bytes from source', buf.length);
+	this.rs_nbytesread += buf.length;
+	this.rs_attempt.nbytes += buf.length;
+	if (this.rs_stuck !== null) {
+		/* We've made progress, so reset the resume backoff. */
+		this.rs_stuck = null;
+		this.rs_nstuck = 0;
+	}
+	this.rs_verifier.update(buf);
+	if (this.rs_follow)
+		this.followData(buf);
+	this.reportProgress(false);
+	if (this.rs_decoder !== null) {
+		this.decode(buf);
+		return;
+	}
+
+	this.rs_ndecoded += buf.length;
+	this.rs_reading = false;
+	this.push(buf);
+	if (!this.rs_reading)
+		this.pauseWatchStart();
+};
+
+/*
+ * When following a growing resource, note that "buf" is about to be emitted.
+ */
+ReliableHttpStream.prototype.followData = function (buf)
+{
+	this.rs_lastdata = Date.now();
+	this.rs_followdelay = this.rs_followmin;
+	if (this.rs_followoverlap > 0) {
+		this.rs_tail = this.rs_tail === null ? buf :
+		    Buffer.concat([ this.rs_tail, buf ]);
+		if (this.rs_tail.length > this.rs_followoverlap)
+			this.rs_tail = this.rs_tail.slice(
+			    this.rs_tail.length - this.rs_followoverlap);
+	}
+};
+
+/*
+ * Check that "buf", the next of the bytes that a poll re-requested (see
+ * "followOverlap"), matches what we emitted.  If not, emit an error and return
+ * false.
+ */
+ReliableHttpStream.prototype.checkOverlap = function (buf)
+{
+	var expected;
+
+	expected = this.rs_overlapcheck.slice(0, buf.length);
+	this.rs_overlapcheck = this.rs_overlapcheck.slice(buf.length);
+	if (this.rs_overlapcheck.length === 0)
+		this.rs_overlapcheck = null;
+	if (buf.toString('binary') == expected.toString('binary'))
+		return (true);
+
+	this.rs_reading = false;
+	this.internalError(new mod_errors.ResourceChangedError({
+	    'property': 'content'
+	}, 'object changed while following (data already read was ' +
+	    'replaced)'));
+	return (false);
+};
+
+/*
+ * When decoding, check the content coding of response "res": the first
+ * response determines the decoder, and later ones (which pick up the encoded
+ * representation where we left off) must use the same coding.  Returns an
+ * error if not, and null otherwise.
+ */
+ReliableHttpStream.prototype.checkEncoding = function (res)
+{
+	var s = this;
+	var encoding;
+
+	encoding = (res.headers['content-encoding'] || 'identity').trim().
+	    toLowerCase();
+	if (this.rs_encoding !== null) {
+		if (encoding == this.rs_encoding)
+			return (null);
+		return (new mod_errors.ResourceChangedError({
+		    'property': 'content-encoding',
+		    'expected': this.rs_encoding,
+		    'actual': encoding
+		}, 'object changed while fetching (content-encoding changed ' +
+		    'from "%s" to "%s")', this.rs_encoding, encoding));
+	}
+
+	if (!DECODERS.hasOwnProperty(encoding))
+		return (new VError('unsupported content-encoding "%s"',
+		    encoding));
+
+	this.rs_encoding = encoding;
+	if (DECODERS[encoding] === null)
+		return (null);
+
+	this.rs_log.debug('decoding content-encoding "%s"', encoding);
+	this.rs_decoder = DECODERS[encoding]();
+	this.rs_decoder.on('error', function (err) {
+		if (s.rs_error !== null || s.rs_aborted !== null)
+			return;
+		s.rs_reading = false;
+		s.internalError(new VError(err, 'failed to decode response ' +
+		    '(content-encoding "%s")', encoding));
+	});
+	this.rs_decoder.on('readable', function () {
+		if (s.rs_reading && s.rs_error === null &&
+		    s.rs_aborted === null)
+			s.decodeRead();
+	});
+	this.rs_decoder.on('end', function () {
+		if (s.rs_error !== null || s.rs_aborted !== null)
+			return;
+		s.rs_decoder = null;
+		s.reportProgress(true);
+		s.rs_done = true;
+		s.push(null);
+	});
+	return (null);
+};
+
+/*
+ * When decoding, "buf" is the next chunk of the encoded representation.  The
+ * decoder's output is emitted by decodeRead() as the consumer asks for it.
+ * While the decoder works on "buf", we wait for its output as we would for
+ * data from the response, so the stall timer stays armed.  Once it's done, we
+ * read more of the response if the consumer is still waiting and the response
+ * is still current.
+ */
+ReliableHttpStream.prototype.decode = function (buf)
+{
+	var s = this;
+
+	this.rs_decoding = true;
+	this.stallWatchStart();
+	this.rs_decoder.write(buf, function () {
+		/*
+		 * This may be called from within the decoder's read(), so
+		 * defer pumping until that has returned.
+		 */
+		setImmediate(function () {
+			s.rs_decoding = false;
+			if (s.rs_reading && s.rs_source !== null &&
+			    !s.rs_decodeend && s.rs_error === null &&
+			    s.rs_aborted === null)
+				s.pump();
+		});
+	});
+};
+
+/*
+ * When decoding, emit the decoded data that's ready, if any.  Returns false if
+ * there's none and we need more of the encoded representation, and true
+ * otherwise, including when the decoder is still busy with data from the
+ * current response (in which case its "readable" event or decode()'s write
+ * callback picks up from here).
+ */
+ReliableHttpStream.prototype.decodeRead = function ()
+{
+	var out;
+
+	out = this.rs_decoder.read();
+	if (out === null) {
+		if (this.rs_decodeend)
+			return (true);
+		if (!this.rs_decoding || this.rs_source === null)
+			return (false);
+		this.stallWatchStart();
+		return (true);
+	}
+
+	this.stallWatchData(0);
+	this.rs_ndecoded += out.length;
+	this.rs_reading = false;
+	this.push(out);
+	if (!this.rs_reading)
+		this.pauseWatchStart();
+	return (true);
+};
+
+/*
+ * When decoding, invoked once we've read (and verified) the whole encoded
+ * representation.  The decoder's "end" event ends the stream once the consumer
+ * has read the rest of the decoded data.
+ */
+ReliableHttpStream.prototype.decodeEnd = function ()
+{
+	this.rs_decodeend = true;
+	this.rs_decoder.end();
+	if (this.rs_reading)
+		this.decodeRead();
+};
+
+/*
+ * Stall detection: while we're waiting for data from the current response
+ * (i.e., a read is in progress and the response has no data buffered), a timer
+ * checks whether we've been waiting longer than the idle timeout, and whether
+ * the throughput of the response has fallen below the minimum.  Throughput is
+ * measured over the time we spend waiting, so that time the consumer spends
+ * not reading doesn't count against the server.
+ */
+ReliableHttpStream.prototype.stallWatchStart = function ()
+{
+	if ((this.rs_idletimeout === null && this.rs_minthroughput === null) ||
+	    this.rs_waitstart !== null)
+		return;
+
+	this.rs_waitstart = Date.now();
+	this.stallWatchArm();
+};
+
+ReliableHttpStream.prototype.stallWatchArm = function ()
+{
+	var s = this;
+	var delay = Infinity;
+
+	if (this.rs_idletimeout !== null)
+		delay = this.rs_idletimeout;
+	if (this.rs_minthroughput !== null)
+		delay = Math.min(delay, this.rs_tputwindow - this.rs_waitms);
+
+	this.rs_stalltimer = setTimeout(function () {
+		s.rs_stalltimer = null;
+		s.stallCheck();
+	}, Math.max(delay, 0));
+};
+
+/*
+ * Invoked when the stall timer fires, which means we're still waiting for data.
+ */
+ReliableHttpStream.prototype.stallCheck = function ()
+{
+	var now, elapsed;
+
+	now = Date.now();
+	elapsed = now - this.rs_waitstart;
+	if (this.rs_idletimeout !== null && elapsed >= this.rs_idletimeout) {
+		this.stall(new mod_errors.StallError({
+		    'idleTimeout': this.rs_idletimeout
+		}, 'response stalled (no data for %d ms)', elapsed));
+		return;
+	}
+
+	this.rs_waitms += elapsed;
+	this.rs_waitstart = now;
+	if (this.checkThroughput())
+		this.stallWatchArm();
+};
+
+/*
+ * Invoked when "nbytes" bytes of data have arrived from the current response.
+ */
+ReliableHttpStream.prototype.stallWatchData = function (nbytes)
+{
+	if (this.rs_waitstart !== null) {
+		clearTimeout(this.rs_stalltimer);
+		this.rs_stalltimer = null;
+		this.rs_waitms += Date.now() - this.rs_waitstart;
+		this.rs_waitstart = null;
+	}
+
+	this.rs_waitbytes += nbytes;
+};
+
+/*
+ * If we've spent a whole window waiting for data, check whether the throughput
+ * was acceptable and start a new window.  Returns false (having torn down the
+ * response) if it wasn't.
+ */
+ReliableHttpStream.prototype.checkThroughput = function ()
+{
+	var rate;
+
+	if (this.rs_minthroughput === null ||
+	    this.rs_waitms < this.rs_tputwindow)
+		return (true);
+
+	rate = Math.floor(this.rs_waitbytes * 1000 / this.rs_waitms);
+	if (rate < this.rs_minthroughput) {
+		this.stall(new mod_errors.StallError({
+		    'minThroughput': this.rs_minthroughput,
+		    'throughput': rate
+		}, 'response stalled (throughput %d bytes/s is below ' +
+		    'minimum %d bytes/s)', rate, this.rs_minthroughput));
+		return (false);
+	}
+
+	this.rs_waitms = 0;
+	this.rs_waitbytes = 0;
+	return (true);
+};
+
+ReliableHttpStream.prototype.stallWatchStop = function ()
+{
+	if (this.rs_stalltimer !== null) {
+		clearTimeout(this.rs_stalltimer);
+		this.rs_stalltimer = null;
+	}
+
+	this.rs_waitstart = null;
+	this.rs_waitms = 0;
+	this.rs_waitbytes = 0;
+};
+
+/*
+ * Tear down the current response, which has stalled as described by "err", and
+ * request the rest of the resource again, subject to the retry policy.
+ */
+ReliableHttpStream.prototype.stall = function (err)
+{
+	var limiterr;
+
+	this.rs_log.warn(err, 'abandoning stalled response after %d bytes',
+	    this.rs_nbytesread);
+	this.stallWatchStop();
+	this.attemptEnd('stalled', err);
+	this.rs_source.removeAllListeners('readable');
+	this.rs_request.abort();
+	this.rs_response.destroy();
+	this.rs_request = null;
+	this.rs_response = null;
+	this.rs_source = null;
+
+	/*
+	 * A read is still in progress, so we leave "rs_reading" set, and the
+	 * retry will resume pumping data once the new response arrives.
+	 */
+	limiterr = this.checkResumes(err);
+	if (limiterr === null && !this.rs_retry.retry(err, null)) {
+		if (this.rs_retry.overdue()) {
+			limiterr = this.overdueError(err);
+		} else if (this.failover(err)) {
+			this.rs_nresumes++;
+			return;
+		} else {
+			limiterr = err;
+		}
+	}
+
+	if (limiterr !== null) {
+		this.rs_reading = false;
+		this.internalError(limiterr);
+		return;
+	}
+
+	this.rs_nresumes++;
+	this.rs_nretries++;
+	this.rs_reason = 'retry';
+};
+
+/*
+ * Releasing paused responses: when the consumer's backpressure stops us from
+ * reading the current response (i.e., push() returned without calling _read()
+ * back), a timer checks whether the consumer has read again within the pause
+ * timeout.  If it hasn't, we release the response, and _read() requests the
+ * rest of the resource when the consumer does read again.  Rather than clearing
+ * the timer on every read, _read() just clears "rs_pausestart", and the timer
+ * rearms itself if the consumer has since paused again.
+ */
+ReliableHttpStream.prototype.pauseWatchStart = function ()
+{
+	if (this.rs_pausetimeout === null || this.rs_response === null)
+		return;
+
+	this.rs_pausestart = Date.now();
+	if (this.rs_pausetimer === null)
+		this.pauseWatchArm(this.rs_pausetimeout);
+};
+
+ReliableHttpStream.prototype.pauseWatchArm = function (delay)
+{
+	var s = this;
+
+	this.rs_pausetimer = setTimeout(function () {
+		var elapsed;
+
+		s.rs_pausetimer = null;
+		if (s.rs_pausestart === null)
+			return;
+
+		elapsed = Date.now() - s.rs_pausestart;
+		if (elapsed < s.rs_pausetimeout)
+			s.pauseWatchArm(s.rs_pausetimeout - elapsed);
+		else
+			s.release(elapsed);
+	}, delay);
+};
+
+/*
+ * Tear down the current response, which the consumer hasn't read from for
+ * "elapsed" milliseconds.  The next _read() resumes where it left off.
+ */
+ReliableHttpStream.prototype.release = function (elapsed)
+{
+	this.rs_pausestart = null;
+	if (this.rs_response === null || this.rs_reading || this.rs_done ||
+	    this.rs_error !== null || this.rs_aborted !== null)
+		return;
+
+	/* If we've emitted everything, the response is about to end anyway. */
+	if (this.rs_exp_len !== null && this.rs_nbytesread >= this.rs_exp_len)
+		return;
+
+	this.rs_log.debug('releasing response after %d bytes (consumer ' +
+	    'paused for %d ms)', this.rs_nbytesread, elapsed);
+	this.stallWatchStop();
+	this.attemptEnd('released', null);
+	this.rs_source.removeAllListeners('readable');
+	this.rs_request.abort();
+	this.rs_response.destroy();
+	this.rs_request = null;
+	this.rs_response = null;
+	this.rs_source = null;
+	this.rs_nreleases++;
+	this.rs_reason = 'resume';
+};
+
+ReliableHttpStream.prototype.internalError = function (err)
+{
+	this.rs_error = err;
+	this.rs_log.error(err);
+	this.attemptEnd('failed', err);
+	if (mod_errors.isTypedError(err))
+		this.addErrorInfo(err);
+	this.stopAndCleanUp();
+	this.destroy(err);
+};
+
+/*
+ * Record on "err" (one of the errors in lib/errors.js) how far the transfer got
+ * and the requests made along the way, unless it already says (because it came
+ * from another stream).
+ */
+ReliableHttpStream.prototype.addErrorInfo = function (err)
+{
+	var attempts;
+
+	if (err.attempts !== undefined)
+		return;
+
+	attempts = this.attemptStats();
+	err.bytesRead = this.rs_nbytesread;
+	err.bytesExpected = this.rs_exp_len;
+	err.resumes = this.rs_nresumes;
+	err.retries = this.rs_nretries;
+	err.statusCodes = attempts.slice(-ERROR_NSTATUSES).map(function (a) {
+		return (a.status);
+	});
+	err.attempts = attempts;
+};
+
+ReliableHttpStream.prototype.stopAndCleanUp = function ()
+{
+	mod_assert.ok(this.rs_error || this.rs_aborted);
+	this.stallWatchStop();
+	if (this.rs_pausetimer !== null) {
+		clearTimeout(this.rs_pausetimer);
+		this.rs_pausetimer = null;
+	}
+	if (this.rs_retry !== null)
+		this.rs_retry.cancel();
+	if (this.rs_stuck !== null)
+		this.rs_stuck.cancel();
+	if (this.rs_deadline !== null) {
+		clearTimeout(this.rs_deadline);
+		this.rs_deadline = null;
+	}
+	if (this.rs_followtimer !== null) {
+		clearTimeout(this.rs_followtimer);
+		this.rs_followtimer = null;
+	}
+	if (this.rs_decoder !== null)
+		this.rs_decoder.close();
+	if (this.rs_request)
+		this.rs_request.abort();
+	if (this.rs_response)
+		this.rs_response.destroy();
+};
+
+/*
+ * Invoked by destroy() (see the Node API docs) with the error, if any, that
+ * the stream was destroyed with.  Unless the stream has already stopped (after
+ * "end" or an error of its own), stop fetching.
+ */
+ReliableHttpStream.prototype._destroy = function (err, callback)
+{
+	if (this.rs_aborted === null && this.rs_error === null &&
+	    !this.rs_done) {
+		this.rs_aborted = new Date();
+		this.rs_log.info(err || {}, 'aborted');
+		this.attemptEnd('aborted', err);
+		this.stopAndCleanUp();
+	}
+
+	callback(err);
+};
+
+/*
+ * Equivalent to destroy() with no error, for compatibility.
+ */
+ReliableHttpStream.prototype.abort = function ()
+{
+	this.destroy();
 };
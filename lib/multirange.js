@@ -0,0 +1,757 @@
+/*
+ * multirange.js: Readable stream of several byte ranges of an HTTP resource,
+ * fetched with a single multi-range request.
+ */
+
+var mod_assert = require('assert');
+var mod_util = require('util');
+var mod_stream = require('stream');
+
+/*
+ * For 0.8, require the special readable-stream module for Readable.
+ */
+if (!mod_stream.Transform)
+	mod_stream = require('readable-stream');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var mod_abort = require('./abort');
+var mod_backoff = require('./backoff');
+var mod_client = require('./client');
+var mod_errors = require('./errors');
+var ReliableHttpStream = require('./httpstream');
+
+/* Public interface */
+module.exports = MultiRangeStream;
+
+/*
+ * Matches the "Content-Type" of a multi-part response, capturing the boundary.
+ */
+var MULTIPART_RE =
+    /^multipart\/byteranges\s*;.*\bboundary=(?:"([^"]+)"|([^\s;]+))/i;
+
+/*
+ * Matches the value of a "Content-Range" header for a satisfied byte range.
+ */
+var CONTENT_RANGE_RE = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/;
+
+/*
+ * A MultiRangeStream is an object-mode readable stream of several (typically
+ * small and disjoint) byte ranges of a given HTTP resource, which are fetched
+ * with a single request carrying "Range: bytes=a-b,c-d,...".  Each object
+ * emitted by the stream describes one of the requested ranges, with properties
+ * "start" and "end" (as requested) and "data" (a Buffer).  Ranges are emitted
+ * in the order in which the server sends them, which is usually (but not
+ * necessarily) the order requested.
+ *
+ * The server may send the ranges as a "multipart/byteranges" response, or as a
+ * single part covering all of them.  If the response closes prematurely, only
+ * the ranges that haven't yet been emitted are requested again, and if the
+ * server responds with only some of the ranges (as some servers do for
+ * multi-range requests), the rest are requested again.  If the server ignores
+ * the "Range" header altogether (responding with "200 OK" and the whole
+ * resource), the stream falls back to fetching each range with its own
+ * ReliableHttpStream, one at a time.
+ *
+ * Requests after the first are conditional on the etag of the first response
+ * (or on "etag", if specified) or, if that's weak or missing, on its
+ * last-modified time, and the stream emits a ResourceChangedError (see
+ * lib/errors.js) if the resource changes.  Failures are retried as for
+ * ReliableHttpStream (see mod_backoff.classify()).
+ *
+ * Arguments include "client", "path", "url", "agent", "tls", "log",
+ * "retryPolicy", "classifyError", "headers", "beforeRequest", "maxRedirects",
+ * "etag", and "signal", which are the same as for ReliableHttpStream, plus:
+ *
+ *     ranges		list of byte ranges to fetch, each an object with
+ *     			"start" and "end" (inclusive, as with the HTTP "Range"
+ *     			header)
+ *
+ *     highWaterMark	If specified, the number of ranges to buffer.  See Node
+ *     			API docs.
+ *
+ * As with ReliableHttpStream, destroy() (or abort()) stops fetching, and the
+ * stream emits "close" once it's stopped.
+ */
+function MultiRangeStream(args)
+{
+	mod_assert.equal('object', typeof (args['log']),
+	    '"log" arg must be a bunyan log');
+	mod_assert.ok(Array.isArray(args['ranges']) &&
+	    args['ranges'].length > 0,
+	    '"ranges" arg must be a non-empty array');
+	args['ranges'].forEach(function (r) {
+		mod_assert.ok(typeof (r['start']) == 'number' &&
+		    typeof (r['end']) == 'number' && r['start'] >= 0 &&
+		    r['end'] >= r['start'],
+		    '"ranges" must have valid "start" and "end"');
+	});
+	mod_assert.ok(args['highWaterMark'] === undefined ||
+	    typeof (args['highWaterMark']) == 'number',
+	    '"highWaterMark" arg must be a number');
+	mod_assert.ok(args['etag'] === undefined ||
+	    typeof (args['etag']) == 'string', '"etag" arg must be a string');
+	mod_assert.ok(args['classifyError'] === undefined ||
+	    typeof (args['classifyError']) == 'function',
+	    '"classifyError" arg must be a function');
+	mod_assert.ok(args['maxRedirects'] === undefined ||
+	    (typeof (args['maxRedirects']) == 'number' &&
+	    args['maxRedirects'] >= 0),
+	    '"maxRedirects" arg must be a non-negative number');
+	mod_assert.ok(args['headers'] === undefined ||
+	    typeof (args['headers']) == 'object',
+	    '"headers" arg must be an object');
+	mod_assert.ok(args['beforeRequest'] === undefined ||
+	    typeof (args['beforeRequest']) == 'function',
+	    '"beforeRequest" arg must be a function');
+	mod_abort.checkSignal(args['signal']);
+
+	this.mr_log = args['log'];
+	this.mr_target = mod_client.fromArgs(args);
+	this.mr_retrypolicy = args['retryPolicy'] || {
+	    'retries': 3,
+	    'minTimeout': 1000,
+	    'maxTimeout': 10000
+	};
+	this.mr_classify = args['classifyError'];
+	this.mr_headers = args['headers'] || null;
+	this.mr_hook = args['beforeRequest'] || null;
+	this.mr_maxredirects = args['maxRedirects'] === undefined ? 5 :
+	    args['maxRedirects'];
+	this.mr_clientargs = { 'agent': args['agent'], 'tls': args['tls'] };
+	this.mr_etag = args['etag'] || null;
+	this.mr_lastmod = null;		/* last-modified of first response */
+
+	/* ranges not yet emitted */
+	this.mr_pending = args['ranges'].map(function (r) {
+		return ({ 'start': r['start'], 'end': r['end'] });
+	});
+
+	/* runtime state */
+	this.mr_started = false;	/* first request issued */
+	this.mr_retry = null;		/* retries of requests */
+	this.mr_request = null;		/* outstanding request */
+	this.mr_response = null;	/* current response */
+	this.mr_parser = null;		/* parser for current response */
+	this.mr_nrequests = 0;		/* requests issued */
+	this.mr_nretries = 0;		/* failed requests retried */
+	this.mr_reason = 'initial';	/* reason for next request */
+	this.mr_nemitted = 0;		/* ranges emitted from this response */
+	this.mr_nbytesread = 0;		/* bytes emitted */
+	this.mr_sequential = false;	/* fetching one range at a time */
+	this.mr_stream = null;		/* ReliableHttpStream for one range */
+	this.mr_aborted = null;
+	this.mr_error = null;
+	this.mr_done = false;		/* emitted all ranges */
+	this.mr_reading = false;	/* consumer wants more data */
+
+	mod_stream.Readable.call(this, {
+	    'objectMode': true,
+	    'highWaterMark': args['highWaterMark'] || 16
+	});
+
+	if (args['signal'] !== undefined)
+		mod_abort.watchSignal(this, args['signal']);
+}
+
+mod_util.inherits(MultiRangeStream, mod_stream.Readable);
+
+if (typeof (mod_stream.Readable.prototype.destroy) != 'function')
+	MultiRangeStream.prototype.destroy = mod_abort.destroy;
+
+MultiRangeStream.prototype._read = function ()
+{
+	var s = this;
+
+	if (this.mr_aborted !== null) {
+		this.mr_log.warn('ignoring _read() called after aborted');
+		return;
+	}
+
+	if (this.mr_error !== null) {
+		this.mr_log.warn('ignoring _read() called after error');
+		return;
+	}
+
+	this.mr_reading = true;
+	if (this.mr_response !== null) {
+		this.mr_response.resume();
+		return;
+	}
+
+	if (this.mr_started)
+		return;
+
+	this.mr_started = true;
+	this.mr_retry = new mod_backoff.Backoff(this.mr_retrypolicy);
+	this.mr_retry.attempt(function () { s.request(); });
+};
+
+/*
+ * Returns the value of the "Range" header for the ranges not yet emitted.
+ */
+MultiRangeStream.prototype.rangeHeader = function ()
+{
+	return ('bytes=' + this.mr_pending.map(function (r) {
+		return (r['start'] + '-' + r['end']);
+	}).join(','));
+};
+
+/*
+ * Request the ranges not yet emitted from "target" (which defaults to the
+ * resource itself), having followed "nredirects" redirects to get there.
+ */
+MultiRangeStream.prototype.request = function (target, nredirects)
+{
+	var s = this;
+	var options, validator, attempt;
+
+	if (this.mr_aborted !== null || this.mr_error !== null)
+		return;
+
+	if (this.mr_sequential) {
+		this.fetchNext();
+		return;
+	}
+
+	target = target || this.mr_target;
+	nredirects = nredirects || 0;
+	options = {
+	    'method': 'GET',
+	    'path': target['path'],
+	    'headers': { 'range': this.rangeHeader() }
+	};
+	validator = this.addConditions(options['headers']);
+	attempt = {
+	    'number': ++this.mr_nrequests,
+	    'reason': this.mr_reason,
+	    'bytesRead': this.mr_nbytesread
+	};
+	mod_client.prepareRequest(target, this.mr_headers, this.mr_hook,
+	    options, attempt, function (err) {
+		if (s.mr_aborted !== null || s.mr_error !== null)
+			return;
+
+		if (err) {
+			s.internalError(new VError(err,
+			    'beforeRequest hook failed'));
+			return;
+		}
+
+		s.mr_log.debug('initiating request', options);
+		s.mr_request = target['client'].startRequest(options,
+		    function (err2, res) {
+			s.mr_request = null;
+			if (!err2 && mod_client.isRedirect(res))
+				s.requestRedirect(target, nredirects, res);
+			else if (err2)
+				s.requestFailed(err2, res, validator);
+			else
+				s.response(res);
+		    });
+	    });
+};
+
+MultiRangeStream.prototype.requestRedirect = function (target, nredirects,
+    res)
+{
+	var location, next, err;
+
+	res.resume();
+	location = res.headers['location'];
+	if (nredirects >= this.mr_maxredirects) {
+		this.internalError(new VError('too many redirects (%d) ' +
+		    '(last to "%s")', nredirects + 1, location));
+		return;
+	}
+
+	next = mod_client.resolveRedirect(target, location,
+	    this.mr_clientargs);
+	if (next === null) {
+		this.internalError(new VError(
+		    'unsupported redirect location: "%s"', location));
+		return;
+	}
+
+	err = mod_client.checkRedirect(target, next, location);
+	if (err !== null) {
+		this.internalError(err);
+		return;
+	}
+
+	this.mr_log.debug('status %d: redirected to "%s"',
+	    res.statusCode, location);
+	this.mr_reason = 'redirect';
+	this.request(next, nredirects + 1);
+};
+
+/*
+ * Make a request conditional on the resource not having changed, as
+ * ReliableHttpStream's addConditions() does: a strong etag goes in "If-Match",
+ * and otherwise the last-modified time goes in "If-Unmodified-Since" (since
+ * "If-Match" never matches a weak etag).  Returns the validator used ("etag" or
+ * "last-modified"), or null if there's none.
+ */
+MultiRangeStream.prototype.addConditions = function (headers)
+{
+	if (this.mr_etag !== null && !/^W\//.test(this.mr_etag)) {
+		headers['if-match'] = this.mr_etag;
+		return ('etag');
+	}
+
+	if (this.mr_lastmod !== null) {
+		headers['if-unmodified-since'] = this.mr_lastmod;
+		return ('last-modified');
+	}
+
+	return (null);
+};
+
+/*
+ * Handle the failure of a request with error "err" and response "res" (which
+ * may be null).  "validator" is the validator the request was conditional on
+ * (see addConditions()).
+ */
+MultiRangeStream.prototype.requestFailed = function (err, res, validator)
+{
+	var s = this;
+	var disposition;
+
+	disposition = mod_backoff.classify(err, res, this.mr_classify);
+	if (disposition == 'resume') {
+		this.mr_log.warn(err, 'found error, will retry immediately');
+		this.mr_reason = 'resume';
+		setImmediate(function () { s.request(); });
+		return;
+	}
+
+	if (disposition == 'retry' && this.mr_retry.retry(err, res)) {
+		this.mr_nretries++;
+		this.mr_log.warn(err, 'found error, will retry');
+		this.mr_reason = 'retry';
+		return;
+	}
+
+	if (disposition == 'retry')
+		err = new mod_errors.RetriesExhaustedError({
+		    'cause': err,
+		    'limit': 'retryPolicy'
+		}, 'giving up after %d retries', this.mr_nretries);
+	else if (err.statusCode == 412)
+		err = new mod_errors.ResourceChangedError({
+		    'cause': err,
+		    'property': validator
+		}, 'object changed while fetching (%s mismatch)', validator);
+	else if (err.statusCode == 416)
+		err = new mod_errors.RangeNotSatisfiableError({
+		    'cause': err,
+		    'range': this.rangeHeader()
+		}, 'requested range not satisfiable (%s)', this.rangeHeader());
+	this.internalError(err);
+};
+
+/*
+ * Handle a successful response "res" to a request for the pending ranges.
+ */
+MultiRangeStream.prototype.response = function (res)
+{
+	var s = this;
+	var etag, lastmod, match, onEnd;
+
+	etag = res.headers['etag'] || null;
+	if (this.mr_etag !== null && etag !== null && etag != this.mr_etag) {
+		res.resume();
+		this.internalError(new mod_errors.ResourceChangedError({
+		    'property': 'etag',
+		    'expected': this.mr_etag,
+		    'actual': etag
+		}, 'object changed while fetching (etag changed from "%s" ' +
+		    'to "%s")', this.mr_etag, etag));
+		return;
+	}
+	this.mr_etag = this.mr_etag || etag;
+
+	lastmod = res.headers['last-modified'] || null;
+	if (this.mr_lastmod !== null && lastmod !== null &&
+	    lastmod != this.mr_lastmod) {
+		res.resume();
+		this.internalError(new mod_errors.ResourceChangedError({
+		    'property': 'last-modified',
+		    'expected': this.mr_lastmod,
+		    'actual': lastmod
+		}, 'object changed while fetching (last-modified changed ' +
+		    'from "%s" to "%s")', this.mr_lastmod, lastmod));
+		return;
+	}
+	this.mr_lastmod = this.mr_lastmod || lastmod;
+
+	if (res.statusCode == 200) {
+		/*
+		 * The server ignored the "Range" header.  Rather than reading
+		 * the whole resource, drop the connection and fetch the ranges
+		 * one at a time.
+		 */
+		this.mr_log.info('server ignored %s (falling back to one ' +
+		    'range at a time)', this.rangeHeader());
+		res.destroy();
+		this.mr_sequential = true;
+		this.fetchNext();
+		return;
+	}
+
+	if (res.statusCode != 206) {
+		res.resume();
+		this.internalError(new VError('unexpected response to %s: ' +
+		    'status %d', this.rangeHeader(), res.statusCode));
+		return;
+	}
+
+	match = MULTIPART_RE.exec(res.headers['content-type'] || '');
+	if (match !== null) {
+		this.mr_parser = new ByteRangesParser(match[1] || match[2]);
+	} else {
+		match = CONTENT_RANGE_RE.exec(res.headers['content-range'] ||
+		    '');
+		if (match === null) {
+			res.resume();
+			this.internalError(new VError('missing or invalid ' +
+			    'content-range header for %s: %j',
+			    this.rangeHeader(), res.headers['content-range']));
+			return;
+		}
+
+		this.mr_parser = new ByteRangesParser(null,
+		    parseInt(match[1], 10), parseInt(match[2], 10));
+	}
+
+	this.mr_log.debug({
+	    'content-type': res.headers['content-type'],
+	    'content-range': res.headers['content-range'],
+	    'etag': etag
+	}, 'response details');
+	this.mr_response = res;
+	this.mr_nemitted = 0;
+
+	res.on('data', function (chunk) {
+		var err;
+
+		if (s.mr_response !== res)
+			return;
+
+		err = s.mr_parser.write(chunk, s.partReceived.bind(s));
+		if (err !== null) {
+			s.internalError(new VError(err, 'invalid response ' +
+			    'to %s', s.rangeHeader()));
+			return;
+		}
+
+		if (!s.mr_reading && s.mr_response === res)
+			res.pause();
+	});
+
+	/*
+	 * As for ReliableHttpStream, newer versions of Node destroy a response
+	 * that's cut off partway through rather than ending it.
+	 */
+	onEnd = function () {
+		if (s.mr_response === res)
+			s.responseEnd();
+	};
+	res.on('end', onEnd);
+	res.on('error', function (err) {
+		s.mr_log.debug(err, 'response error');
+	});
+	res.on('close', function () {
+		if (res.complete === false)
+			onEnd();
+	});
+};
+
+/*
+ * Emit the pending ranges covered by a part of the response spanning bytes
+ * "low" through "high" of the resource.
+ */
+MultiRangeStream.prototype.partReceived = function (low, high, data)
+{
+	var s = this;
+	var covered;
+
+	this.mr_log.debug('received bytes %d-%d', low, high);
+	covered = this.mr_pending.filter(function (r) {
+		return (r['start'] >= low && r['end'] <= high);
+	});
+	this.mr_pending = this.mr_pending.filter(function (r) {
+		return (covered.indexOf(r) == -1);
+	});
+	covered.forEach(function (r) {
+		s.emitRange(r,
+		    data.slice(r['start'] - low, r['end'] - low + 1));
+	});
+	this.mr_nemitted += covered.length;
+};
+
+MultiRangeStream.prototype.emitRange = function (r, data)
+{
+	this.mr_nbytesread += data.length;
+	if (!this.push({ 'start': r['start'], 'end': r['end'], 'data': data }))
+		this.mr_reading = false;
+};
+
+/*
+ * Handle the end of a response, which may have been cut off.
+ */
+MultiRangeStream.prototype.responseEnd = function ()
+{
+	var s = this;
+	var complete, err;
+
+	complete = this.mr_parser.done();
+	this.mr_log.debug('response ended (%s) with %d ranges left',
+	    complete ? 'complete' : 'truncated', this.mr_pending.length);
+	this.mr_response = null;
+	this.mr_parser = null;
+
+	if (this.mr_pending.length === 0) {
+		this.mr_done = true;
+		this.push(null);
+		return;
+	}
+
+	/*
+	 * If this response made progress, request the rest right away, as
+	 * ReliableHttpStream does after a premature close.  Otherwise, treat it
+	 * as a failure subject to the retry policy.
+	 */
+	if (this.mr_nemitted > 0) {
+		this.mr_reason = 'resume';
+		setImmediate(function () { s.request(); });
+		return;
+	}
+
+	err = complete ? new VError('response to %s included none of the ' +
+	    'requested ranges', this.rangeHeader()) :
+	    new VError('response closed prematurely');
+	this.requestFailed(err, null, null);
+};
+
+/*
+ * Having fallen back to one range at a time, fetch the next pending range.
+ */
+MultiRangeStream.prototype.fetchNext = function ()
+{
+	var s = this;
+	var r, bufs, stream;
+
+	if (this.mr_pending.length === 0) {
+		this.mr_done = true;
+		this.push(null);
+		return;
+	}
+
+	r = this.mr_pending[0];
+	bufs = [];
+	this.mr_log.debug('fetching bytes %d-%d', r['start'], r['end']);
+	stream = this.mr_stream = new ReliableHttpStream({
+	    'client': this.mr_target['client'],
+	    'path': this.mr_target['path'],
+	    'agent': this.mr_clientargs['agent'],
+	    'tls': this.mr_clientargs['tls'],
+	    'maxRedirects': this.mr_maxredirects,
+	    'log': this.mr_log.child({ 'range': r['start'] + '-' + r['end'] }),
+	    'highWaterMark': r['end'] - r['start'] + 1,
+	    'retryPolicy': this.mr_retrypolicy,
+	    'classifyError': this.mr_classify,
+	    'headers': this.mr_headers || undefined,
+	    'beforeRequest': this.mr_hook || undefined,
+	    'start': r['start'],
+	    'end': r['end'],
+	    'etag': this.mr_etag || undefined,
+	    'lastModified': this.mr_lastmod || undefined,
+	    'algorithms': []
+	});
+
+	stream.on('data', function (chunk) { bufs.push(chunk); });
+	stream.on('end', function () {
+		s.mr_stream = null;
+		if (s.mr_etag === null)
+			s.mr_etag = stream.resourceInfo()['etag'];
+		if (s.mr_lastmod === null)
+			s.mr_lastmod = stream.resourceInfo()['lastModified'];
+		s.mr_pending.shift();
+		s.emitRange(r, Buffer.concat(bufs));
+		s.fetchNext();
+	});
+	stream.on('error', function (err) {
+		s.mr_stream = null;
+		s.internalError(mod_errors.wrapError(err, 'bytes %d-%d',
+		    r['start'], r['end']));
+	});
+};
+
+MultiRangeStream.prototype.internalError = function (err)
+{
+	if (this.mr_error !== null || this.mr_aborted !== null) {
+		this.mr_log.warn(err, 'ignoring error after stream stopped');
+		return;
+	}
+
+	this.mr_error = err;
+	this.mr_log.error(err);
+	this.stopAndCleanUp();
+	this.destroy(err);
+};
+
+MultiRangeStream.prototype.stopAndCleanUp = function ()
+{
+	mod_assert.ok(this.mr_error || this.mr_aborted);
+	if (this.mr_request !== null)
+		this.mr_request.abort();
+	if (this.mr_retry !== null)
+		this.mr_retry.cancel();
+	if (this.mr_response !== null) {
+		this.mr_response.destroy();
+		this.mr_response = null;
+	}
+	if (this.mr_stream !== null)
+		this.mr_stream.abort();
+};
+
+/*
+ * See ReliableHttpStream.prototype._destroy().
+ */
+MultiRangeStream.prototype._destroy = function (err, callback)
+{
+	if (this.mr_aborted === null && this.mr_error === null &&
+	    !this.mr_done) {
+		this.mr_aborted = new Date();
+		this.mr_log.info(err || {}, 'aborted');
+		this.stopAndCleanUp();
+	}
+
+	callback(err);
+};
+
+/*
+ * Equivalent to destroy() with no error, for compatibility.
+ */
+MultiRangeStream.prototype.abort = function ()
+{
+	this.destroy();
+};
+
+
+/*
+ * Incrementally parses the body of a "206 Partial Content" response.  If
+ * "boundary" is specified, the body is a "multipart/byteranges" message with
+ * that boundary.  Otherwise, the body is a single part covering bytes "low"
+ * through "high" of the resource.
+ */
+function ByteRangesParser(boundary, low, high)
+{
+	this.bp_delimiter = boundary === null ? null : '--' + boundary;
+	this.bp_buf = new Buffer(0);	/* unparsed data */
+	this.bp_low = null;		/* range of current part */
+	this.bp_high = null;
+	this.bp_bufs = [];		/* data of current part so far */
+	this.bp_nbytes = 0;		/* bytes of current part so far */
+
+	if (boundary === null) {
+		this.bp_state = 'body';
+		this.bp_low = low;
+		this.bp_high = high;
+	} else {
+		this.bp_state = 'delimiter';
+	}
+}
+
+/*
+ * Parse "chunk", invoking onPart(low, high, data) for each part completed.
+ * Returns an error if the body is malformed, and null otherwise.
+ */
+ByteRangesParser.prototype.write = function (chunk, onPart)
+{
+	var str, i, take, lines, match;
+
+	this.bp_buf = Buffer.concat([ this.bp_buf, chunk ]);
+	while (this.bp_buf.length > 0) {
+		switch (this.bp_state) {
+		case 'delimiter':
+			/*
+			 * Skip the preamble (or the CRLF after the previous
+			 * part) up to the delimiter, which is followed either
+			 * by "--" (the end) or CRLF and the part's headers.
+			 */
+			str = this.bp_buf.toString('binary');
+			i = str.indexOf(this.bp_delimiter);
+			if (i == -1 || str.length < i +
+			    this.bp_delimiter.length + 2)
+				return (null);
+			i += this.bp_delimiter.length;
+			if (str.substr(i, 2) == '--') {
+				this.bp_state = 'done';
+			} else if (str.substr(i, 2) == '\r\n') {
+				this.bp_state = 'headers';
+			} else {
+				return (new VError('malformed delimiter'));
+			}
+			this.bp_buf = this.bp_buf.slice(i + 2);
+			break;
+
+		case 'headers':
+			str = this.bp_buf.toString('binary');
+			i = str.indexOf('\r\n\r\n');
+			if (i == -1)
+				return (null);
+			lines = str.substr(0, i).split('\r\n');
+			match = null;
+			lines.forEach(function (line) {
+				var colon = line.indexOf(':');
+				if (colon != -1 && line.substr(0, colon).trim().
+				    toLowerCase() == 'content-range')
+					match = CONTENT_RANGE_RE.exec(
+					    line.substr(colon + 1).trim());
+			});
+			if (match === null)
+				return (new VError('part has missing or ' +
+				    'invalid content-range'));
+			this.bp_low = parseInt(match[1], 10);
+			this.bp_high = parseInt(match[2], 10);
+			this.bp_state = 'body';
+			this.bp_buf = this.bp_buf.slice(i + 4);
+			break;
+
+		case 'body':
+			take = Math.min(this.bp_buf.length,
+			    this.bp_high - this.bp_low + 1 - this.bp_nbytes);
+			this.bp_bufs.push(this.bp_buf.slice(0, take));
+			this.bp_nbytes += take;
+			this.bp_buf = this.bp_buf.slice(take);
+			if (this.bp_nbytes < this.bp_high - this.bp_low + 1)
+				return (null);
+			onPart(this.bp_low, this.bp_high,
+			    Buffer.concat(this.bp_bufs));
+			this.bp_bufs = [];
+			this.bp_nbytes = 0;
+			this.bp_state = this.bp_delimiter === null ?
+			    'done' : 'delimiter';
+			break;
+
+		default:
+			mod_assert.equal(this.bp_state, 'done');
+			/* Ignore the epilogue. */
+			this.bp_buf = new Buffer(0);
+			break;
+		}
+	}
+
+	return (null);
+};
+
+/*
+ * Returns true if the whole body has been parsed.
+ */
+ByteRangesParser.prototype.done = function ()
+{
+	return (this.bp_state == 'done');
+};
@@ -0,0 +1,701 @@
+/*
+ * remotefile.js: random-access reader for HTTP resources, backed by a cache of
+ * fixed-size blocks.
+ */
+
+var mod_assert = require('assert');
+var mod_util = require('util');
+var mod_stream = require('stream');
+
+/*
+ * For 0.8, require the special readable-stream module for Readable.
+ */
+if (!mod_stream.Transform)
+	mod_stream = require('readable-stream');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var mod_backoff = require('./backoff');
+var mod_client = require('./client');
+var mod_errors = require('./errors');
+var ReliableHttpStream = require('./httpstream');
+
+/* Public interface */
+module.exports = RemoteFile;
+
+/*
+ * A RemoteFile reads arbitrary byte ranges of an HTTP resource, e.g., to read
+ * the index of a tar file or the central directory of a ZIP file and then
+ * fetch selected members.  The resource is divided into blocks of "blockSize"
+ * bytes, and the most recently used blocks are kept in memory, so reads that
+ * overlap earlier ones don't fetch the same bytes again.  Blocks that are
+ * needed by reads issued in the same tick are fetched together, with one range
+ * request for each run of adjacent blocks.  Each range is fetched with its own
+ * ReliableHttpStream, so transient failures and premature closes are retried
+ * and resumed as usual.
+ *
+ * The size and etag of the resource are determined with a HEAD request before
+ * the first read (unless "size" is specified), and every range request is made
+ * conditional on that etag (or the etag of the first response, if the HEAD
+ * response had none).  So if the resource changes between reads, reads fail
+ * with a ResourceChangedError (see lib/errors.js) rather than returning data
+ * from different versions of the resource.
+ *
+ * Arguments include "client", "path", "url", "agent", "tls", "log",
+ * "retryPolicy", "classifyError", "headers", "beforeRequest", "maxRedirects",
+ * and "refreshUrl", which are the same as for ReliableHttpStream, plus:
+ *
+ *     blockSize	If specified, the size (in bytes) of each block.
+ *     			Defaults to 64 KiB.
+ *
+ *     cacheSize	If specified, the maximum number of bytes of blocks to
+ *     			keep.  Defaults to 64 blocks.
+ *
+ *     size		If specified, the size of the resource, in which case
+ *     			no HEAD request is made.
+ *
+ *     etag		If specified, the etag that the resource is expected to
+ *     			have.
+ */
+function RemoteFile(args)
+{
+	mod_assert.equal('object', typeof (args['log']),
+	    '"log" arg must be a bunyan log');
+	mod_assert.ok(args['blockSize'] === undefined ||
+	    (typeof (args['blockSize']) == 'number' && args['blockSize'] >= 1),
+	    '"blockSize" arg must be a positive number');
+	mod_assert.ok(args['cacheSize'] === undefined ||
+	    (typeof (args['cacheSize']) == 'number' && args['cacheSize'] >= 1),
+	    '"cacheSize" arg must be a positive number');
+	mod_assert.ok(args['size'] === undefined ||
+	    (typeof (args['size']) == 'number' && args['size'] >= 0),
+	    '"size" arg must be a non-negative number');
+	mod_assert.ok(args['etag'] === undefined ||
+	    typeof (args['etag']) == 'string', '"etag" arg must be a string');
+	mod_assert.ok(args['classifyError'] === undefined ||
+	    typeof (args['classifyError']) == 'function',
+	    '"classifyError" arg must be a function');
+	mod_assert.ok(args['maxRedirects'] === undefined ||
+	    (typeof (args['maxRedirects']) == 'number' &&
+	    args['maxRedirects'] >= 0),
+	    '"maxRedirects" arg must be a non-negative number');
+	mod_assert.ok(args['refreshUrl'] === undefined ||
+	    typeof (args['refreshUrl']) == 'function',
+	    '"refreshUrl" arg must be a function');
+	mod_assert.ok(args['headers'] === undefined ||
+	    typeof (args['headers']) == 'object',
+	    '"headers" arg must be an object');
+	mod_assert.ok(args['beforeRequest'] === undefined ||
+	    typeof (args['beforeRequest']) == 'function',
+	    '"beforeRequest" arg must be a function');
+
+	this.rf_log = args['log'];
+	this.rf_target = mod_client.fromArgs(args);
+	this.rf_blocksize = args['blockSize'] || 64 * 1024;
+	this.rf_maxblocks = args['cacheSize'] === undefined ? 64 :
+	    Math.max(1, Math.floor(args['cacheSize'] / this.rf_blocksize));
+	this.rf_retrypolicy = args['retryPolicy'] || {
+	    'retries': 3,
+	    'minTimeout': 1000,
+	    'maxTimeout': 10000
+	};
+	this.rf_classify = args['classifyError'];
+	this.rf_headers = args['headers'] || null;
+	this.rf_hook = args['beforeRequest'] || null;
+	this.rf_maxredirects = args['maxRedirects'] === undefined ? 5 :
+	    args['maxRedirects'];
+	this.rf_clientargs = { 'agent': args['agent'], 'tls': args['tls'] };
+	this.rf_refresh = args['refreshUrl'];
+
+	/* what we know about the resource */
+	this.rf_size = args['size'] === undefined ? null : args['size'];
+	this.rf_etag = args['etag'] || null;
+
+	/* runtime state */
+	this.rf_opening = null;		/* callbacks waiting for open() */
+	this.rf_probe = null;		/* outstanding HEAD request */
+	this.rf_retry = null;		/* retries of HEAD request */
+	this.rf_nprobes = 0;		/* HEAD requests issued */
+	this.rf_reason = 'initial';	/* reason for next HEAD request */
+	this.rf_blocks = {};		/* cached blocks, by index */
+	this.rf_nblocks = 0;		/* number of cached blocks */
+	this.rf_nused = 0;		/* counter for LRU order of blocks */
+	this.rf_waiters = {};		/* callbacks for blocks being fetched */
+	this.rf_queued = [];		/* blocks to fetch (see flush()) */
+	this.rf_fetches = [];		/* outstanding fetches (see fetch()) */
+	this.rf_nfetches = 0;		/* number of fetches started */
+	this.rf_closed = false;
+}
+
+/*
+ * Read "length" bytes starting at "offset", and invoke callback(err, buf).
+ * As with fs.read(), "buf" is shorter than "length" if the range extends past
+ * the end of the resource.  Without "callback", returns a Promise for "buf".
+ */
+RemoteFile.prototype.read = function (offset, length, callback)
+{
+	var f = this;
+
+	mod_assert.ok(typeof (offset) == 'number' && offset >= 0,
+	    '"offset" must be a non-negative number');
+	mod_assert.ok(typeof (length) == 'number' && length >= 0,
+	    '"length" must be a non-negative number');
+
+	if (callback === undefined) {
+		return (new Promise(function (resolve, reject) {
+			f.read(offset, length, function (err, buf) {
+				if (err)
+					reject(err);
+				else
+					resolve(buf);
+			});
+		}));
+	}
+
+	mod_assert.equal('function', typeof (callback),
+	    '"callback" must be a function');
+	this.open(function (err) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		f.readBlocks(offset, Math.min(offset + length, f.rf_size),
+		    callback);
+	});
+	return (undefined);
+};
+
+/*
+ * Invoke callback(err, info), where "info" has the "size" and "etag" of the
+ * resource (as learned from the HEAD request, if any).  Without "callback",
+ * returns a Promise for "info".
+ */
+RemoteFile.prototype.stat = function (callback)
+{
+	var f = this;
+
+	if (callback === undefined) {
+		return (new Promise(function (resolve, reject) {
+			f.stat(function (err, info) {
+				if (err)
+					reject(err);
+				else
+					resolve(info);
+			});
+		}));
+	}
+
+	this.open(function (err) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		callback(null, { 'size': f.rf_size, 'etag': f.rf_etag });
+	});
+	return (undefined);
+};
+
+/*
+ * Returns a readable stream of the bytes from "start" to "end" (inclusive, as
+ * for fs.createReadStream()), which default to the whole resource.  The stream
+ * reads a block at a time through the block cache.
+ */
+RemoteFile.prototype.createReadStream = function (opts)
+{
+	opts = opts || {};
+	mod_assert.ok(opts['start'] === undefined ||
+	    (typeof (opts['start']) == 'number' && opts['start'] >= 0),
+	    '"start" must be a non-negative number');
+	mod_assert.ok(opts['end'] === undefined ||
+	    (typeof (opts['end']) == 'number' && opts['end'] >= 0),
+	    '"end" must be a non-negative number');
+	return (new RemoteFileStream(this, opts['start'] || 0,
+	    opts['end'] === undefined ? Infinity : opts['end'] + 1));
+};
+
+/*
+ * Stop any outstanding requests and discard the cached blocks.  Pending reads
+ * fail, as do subsequent ones.
+ */
+RemoteFile.prototype.close = function ()
+{
+	var f = this;
+	var err;
+
+	if (this.rf_closed)
+		return;
+
+	this.rf_log.debug('closing');
+	this.rf_closed = true;
+	if (this.rf_probe !== null)
+		this.rf_probe.abort();
+	if (this.rf_retry !== null)
+		this.rf_retry.cancel();
+	this.rf_fetches.forEach(function (fetch) {
+		fetch.stream.abort();
+	});
+	this.rf_fetches = [];
+	this.rf_queued = [];
+	this.rf_blocks = {};
+	this.rf_nblocks = 0;
+
+	err = new VError('file closed');
+	if (this.rf_opening !== null)
+		this.opened(err);
+	Object.keys(this.rf_waiters).forEach(function (i) {
+		f.blockDone(i, err, null);
+	});
+};
+
+/*
+ * Learn the size and etag of the resource if we haven't already, and then
+ * invoke callback(err).
+ */
+RemoteFile.prototype.open = function (callback)
+{
+	var f = this;
+
+	if (this.rf_closed) {
+		setImmediate(callback, new VError('file closed'));
+		return;
+	}
+
+	if (this.rf_size !== null) {
+		callback();
+		return;
+	}
+
+	if (this.rf_opening !== null) {
+		this.rf_opening.push(callback);
+		return;
+	}
+
+	this.rf_opening = [ callback ];
+	this.rf_retry = new mod_backoff.Backoff(this.rf_retrypolicy);
+	this.rf_retry.attempt(function () { f.probeStart(); });
+};
+
+RemoteFile.prototype.opened = function (err)
+{
+	var callbacks = this.rf_opening;
+
+	this.rf_opening = null;
+	this.rf_probe = null;
+	this.rf_retry = null;
+	this.rf_reason = 'initial';
+	callbacks.forEach(function (callback) { callback(err); });
+};
+
+/*
+ * Issue the HEAD request to "target" (which defaults to the resource itself),
+ * having followed "nredirects" redirects to get there.  This works as for
+ * SegmentedHttpStream.
+ */
+RemoteFile.prototype.probeStart = function (target, nredirects)
+{
+	var f = this;
+	var options, attempt;
+
+	if (this.rf_closed)
+		return;
+
+	target = target || this.rf_target;
+	nredirects = nredirects || 0;
+	options = {
+	    'method': 'HEAD',
+	    'path': target['path'],
+	    'headers': {}
+	};
+	attempt = {
+	    'number': ++this.rf_nprobes,
+	    'reason': this.rf_reason,
+	    'bytesRead': 0
+	};
+	mod_client.prepareRequest(target, this.rf_headers, this.rf_hook,
+	    options, attempt, function (err) {
+		if (f.rf_closed)
+			return;
+
+		if (err) {
+			f.opened(new VError(err, 'beforeRequest hook failed'));
+			return;
+		}
+
+		f.rf_log.debug('probe: initiating HEAD request', options);
+		f.rf_probe = target['client'].startRequest(options,
+		    function (err2, res) {
+			if (!err2 && mod_client.isRedirect(res))
+				f.probeRedirect(target, nredirects, res);
+			else
+				f.probeResult(err2, res);
+		    });
+	    });
+};
+
+RemoteFile.prototype.probeRedirect = function (target, nredirects, res)
+{
+	var location, next, err;
+
+	this.rf_probe = null;
+	res.resume();
+	location = res.headers['location'];
+	if (nredirects >= this.rf_maxredirects) {
+		this.opened(new VError('too many redirects (%d) ' +
+		    '(last to "%s")', nredirects + 1, location));
+		return;
+	}
+
+	next = mod_client.resolveRedirect(target, location,
+	    this.rf_clientargs);
+	if (next === null) {
+		this.opened(new VError(
+		    'unsupported redirect location: "%s"', location));
+		return;
+	}
+
+	err = mod_client.checkRedirect(target, next, location);
+	if (err !== null) {
+		this.opened(err);
+		return;
+	}
+
+	this.rf_log.debug('probe: status %d: redirected to "%s"',
+	    res.statusCode, location);
+	this.rf_reason = 'redirect';
+	this.probeStart(next, nredirects + 1);
+};
+
+RemoteFile.prototype.probeResult = function (err, res)
+{
+	var f = this;
+	var disposition, etag;
+
+	this.rf_probe = null;
+	if (this.rf_closed)
+		return;
+
+	if (!err) {
+		res.resume();
+		this.rf_size = parseInt(res.headers['content-length'], 10);
+		etag = res.headers['etag'] || null;
+		this.rf_log.debug({
+		    'content-length': this.rf_size,
+		    'etag': etag
+		}, 'probe: response details');
+
+		if (isNaN(this.rf_size)) {
+			this.rf_size = null;
+			this.opened(new VError('HEAD response has missing or ' +
+			    'invalid content-length: %j',
+			    res.headers['content-length']));
+			return;
+		}
+
+		if (this.rf_etag !== null && etag !== null &&
+		    etag != this.rf_etag) {
+			this.opened(new mod_errors.ResourceChangedError({
+			    'property': 'etag',
+			    'expected': this.rf_etag,
+			    'actual': etag
+			}, 'object changed (etag changed from "%s" to "%s")',
+			    this.rf_etag, etag));
+			return;
+		}
+
+		this.rf_etag = this.rf_etag || etag;
+		this.opened();
+		return;
+	}
+
+	disposition = mod_backoff.classify(err, res, this.rf_classify);
+	if (disposition == 'resume') {
+		this.rf_log.warn(err,
+		    'probe: found error, will retry immediately');
+		this.rf_reason = 'resume';
+		setImmediate(function () { f.probeStart(); });
+		return;
+	}
+
+	if (disposition == 'retry' && this.rf_retry.retry(err, res)) {
+		this.rf_log.warn(err, 'probe: found error, will retry');
+		this.rf_reason = 'retry';
+		return;
+	}
+
+	if (disposition == 'retry')
+		err = new mod_errors.RetriesExhaustedError({
+		    'cause': err,
+		    'limit': 'retryPolicy'
+		}, 'giving up on HEAD request');
+	this.opened(err);
+};
+
+/*
+ * Read the bytes from "start" up to (but not including) "end", which must be
+ * within the resource, and invoke callback(err, buf).
+ */
+RemoteFile.prototype.readBlocks = function (start, end, callback)
+{
+	var f = this;
+	var bufs, nleft, failed, first, last, i;
+
+	if (start >= end) {
+		setImmediate(callback, null, new Buffer(0));
+		return;
+	}
+
+	first = Math.floor(start / this.rf_blocksize);
+	last = Math.floor((end - 1) / this.rf_blocksize);
+	bufs = [];
+	nleft = last - first + 1;
+	failed = false;
+
+	var onBlock = function (j, err, data) {
+		var base;
+
+		if (failed)
+			return;
+
+		if (err) {
+			failed = true;
+			callback(err);
+			return;
+		}
+
+		base = j * f.rf_blocksize;
+		bufs[j - first] = data.slice(Math.max(start - base, 0),
+		    Math.min(end - base, data.length));
+		if (--nleft === 0)
+			callback(null, Buffer.concat(bufs));
+	};
+
+	for (i = first; i <= last; i++)
+		this.getBlock(i, onBlock.bind(null, i));
+};
+
+/*
+ * Invoke callback(err, data) with the contents of block "i", fetching it if
+ * it's not cached.  The callback is always invoked asynchronously.
+ */
+RemoteFile.prototype.getBlock = function (i, callback)
+{
+	var f = this;
+	var block;
+
+	if (this.rf_blocks.hasOwnProperty(i)) {
+		block = this.rf_blocks[i];
+		block.used = ++this.rf_nused;
+		setImmediate(callback, null, block.data);
+		return;
+	}
+
+	if (this.rf_waiters.hasOwnProperty(i)) {
+		this.rf_waiters[i].push(callback);
+		return;
+	}
+
+	this.rf_waiters[i] = [ callback ];
+	this.rf_queued.push(i);
+	if (this.rf_queued.length == 1)
+		setImmediate(function () { f.flush(); });
+};
+
+/*
+ * Fetch the blocks queued by reads issued since the last flush, with one
+ * request for each run of adjacent blocks.
+ */
+RemoteFile.prototype.flush = function ()
+{
+	var queued, first, i;
+
+	queued = this.rf_queued.sort(function (a, b) { return (a - b); });
+	this.rf_queued = [];
+	for (i = 0; i < queued.length; i++) {
+		if (i === 0 || queued[i] != queued[i - 1] + 1)
+			first = queued[i];
+		if (i == queued.length - 1 || queued[i + 1] != queued[i] + 1)
+			this.fetch(first, queued[i]);
+	}
+};
+
+/*
+ * Fetch blocks "first" through "last" (inclusive) with a single range request,
+ * caching each block as it arrives.
+ */
+RemoteFile.prototype.fetch = function (first, last)
+{
+	var f = this;
+	var fetch, start, end;
+
+	start = first * this.rf_blocksize;
+	end = Math.min((last + 1) * this.rf_blocksize, this.rf_size) - 1;
+	this.rf_log.debug('fetching blocks %d-%d (bytes %d-%d)',
+	    first, last, start, end);
+
+	fetch = {
+	    'block': first,	/* block currently being filled */
+	    'last': last,	/* last block to fill */
+	    'bufs': [],		/* data for current block so far */
+	    'nbytes': 0,	/* bytes of data for current block so far */
+	    'stream': null
+	};
+	fetch.stream = new ReliableHttpStream({
+	    'client': this.rf_target['client'],
+	    'path': this.rf_target['path'],
+	    'agent': this.rf_clientargs['agent'],
+	    'tls': this.rf_clientargs['tls'],
+	    'maxRedirects': this.rf_maxredirects,
+	    'refreshUrl': this.rf_refresh,
+	    'log': this.rf_log.child({ 'fetch': ++this.rf_nfetches }),
+	    'highWaterMark': this.rf_blocksize,
+	    'retryPolicy': this.rf_retrypolicy,
+	    'classifyError': this.rf_classify,
+	    'headers': this.rf_headers || undefined,
+	    'beforeRequest': this.rf_hook || undefined,
+	    'start': start,
+	    'end': end,
+	    'etag': this.rf_etag || undefined,
+	    'algorithms': []
+	});
+	this.rf_fetches.push(fetch);
+
+	fetch.stream.on('readable', function () {
+		var chunk;
+
+		while ((chunk = fetch.stream.read()) !== null)
+			f.fetchData(fetch, chunk);
+	});
+
+	fetch.stream.on('end', function () {
+		f.fetchDone(fetch);
+		mod_assert.ok(fetch.block > fetch.last);
+	});
+
+	fetch.stream.on('error', function (err) {
+		f.fetchDone(fetch);
+		err = mod_errors.wrapError(err, 'fetching bytes %d-%d',
+		    start, end);
+		for (; fetch.block <= fetch.last; fetch.block++)
+			f.blockDone(fetch.block, err, null);
+	});
+};
+
+/*
+ * Add "chunk" to the blocks being filled by "fetch".
+ */
+RemoteFile.prototype.fetchData = function (fetch, chunk)
+{
+	var blocklen, take, data;
+
+	/*
+	 * Responses must match the etag we expect, so pin down the first one
+	 * we see if the HEAD response didn't have one.
+	 */
+	if (this.rf_etag === null)
+		this.rf_etag = fetch.stream.resourceInfo()['etag'];
+
+	while (chunk.length > 0) {
+		blocklen = Math.min(this.rf_blocksize,
+		    this.rf_size - fetch.block * this.rf_blocksize);
+		take = Math.min(blocklen - fetch.nbytes, chunk.length);
+		fetch.bufs.push(chunk.slice(0, take));
+		fetch.nbytes += take;
+		chunk = chunk.slice(take);
+		if (fetch.nbytes < blocklen)
+			break;
+
+		data = Buffer.concat(fetch.bufs);
+		this.cacheBlock(fetch.block, data);
+		this.blockDone(fetch.block, null, data);
+		fetch.block++;
+		fetch.bufs = [];
+		fetch.nbytes = 0;
+	}
+};
+
+RemoteFile.prototype.fetchDone = function (fetch)
+{
+	var i = this.rf_fetches.indexOf(fetch);
+
+	if (i != -1)
+		this.rf_fetches.splice(i, 1);
+};
+
+/*
+ * Invoke the callbacks waiting for block "i".
+ */
+RemoteFile.prototype.blockDone = function (i, err, data)
+{
+	var callbacks;
+
+	if (!this.rf_waiters.hasOwnProperty(i))
+		return;
+
+	callbacks = this.rf_waiters[i];
+	delete (this.rf_waiters[i]);
+	callbacks.forEach(function (callback) { callback(err, data); });
+};
+
+/*
+ * Add block "i" to the cache, evicting the least recently used blocks if
+ * there are too many.
+ */
+RemoteFile.prototype.cacheBlock = function (i, data)
+{
+	var f = this;
+	var lru;
+
+	this.rf_blocks[i] = { 'data': data, 'used': ++this.rf_nused };
+	this.rf_nblocks++;
+	while (this.rf_nblocks > this.rf_maxblocks) {
+		lru = null;
+		Object.keys(this.rf_blocks).forEach(function (j) {
+			if (lru === null ||
+			    f.rf_blocks[j].used < f.rf_blocks[lru].used)
+				lru = j;
+		});
+		this.rf_log.debug('evicting block %s', lru);
+		delete (this.rf_blocks[lru]);
+		this.rf_nblocks--;
+	}
+};
+
+
+/*
+ * Readable stream returned by RemoteFile.createReadStream(), which reads bytes
+ * "start" up to (but not including) "end" from "file".
+ */
+function RemoteFileStream(file, start, end)
+{
+	this.fs_file = file;
+	this.fs_pos = start;
+	this.fs_end = end;
+
+	mod_stream.Readable.call(this,
+	    { 'highWaterMark': file.rf_blocksize });
+}
+
+mod_util.inherits(RemoteFileStream, mod_stream.Readable);
+
+RemoteFileStream.prototype._read = function ()
+{
+	var s = this;
+	var length;
+
+	/* Read up to the end of the current block. */
+	length = Math.min(this.fs_end, (Math.floor(this.fs_pos /
+	    this.fs_file.rf_blocksize) + 1) * this.fs_file.rf_blocksize) -
+	    this.fs_pos;
+	this.fs_file.read(this.fs_pos, length, function (err, buf) {
+		if (err) {
+			s.destroy(err);
+			return;
+		}
+
+		s.fs_pos += buf.length;
+		s.push(buf.length === 0 ? null : buf);
+	});
+};
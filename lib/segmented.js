@@ -0,0 +1,545 @@
+/*
+ * segmented.js: Readable stream for HTTP resources that fetches several byte
+ * ranges of the resource in parallel.
+ */
+
+var mod_assert = require('assert');
+var mod_util = require('util');
+var mod_stream = require('stream');
+
+/*
+ * For 0.8, require the special readable-stream module for Readable.
+ */
+if (!mod_stream.Transform)
+	mod_stream = require('readable-stream');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var mod_abort = require('./abort');
+var mod_backoff = require('./backoff');
+var mod_client = require('./client');
+var mod_digest = require('./digest');
+var mod_errors = require('./errors');
+var ReliableHttpStream = require('./httpstream');
+
+/* Public interface */
+module.exports = SegmentedHttpStream;
+
+/*
+ * A SegmentedHttpStream is a readable stream for a given HTTP resource that
+ * splits the resource into several byte ranges ("segments") and fetches up to
+ * "concurrency" of them at once.  Each segment is fetched with its own
+ * ReliableHttpStream, so transient failures and premature closes are retried
+ * independently for each segment.  Data is always emitted in order.  Segments
+ * after the one currently being emitted stop fetching once they've buffered
+ * "highWaterMark" bytes, so a slow consumer causes at most "concurrency"
+ * segment buffers to fill up.
+ *
+ * The size, validators (etag and last-modified time), and digests of the
+ * resource are determined up front with a HEAD request.  Each segment's
+ * requests are conditional on those validators, and each segment must have the
+ * same etag (or, failing that, the same last-modified time).  If the HEAD
+ * response has neither, the stream emits an error, since there would be no way
+ * to tell whether the segments all came from the same version of the resource.
+ * The digests of the reassembled data are checked against those advertised by
+ * the server (if any) and those supplied by the caller.
+ *
+ * As with ReliableHttpStream, destroy() (or abort()) stops fetching all of the
+ * segments, and the stream emits "close" once it's stopped.
+ *
+ * Arguments include "client", "path", "url", "agent", "tls", "log",
+ * "highWaterMark", "retryPolicy", "classifyError", "headers", "beforeRequest",
+ * "maxRedirects", "refreshUrl", "algorithms", "digests", and "signal", which
+ * are the same as for ReliableHttpStream, plus:
+ *
+ *     concurrency	maximum number of segments to fetch at once
+ *
+ *     segmentSize	If specified, the size (in bytes) of each segment.
+ *     			Otherwise, the resource is split into "concurrency"
+ *     			segments of equal size.
+ *
+ * "headers" and "beforeRequest" apply to the HEAD request as well as to each
+ * segment's requests.  Since each segment is fetched by its own stream, the
+ * "attempt" passed to the hook describes the request for that segment only.
+ * Likewise, each segment follows redirects on its own, and invokes
+ * "refreshUrl" on its own when its requests aren't authorized.
+ *
+ * Errors from a segment are annotated with the segment's byte range, but keep
+ * their class (see lib/errors.js), so the fields they carry (e.g., "bytesRead")
+ * describe that segment's stream.
+ */
+function SegmentedHttpStream(args)
+{
+	mod_assert.equal('object', typeof (args['log']),
+	    '"log" arg must be a bunyan log');
+	mod_assert.equal('number', typeof (args['highWaterMark']),
+	    '"highWaterMark" arg must be a number');
+	mod_assert.ok(typeof (args['concurrency']) == 'number' &&
+	    args['concurrency'] >= 1,
+	    '"concurrency" arg must be a positive number');
+	mod_assert.ok(args['segmentSize'] === undefined ||
+	    (typeof (args['segmentSize']) == 'number' &&
+	    args['segmentSize'] >= 1),
+	    '"segmentSize" arg must be a positive number');
+	mod_assert.ok(args['classifyError'] === undefined ||
+	    typeof (args['classifyError']) == 'function',
+	    '"classifyError" arg must be a function');
+	mod_assert.ok(args['maxRedirects'] === undefined ||
+	    (typeof (args['maxRedirects']) == 'number' &&
+	    args['maxRedirects'] >= 0),
+	    '"maxRedirects" arg must be a non-negative number');
+	mod_assert.ok(args['refreshUrl'] === undefined ||
+	    typeof (args['refreshUrl']) == 'function',
+	    '"refreshUrl" arg must be a function');
+	mod_assert.ok(args['headers'] === undefined ||
+	    typeof (args['headers']) == 'object',
+	    '"headers" arg must be an object');
+	mod_assert.ok(args['beforeRequest'] === undefined ||
+	    typeof (args['beforeRequest']) == 'function',
+	    '"beforeRequest" arg must be a function');
+	mod_abort.checkSignal(args['signal']);
+
+	this.ss_log = args['log'];
+	this.ss_target = mod_client.fromArgs(args);
+	this.ss_highwatermark = args['highWaterMark'];
+	this.ss_concurrency = args['concurrency'];
+	this.ss_segsize = args['segmentSize'] || null;
+	this.ss_retrypolicy = args['retryPolicy'] || {
+	    'retries': 3,
+	    'minTimeout': 1000,
+	    'maxTimeout': 10000
+	};
+	this.ss_classify = args['classifyError'];
+	this.ss_headers = args['headers'] || null;
+	this.ss_hook = args['beforeRequest'] || null;
+	this.ss_maxredirects = args['maxRedirects'] === undefined ? 5 :
+	    args['maxRedirects'];
+	this.ss_clientargs = { 'agent': args['agent'], 'tls': args['tls'] };
+	this.ss_refresh = args['refreshUrl'];
+
+	/* runtime state */
+	this.ss_probing = false;	/* HEAD request in progress */
+	this.ss_probe = null;		/* outstanding HEAD request */
+	this.ss_retry = null;		/* retries of HEAD request */
+	this.ss_nprobes = 0;		/* HEAD requests issued */
+	this.ss_reason = 'initial';	/* reason for next HEAD request */
+	this.ss_segments = null;	/* see makeSegments() */
+	this.ss_nstarted = 0;		/* number of segments started */
+	this.ss_current = 0;		/* segment currently being emitted */
+	this.ss_nbytesread = 0;		/* number of bytes emitted */
+	this.ss_verifier = new mod_digest.Verifier({
+	    'algorithms': args['algorithms'] || [ 'md5' ],
+	    'expected': args['digests'] || {}
+	});
+	this.ss_aborted = null;
+	this.ss_error = null;
+	this.ss_done = false;		/* emitted all segments */
+	this.ss_reading = false;	/* read in progress */
+
+	/* populated from HEAD response headers */
+	this.ss_exp_len = null;
+	this.ss_exp_etag = null;
+	this.ss_exp_lastmod = null;
+
+	mod_stream.Readable.call(this,
+	    { 'highWaterMark': args['highWaterMark'] });
+
+	if (args['signal'] !== undefined)
+		mod_abort.watchSignal(this, args['signal']);
+}
+
+mod_util.inherits(SegmentedHttpStream, mod_stream.Readable);
+
+if (typeof (mod_stream.Readable.prototype.destroy) != 'function')
+	SegmentedHttpStream.prototype.destroy = mod_abort.destroy;
+
+SegmentedHttpStream.prototype._read = function ()
+{
+	if (this.ss_aborted !== null) {
+		this.ss_log.warn('ignoring _read() called after aborted');
+		return;
+	}
+
+	if (this.ss_error !== null) {
+		this.ss_log.warn('ignoring _read() called after error');
+		return;
+	}
+
+	this.ss_reading = true;
+
+	if (this.ss_segments !== null) {
+		this.pump();
+		return;
+	}
+
+	if (this.ss_probing)
+		/* The HEAD request is still pending. */
+		return;
+
+	this.probe();
+};
+
+/*
+ * Issue a HEAD request to learn the size, etag, and digests of the resource,
+ * and then start fetching the first segments.  Failures are retried as for
+ * ReliableHttpStream (see mod_backoff.classify()).
+ */
+SegmentedHttpStream.prototype.probe = function ()
+{
+	var s = this;
+
+	this.ss_probing = true;
+	this.ss_retry = new mod_backoff.Backoff(this.ss_retrypolicy);
+	this.ss_retry.attempt(function () { s.probeStart(); });
+};
+
+/*
+ * Issue the HEAD request to "target" (which defaults to the resource itself),
+ * having followed "nredirects" redirects to get there.
+ */
+SegmentedHttpStream.prototype.probeStart = function (target, nredirects)
+{
+	var s = this;
+	var options, attempt;
+
+	if (this.ss_aborted !== null)
+		return;
+
+	target = target || this.ss_target;
+	nredirects = nredirects || 0;
+	options = {
+	    'method': 'HEAD',
+	    'path': target['path'],
+	    'headers': {}
+	};
+	attempt = {
+	    'number': ++this.ss_nprobes,
+	    'reason': this.ss_reason,
+	    'bytesRead': 0
+	};
+	mod_client.prepareRequest(target, this.ss_headers, this.ss_hook,
+	    options, attempt, function (err) {
+		if (s.ss_aborted !== null || s.ss_error !== null)
+			return;
+
+		if (err) {
+			s.internalError(new VError(err,
+			    'beforeRequest hook failed'));
+			return;
+		}
+
+		s.ss_log.debug('probe: initiating HEAD request', options);
+		s.ss_probe = target['client'].startRequest(options,
+		    function (err2, res) {
+			if (!err2 && mod_client.isRedirect(res))
+				s.probeRedirect(target, nredirects, res);
+			else
+				s.probeResult(err2, res);
+		    });
+	    });
+};
+
+SegmentedHttpStream.prototype.probeRedirect = function (target, nredirects,
+    res)
+{
+	var location, next, err;
+
+	this.ss_probe = null;
+	res.resume();
+	location = res.headers['location'];
+	if (nredirects >= this.ss_maxredirects) {
+		this.internalError(new VError('too many redirects (%d) ' +
+		    '(last to "%s")', nredirects + 1, location));
+		return;
+	}
+
+	next = mod_client.resolveRedirect(target, location,
+	    this.ss_clientargs);
+	if (next === null) {
+		this.internalError(new VError(
+		    'unsupported redirect location: "%s"', location));
+		return;
+	}
+
+	err = mod_client.checkRedirect(target, next, location);
+	if (err !== null) {
+		this.internalError(err);
+		return;
+	}
+
+	this.ss_log.debug('probe: status %d: redirected to "%s"',
+	    res.statusCode, location);
+	this.ss_reason = 'redirect';
+	this.probeStart(next, nredirects + 1);
+};
+
+SegmentedHttpStream.prototype.probeResult = function (err, res)
+{
+	var s = this;
+	var disposition;
+
+	this.ss_probe = null;
+	if (!err) {
+		res.resume();
+		this.probeDone(res);
+		return;
+	}
+
+	disposition = mod_backoff.classify(err, res, this.ss_classify);
+	if (disposition == 'resume') {
+		this.ss_log.warn(err,
+		    'probe: found error, will retry immediately');
+		this.ss_reason = 'resume';
+		setImmediate(function () { s.probeStart(); });
+		return;
+	}
+
+	if (disposition == 'retry' && this.ss_retry.retry(err, res)) {
+		this.ss_log.warn(err, 'probe: found error, will retry');
+		this.ss_reason = 'retry';
+		return;
+	}
+
+	if (disposition == 'retry')
+		err = new mod_errors.RetriesExhaustedError({
+		    'cause': err,
+		    'limit': 'retryPolicy'
+		}, 'giving up on HEAD request');
+	this.internalError(err);
+};
+
+SegmentedHttpStream.prototype.probeDone = function (res)
+{
+	var s = this;
+
+	this.ss_probing = false;
+	this.ss_exp_len = parseInt(res.headers['content-length'], 10);
+	this.ss_exp_etag = res.headers['etag'] || null;
+	this.ss_exp_lastmod = res.headers['last-modified'] || null;
+	mod_digest.parseDigestHeaders(res.headers, true).forEach(function (d) {
+		s.ss_verifier.expect(d.algorithm, d.value, d.source);
+	});
+	this.ss_log.debug({
+	    'content-length': this.ss_exp_len,
+	    'etag': this.ss_exp_etag,
+	    'last-modified': this.ss_exp_lastmod,
+	    'digests': this.ss_verifier.expected()
+	}, 'probe: response details');
+
+	if (isNaN(this.ss_exp_len)) {
+		this.internalError(new VError('HEAD response has missing or ' +
+		    'invalid content-length: %j',
+		    res.headers['content-length']));
+		return;
+	}
+
+	if (this.ss_exp_etag === null && this.ss_exp_lastmod === null) {
+		this.internalError(new VError('HEAD response has no etag or ' +
+		    'last-modified (segments could come from different ' +
+		    'versions of the resource)'));
+		return;
+	}
+
+	this.makeSegments();
+	this.startSegments();
+	if (this.ss_reading)
+		this.pump();
+};
+
+/*
+ * Divide the resource into segments.  Each segment records the (inclusive)
+ * byte range it covers, the ReliableHttpStream used to fetch it (once it's
+ * been started), and whether that stream has ended.
+ */
+SegmentedHttpStream.prototype.makeSegments = function ()
+{
+	var segsize, start;
+
+	segsize = this.ss_segsize ||
+	    Math.max(1, Math.ceil(this.ss_exp_len / this.ss_concurrency));
+	this.ss_segments = [];
+	for (start = 0; start < this.ss_exp_len; start += segsize) {
+		this.ss_segments.push({
+		    'start': start,
+		    'end': Math.min(start + segsize, this.ss_exp_len) - 1,
+		    'stream': null,
+		    'ended': false
+		});
+	}
+
+	this.ss_log.debug('split %d bytes into %d segments',
+	    this.ss_exp_len, this.ss_segments.length);
+};
+
+/*
+ * Start fetching as many segments as we're allowed to, counting the one
+ * currently being emitted.
+ */
+SegmentedHttpStream.prototype.startSegments = function ()
+{
+	while (this.ss_nstarted < this.ss_segments.length &&
+	    this.ss_nstarted < this.ss_current + this.ss_concurrency)
+		this.startSegment(this.ss_nstarted++);
+};
+
+SegmentedHttpStream.prototype.startSegment = function (i)
+{
+	var s = this;
+	var seg = this.ss_segments[i];
+
+	this.ss_log.debug('starting segment %d (bytes %d-%d)',
+	    i, seg.start, seg.end);
+	seg.stream = new ReliableHttpStream({
+	    'client': this.ss_target['client'],
+	    'path': this.ss_target['path'],
+	    'agent': this.ss_clientargs['agent'],
+	    'tls': this.ss_clientargs['tls'],
+	    'maxRedirects': this.ss_maxredirects,
+	    'refreshUrl': this.ss_refresh,
+	    'log': this.ss_log.child({ 'segment': i }),
+	    'highWaterMark': this.ss_highwatermark,
+	    'retryPolicy': this.ss_retrypolicy,
+	    'classifyError': this.ss_classify,
+	    'headers': this.ss_headers || undefined,
+	    'beforeRequest': this.ss_hook || undefined,
+	    'start': seg.start,
+	    'end': seg.end,
+	    'etag': this.ss_exp_etag || undefined,
+	    'lastModified': this.ss_exp_lastmod || undefined,
+	    'algorithms': []
+	});
+
+	seg.stream.on('readable', function () {
+		if (i == s.ss_current)
+			s.pump();
+	});
+
+	seg.stream.on('end', function () {
+		seg.ended = true;
+		if (i == s.ss_current)
+			s.pump();
+	});
+
+	seg.stream.on('error', function (err) {
+		s.internalError(mod_errors.wrapError(err,
+		    'segment %d (bytes %d-%d)', i, seg.start, seg.end));
+	});
+
+	/*
+	 * Kick off the first request.  The segment stream will keep fetching
+	 * until it has buffered "highWaterMark" bytes.
+	 */
+	seg.stream.read(0);
+};
+
+/*
+ * Emit the next chunk of data from the segment currently being emitted,
+ * moving on to the next segment when this one has ended.
+ */
+SegmentedHttpStream.prototype.pump = function ()
+{
+	var seg, buf, err;
+
+	if (!this.ss_reading || this.ss_error !== null ||
+	    this.ss_aborted !== null)
+		return;
+
+	while (this.ss_current < this.ss_segments.length) {
+		seg = this.ss_segments[this.ss_current];
+		buf = seg.stream.read();
+		if (buf !== null) {
+			this.ss_log.trace('read %d bytes from segment %d',
+			    buf.length, this.ss_current);
+			this.ss_nbytesread += buf.length;
+			this.ss_verifier.update(buf);
+			this.ss_reading = false;
+			this.push(buf);
+			return;
+		}
+
+		if (!seg.ended) {
+			/* Wait for "readable" or "end" on this segment. */
+			this.ss_log.trace('read null; waiting for more data');
+			return;
+		}
+
+		this.ss_log.debug('segment %d done', this.ss_current);
+		this.ss_current++;
+		this.startSegments();
+	}
+
+	this.ss_log.debug('all segments done after %d bytes',
+	    this.ss_nbytesread);
+	this.ss_reading = false;
+
+	err = this.ss_verifier.verify();
+	if (err !== null) {
+		this.internalError(err);
+		return;
+	}
+
+	this.ss_log.debug({ 'digests': this.ss_verifier.digests() },
+	    'digests matched');
+	this.ss_done = true;
+	this.push(null);
+};
+
+/*
+ * See ReliableHttpStream.digests().
+ */
+SegmentedHttpStream.prototype.digests = function ()
+{
+	return (this.ss_verifier.digests());
+};
+
+SegmentedHttpStream.prototype.internalError = function (err)
+{
+	if (this.ss_error !== null || this.ss_aborted !== null) {
+		this.ss_log.warn(err, 'ignoring error after stream stopped');
+		return;
+	}
+
+	this.ss_error = err;
+	this.ss_log.error(err);
+	this.stopAndCleanUp();
+	this.destroy(err);
+};
+
+SegmentedHttpStream.prototype.stopAndCleanUp = function ()
+{
+	mod_assert.ok(this.ss_error || this.ss_aborted);
+	if (this.ss_probe !== null)
+		this.ss_probe.abort();
+	if (this.ss_retry !== null)
+		this.ss_retry.cancel();
+	if (this.ss_segments !== null) {
+		this.ss_segments.forEach(function (seg) {
+			if (seg.stream !== null && !seg.ended)
+				seg.stream.abort();
+		});
+	}
+};
+
+/*
+ * See ReliableHttpStream.prototype._destroy().
+ */
+SegmentedHttpStream.prototype._destroy = function (err, callback)
+{
+	if (this.ss_aborted === null && this.ss_error === null &&
+	    !this.ss_done) {
+		this.ss_aborted = new Date();
+		this.ss_log.info(err || {}, 'aborted');
+		this.stopAndCleanUp();
+	}
+
+	callback(err);
+};
+
+/*
+ * Equivalent to destroy() with no error, for compatibility.
+ */
+SegmentedHttpStream.prototype.abort = function ()
+{
+	this.destroy();
+};
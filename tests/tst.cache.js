@@ -0,0 +1,494 @@
+/*
+ * tst.cache.js: exercise HttpCache, including revalidation, resuming partial
+ * copies, and eviction.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_os = require('os');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * This test runs a simple HTTP server that supports Range requests,
+ * "If-Match", and "If-None-Match".  Each test case uses a new cache to fetch
+ * one or more resources in sequence, and describes:
+ *
+ *	size		Size of each resource, in bytes.
+ *
+ *	[maxSize]	"maxSize" of the cache.  Defaults to 10 MiB.
+ *
+ *	[weak]		If true, the server sends weak etags.
+ *
+ *	fetches		List of fetches to make, in order, each with:
+ *
+ *		[resource]	Name of the resource to fetch.  Defaults to
+ *				"r".
+ *
+ *		[change]	If true, the resource changes (getting a new
+ *				etag) before this fetch.
+ *
+ *		[crash]		If true, the server cuts off the response to
+ *				this fetch halfway through and fails subsequent
+ *				requests with a 400 error, so the fetch fails.
+ *
+ *		[parallel]	If present, the number of identical fetches to
+ *				make at once.  The first is expected to be as
+ *				described by "expect", and the rest to be "hit".
+ *
+ *		expect		What should happen: "miss" (the resource is
+ *				fetched from the server), "hit" (the server
+ *				says it's unchanged, and the copy is used),
+ *				"resumed" (the rest of a partial copy is
+ *				fetched with a Range request), or "error".
+ *
+ *	[cached]	Resources expected to be in the cache at the end.
+ *
+ *	[evicted]	Resources expected not to be in the cache at the end.
+ */
+var test_cases = {
+    'hit': {
+	'size': 100 * 1024,
+	'fetches': [
+	    { 'expect': 'miss' },
+	    { 'expect': 'hit' },
+	    { 'expect': 'hit' }
+	],
+	'cached': [ 'r' ]
+    },
+    'changed': {
+	'size': 100 * 1024,
+	'fetches': [
+	    { 'expect': 'miss' },
+	    { 'change': true, 'expect': 'miss' },
+	    { 'expect': 'hit' }
+	],
+	'cached': [ 'r' ]
+    },
+    'resume': {
+	'size': 1024 * 1024,
+	'fetches': [
+	    { 'crash': true, 'expect': 'error' },
+	    { 'expect': 'resumed' },
+	    { 'expect': 'hit' }
+	],
+	'cached': [ 'r' ]
+    },
+    'resume_changed': {
+	/* a new version fails partway through after an old one was cached */
+	'size': 1024 * 1024,
+	'fetches': [
+	    { 'expect': 'miss' },
+	    { 'change': true, 'crash': true, 'expect': 'error' },
+	    { 'expect': 'resumed' },
+	    { 'expect': 'hit' }
+	],
+	'cached': [ 'r' ]
+    },
+    'weak': {
+	'size': 10 * 1024,
+	'weak': true,
+	'fetches': [
+	    { 'expect': 'miss' },
+	    { 'expect': 'miss' }
+	],
+	'evicted': [ 'r' ]
+    },
+    'parallel': {
+	'size': 100 * 1024,
+	'fetches': [
+	    { 'parallel': 3, 'expect': 'miss' }
+	],
+	'cached': [ 'r' ]
+    },
+    'evict': {
+	'size': 100 * 1024,
+	'maxSize': 250 * 1024,
+	'fetches': [
+	    { 'resource': 'a', 'expect': 'miss' },
+	    { 'resource': 'b', 'expect': 'miss' },
+	    { 'resource': 'a', 'expect': 'hit' },
+	    { 'resource': 'c', 'expect': 'miss' }
+	],
+	'cached': [ 'a', 'c' ],
+	'evicted': [ 'b' ]
+    }
+};
+var test_state = {};	/* server-side state, indexed by resource path */
+var log, server, address, tmpdir;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.cache.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		tmpdir = mod_os.tmpdir() + '/tst.cache.' + process.pid;
+		mod_fs.mkdir(tmpdir, callback);
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		removeAll(tmpdir);
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var cache, funcs;
+
+	log.info('test "%s": start', name);
+	cache = new mod_httpstream.HttpCache({
+	    'directory': tmpdir + '/' + name,
+	    'maxSize': t['maxSize'] || 10 * 1024 * 1024,
+	    'log': log
+	});
+
+	funcs = t['fetches'].map(function (f, i) {
+		return (function (_2, subcallback) {
+			runFetch(name, t, cache, f, i, subcallback);
+		});
+	});
+	funcs.push(function checkIndex(_2, subcallback) {
+		var index, keys;
+
+		index = JSON.parse(mod_fs.readFileSync(
+		    tmpdir + '/' + name + '/index.json'));
+		keys = index.filter(function (e) {
+			return (e['etag'] !== null);
+		}).map(function (e) {
+			return (e['key']);
+		});
+		(t['cached'] || []).forEach(function (r) {
+			mod_assert.ok(keys.indexOf(resourceUrl(name, r)) != -1,
+			    'expected "' + r + '" to be cached');
+		});
+		(t['evicted'] || []).forEach(function (r) {
+			mod_assert.ok(keys.indexOf(resourceUrl(name, r)) == -1,
+			    'expected "' + r + '" not to be cached');
+		});
+		log.info('test "%s": done', name);
+		subcallback();
+	});
+
+	mod_vasync.pipeline({ 'funcs': funcs }, callback);
+}
+
+/*
+ * Make fetch "f" (the "i"th) of test case "t" called "name" using "cache", and
+ * check the outcome.
+ */
+function runFetch(name, t, cache, f, i, callback)
+{
+	var resource, state, opts, nleft, outcomes, nparallel, j;
+
+	resource = f['resource'] || 'r';
+	state = resourceState(name, resource, t);
+	if (f['change']) {
+		state['version']++;
+		makeContents(state, t);
+	}
+	state['crash'] = f['crash'] ? 'pending' : null;
+	state['statuses'] = [];
+	state['ranges'] = [];
+
+	opts = {
+	    'url': resourceUrl(name, resource),
+	    'log': log,
+	    'commitInterval': 64 * 1024,
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 50,
+		'maxTimeout': 100
+	    }
+	};
+
+	log.info('test "%s": fetch %d of "%s"', name, i, resource);
+	nparallel = f['parallel'] || 1;
+	nleft = nparallel;
+	outcomes = [];
+	for (j = 0; j < nparallel; j++) {
+		cache.fetch(opts, function (err, result) {
+			readResult(err, result, function (err2, outcome) {
+				if (err2) {
+					nleft = -1;
+					callback(err2);
+					return;
+				}
+
+				outcomes.push(outcome);
+				if (--nleft === 0)
+					checkOutcomes(name, f, state,
+					    outcomes, callback);
+			});
+		});
+	}
+}
+
+/*
+ * Read the body from the result of a fetch, and invoke callback(err, outcome)
+ * with an object describing it.
+ */
+function readResult(err, result, callback)
+{
+	var bufs = [];
+
+	if (err) {
+		callback(null, { 'error': err });
+		return;
+	}
+
+	result['stream'].on('data', function (c) { bufs.push(c); });
+	result['stream'].on('error', function (err2) { callback(err2); });
+	result['stream'].on('end', function () {
+		callback(null, {
+		    'error': null,
+		    'result': result,
+		    'data': Buffer.concat(bufs)
+		});
+	});
+}
+
+/*
+ * Check that the outcomes of the parallel fetches for fetch "f" are as
+ * expected.
+ */
+function checkOutcomes(name, f, state, outcomes, callback)
+{
+	var expected;
+
+	expected = outcomes.map(function (_, j) {
+		return (j === 0 ? f['expect'] : 'hit');
+	});
+
+	/* The first to complete must be the one that did the work. */
+	outcomes.forEach(function (o, j) {
+		var result = o['result'];
+
+		if (expected[j] == 'error') {
+			mod_assert.ok(o['error'], 'expected error');
+			log.debug(o['error'], 'test "%s": found expected error',
+			    name);
+			state['crash'] = null;
+			return;
+		}
+
+		if (o['error']) {
+			callback(new VError(o['error'], 'unexpected error'));
+			callback = function () {};
+			return;
+		}
+
+		mod_assert.ok(o['data'].toString('binary') ==
+		    state['raw'].toString('binary'), 'data mismatch');
+		mod_assert.equal(result['size'], state['raw'].length);
+		mod_assert.equal(result['digests']['md5'], state['md5sum']);
+		mod_assert.equal(result['fromCache'], expected[j] == 'hit');
+		if (expected[j] == 'resumed') {
+			mod_assert.ok(result['resumedFrom'] > 0);
+			mod_assert.ok(state['ranges'].indexOf(
+			    result['resumedFrom']) != -1,
+			    'did not resume with Range');
+		} else {
+			mod_assert.equal(result['resumedFrom'], 0);
+		}
+	});
+
+	/* The server must have sent the body only as often as needed. */
+	mod_assert.equal(state['statuses'].filter(function (s) {
+		return (s == 304);
+	}).length, expected.filter(function (e) {
+		return (e == 'hit');
+	}).length);
+
+	log.debug('test "%s": fetch outcomes as expected (%j)', name,
+	    state['statuses']);
+	callback();
+}
+
+function resourceUrl(name, resource)
+{
+	return ('http://' + address['address'] + ':' + address['port'] + '/' +
+	    name + '/' + resource);
+}
+
+/*
+ * Returns the server-side state for resource "resource" of test case "name",
+ * creating it if needed.
+ */
+function resourceState(name, resource, t)
+{
+	var path = '/' + name + '/' + resource;
+
+	if (!test_state.hasOwnProperty(path)) {
+		test_state[path] = {
+		    'version': 0,		/* incremented on "change" */
+		    'weak': t['weak'] === true,	/* send weak etags */
+		    'crash': null,		/* see "crash" */
+		    'statuses': [],		/* responses for this fetch */
+		    'ranges': []		/* start of each Range */
+		};
+		makeContents(test_state[path], t);
+	}
+
+	return (test_state[path]);
+}
+
+/*
+ * Generate the contents, etag, and md5 of the current version of a resource.
+ */
+function makeContents(state, t)
+{
+	var buf, i, clow, chigh;
+
+	buf = new Buffer(t['size']);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < t['size']; i++)
+		buf[i] = clow + ((i * 7 + state['version']) % (chigh - clow));
+
+	state['raw'] = buf;
+	state['etag'] = (state['weak'] ? 'W/' : '') + '"v' +
+	    state['version'] + '"';
+	state['md5sum'] = mod_crypto.createHash('md5').update(buf).digest(
+	    'base64');
+}
+
+/*
+ * Server-side function to handle requests.  The resource is identified by the
+ * URL.
+ */
+function handleRequest(req, res)
+{
+	var state, raw, match, low;
+
+	mod_assert.ok(test_state.hasOwnProperty(req.url));
+	state = test_state[req.url];
+	raw = state['raw'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+
+	var respond = function (code, headers, body) {
+		state['statuses'].push(code);
+		res.writeHead(code, headers);
+		res.end(body);
+	};
+
+	if (state['crash'] == 'failing') {
+		respond(400);
+		return;
+	}
+
+	if (req.headers['if-match'] !== undefined &&
+	    req.headers['if-match'] != state['etag']) {
+		respond(412);
+		return;
+	}
+
+	if (req.headers['if-none-match'] !== undefined &&
+	    req.headers['if-none-match'].replace(/^W\//, '') ==
+	    state['etag'].replace(/^W\//, '')) {
+		respond(304, { 'etag': state['etag'] });
+		return;
+	}
+
+	if (req.headers['range'] === undefined) {
+		state['statuses'].push(200);
+		res.writeHead(200, {
+		    'content-length': raw.length,
+		    'content-md5': state['md5sum'],
+		    'etag': state['etag']
+		});
+
+		if (state['crash'] == 'pending') {
+			state['crash'] = 'failing';
+			res.end(raw.slice(0, Math.floor(raw.length / 2)));
+			res.on('finish', function () { req.socket.destroy(); });
+			return;
+		}
+
+		res.end(raw);
+		return;
+	}
+
+	match = /^bytes=(\d+)-$/.exec(req.headers['range']);
+	if (match === null) {
+		respond(400, {}, 'client made the wrong "Range" request');
+		return;
+	}
+
+	low = parseInt(match[1], 10);
+	state['ranges'].push(low);
+	respond(206, {
+	    'content-length': raw.length - low,
+	    'content-range': 'bytes ' + low + '-' + (raw.length - 1) + '/' +
+	        raw.length,
+	    'etag': state['etag']
+	}, raw.slice(low));
+}
+
+/*
+ * Remove directory "dir" and everything in it.
+ */
+function removeAll(dir)
+{
+	mod_fs.readdirSync(dir).forEach(function (f) {
+		var path = dir + '/' + f;
+		if (mod_fs.statSync(path).isDirectory())
+			removeAll(path);
+		else
+			mod_fs.unlinkSync(path);
+	});
+	mod_fs.rmdirSync(dir);
+}
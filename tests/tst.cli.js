@@ -0,0 +1,356 @@
+/*
+ * tst.cli.js: exercise the "httpstream" command-line tool.
+ */
+
+var mod_assert = require('assert');
+var mod_child = require('child_process');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_os = require('os');
+var mod_path = require('path');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var CLI = mod_path.join(__dirname, '..', 'bin', 'httpstream');
+
+/*
+ * This test runs the command against a simple HTTP server.  Each test case
+ * describes the resource, how the server misbehaves, and what the command
+ * should do:
+ *
+ *	size		Size of the resource, in bytes.
+ *
+ *	args		Command-line arguments (before the URL).
+ *
+ *	[header]	If present, the server fails requests without this
+ *			header (as "name: value") with a 400 error.
+ *
+ *	[interrupt]	If true, the server cuts off the first response halfway
+ *			through.
+ *
+ *	[change_etag]	If true, the server changes the etag of the resource
+ *			after the first request.
+ *
+ *	[status]	If present, the server fails every request with this
+ *			status code.
+ *
+ *	[start], [end]	The byte range the command is expected to fetch.
+ *
+ *	[output]	If true, the command is expected to write to the file
+ *			given by "-o" (which is appended to "args").
+ *
+ *	[stderr]	If present, a regular expression that the command's
+ *			stderr must match.
+ *
+ *	[head]		If present, the test reads only this many bytes of the
+ *			command's stdout and then closes it (as "head" would).
+ *
+ *	exit		Expected exit status.  If 0, the command must have
+ *			written the expected data.
+ */
+var test_cases = {
+    'basic': {
+	'size': 100 * 1024,
+	'args': [],
+	'exit': 0
+    },
+    'interrupted': {
+	'size': 1024 * 1024,
+	'args': [],
+	'interrupt': true,
+	'exit': 0
+    },
+    'range_file': {
+	'size': 10000,
+	'args': [ '-r', '1000-1999' ],
+	'start': 1000,
+	'end': 1999,
+	'output': true,
+	'exit': 0
+    },
+    'header': {
+	'size': 1024,
+	'args': [ '-H', 'x-test-header: yes' ],
+	'header': 'x-test-header: yes',
+	'exit': 0
+    },
+    'checksum': {
+	'size': 1024,
+	'args': [ '-c', 'sha256=' ],
+	'exit': 0
+    },
+    'progress': {
+	'size': 1024,
+	'args': [ '-p' ],
+	'stderr': /1\.0 KiB of 1\.0 KiB \(100%\)/,
+	'exit': 0
+    },
+    'bad_checksum': {
+	'size': 1024,
+	'args': [ '-c', 'md5=deadbeefdeadbeefdeadbeefdeadbeef' ],
+	'stderr': /md5 mismatch/,
+	'exit': 3
+    },
+    'changed': {
+	'size': 100 * 1024,
+	'args': [],
+	'interrupt': true,
+	'change_etag': true,
+	'stderr': /object changed while fetching/,
+	'exit': 4
+    },
+    'not_found': {
+	'size': 0,
+	'args': [],
+	'status': 404,
+	'exit': 5
+    },
+    'unavailable': {
+	'size': 0,
+	'args': [ '-n', '1', '-m', '10', '-M', '10' ],
+	'status': 503,
+	'exit': 6
+    },
+    'closed_stdout': {
+	'size': 8 * 1024 * 1024,
+	'args': [],
+	'head': 1024,
+	'exit': 0
+    },
+    'usage': {
+	'size': 0,
+	'args': [ '-r', 'bogus' ],
+	'stderr': /expected range START-\[END\]/,
+	'exit': 2
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case name */
+var log, server, address, tmpdir;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.cli.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		tmpdir = mod_os.tmpdir() + '/tst.cli.' + process.pid;
+		mod_fs.mkdir(tmpdir, callback);
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		mod_fs.readdirSync(tmpdir).forEach(function (f) {
+			mod_fs.unlinkSync(tmpdir + '/' + f);
+		});
+		mod_fs.rmdir(tmpdir, callback);
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, args, output, child, stdout, stderr, nread;
+
+	state = testState(name);
+	args = [ CLI ].concat(t['args']);
+	if (name == 'checksum')
+		args[args.length - 1] += state['sha256'];
+	if (t['output']) {
+		output = tmpdir + '/' + name;
+		args.push('-o', output);
+	}
+	args.push('http://' + address['address'] + ':' + address['port'] +
+	    '/' + name);
+
+	log.info({ 'args': args.slice(1) }, 'test "%s": start', name);
+	child = mod_child.spawn(process.execPath, args);
+
+	stdout = [];
+	stderr = '';
+	nread = 0;
+	child.stdout.on('data', function (chunk) {
+		stdout.push(chunk);
+		nread += chunk.length;
+		if (t['head'] !== undefined && nread >= t['head'])
+			child.stdout.destroy();
+	});
+	child.stderr.on('data', function (chunk) { stderr += chunk; });
+	child.on('close', function (code) {
+		var data, expected;
+
+		log.debug({ 'stderr': stderr }, 'test "%s": exited with %d',
+		    name, code);
+		if (code !== t['exit']) {
+			callback(new VError('test "%s": expected exit status ' +
+			    '%d, got %d (stderr: %s)', name, t['exit'], code,
+			    stderr));
+			return;
+		}
+
+		if (t['stderr'])
+			mod_assert.ok(t['stderr'].test(stderr),
+			    'unexpected stderr: ' + stderr);
+
+		if (t['exit'] === 0) {
+			data = t['output'] ? mod_fs.readFileSync(output) :
+			    Buffer.concat(stdout);
+			expected = state['raw'].slice(t['start'] || 0,
+			    t['end'] === undefined ? state['raw'].length :
+			    t['end'] + 1);
+			if (t['head'] !== undefined) {
+				data = data.slice(0, t['head']);
+				expected = expected.slice(0, t['head']);
+			}
+			mod_assert.ok(data.toString('binary') ==
+			    expected.toString('binary'), 'data mismatch');
+		}
+
+		log.info('test "%s": done', name);
+		callback();
+	});
+}
+
+/*
+ * Returns the server-side state for test case "name", creating it (and the
+ * resource's contents) if needed.
+ */
+function testState(name)
+{
+	var size, buf, i, clow, chigh;
+
+	if (test_state.hasOwnProperty(name))
+		return (test_state[name]);
+
+	size = test_cases[name]['size'];
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + ((i * 7) % (chigh - clow));
+
+	test_state[name] = {
+	    'etag': 'etag0',			/* resource etag */
+	    'raw': buf,				/* raw resource data */
+	    'md5sum': mod_crypto.createHash('md5').update(buf).digest(
+	        'base64'),			/* resource md5sum */
+	    'sha256': mod_crypto.createHash('sha256').update(buf).digest(
+	        'hex'),				/* resource sha256 */
+	    'nrequests': 0			/* requests received */
+	};
+	return (test_state[name]);
+}
+
+/*
+ * Server-side function to handle requests.  The case under test is identified
+ * by the URL.
+ */
+function handleRequest(req, res)
+{
+	var name, t, state, raw, match, low, high, header, code, headers;
+
+	name = req.url.substr(1);
+	mod_assert.ok(test_cases.hasOwnProperty(name));
+	t = test_cases[name];
+	state = testState(name);
+	raw = state['raw'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+
+	if (t['change_etag'] && ++state['nrequests'] > 1)
+		state['etag'] = 'etag1';
+
+	if (t['status']) {
+		res.writeHead(t['status']);
+		res.end();
+		return;
+	}
+
+	if (t['header']) {
+		header = t['header'].split(': ');
+		if (req.headers[header[0]] !== header[1]) {
+			res.writeHead(400);
+			res.end('missing header');
+			return;
+		}
+	}
+
+	if (req.headers['if-match'] !== undefined &&
+	    req.headers['if-match'] != state['etag']) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	match = /^bytes=(\d+)-(\d*)$/.exec(req.headers['range'] || '');
+	if (match === null) {
+		code = 200;
+		low = 0;
+		high = raw.length - 1;
+		headers = { 'content-md5': state['md5sum'] };
+	} else {
+		code = 206;
+		low = parseInt(match[1], 10);
+		high = match[2] === '' ? raw.length - 1 :
+		    parseInt(match[2], 10);
+		headers = { 'content-range': 'bytes ' + low + '-' + high +
+		    '/' + raw.length };
+	}
+
+	headers['content-length'] = high - low + 1;
+	headers['etag'] = state['etag'];
+	res.writeHead(code, headers);
+
+	if (t['interrupt'] && code == 200) {
+		res.end(raw.slice(0, Math.floor(raw.length / 2)));
+		res.on('finish', function () { req.socket.destroy(); });
+		return;
+	}
+
+	res.end(raw.slice(low, high + 1));
+}
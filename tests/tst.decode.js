@@ -0,0 +1,369 @@
+/*
+ * tst.decode.js: exercise ReliableHttpStream's "decode" option against a
+ * server that compresses the resource.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_http = require('http');
+var mod_zlib = require('zlib');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * Size of the (decoded) resource served for each test case, and of the one
+ * served for test cases with "compressible" set.
+ */
+var RESOURCE_SIZE = 100000;
+var COMPRESSIBLE_SIZE = 1024 * 1024;
+
+/*
+ * This test runs a simple HTTP server that serves an encoded representation of
+ * a resource, supports Range requests (in terms of the encoded bytes) and
+ * "If-Match", and can be configured to misbehave.  Each test case fetches the
+ * resource with a decoding stream, and describes:
+ *
+ *	encoding	Content coding the server applies: "gzip", "deflate",
+ *			"br", or "identity" (none).
+ *
+ *	[cuts]		List of offsets (in the encoded representation) at
+ *			which the server cuts off successive responses.
+ *
+ *	[switch]	If true, responses after the first aren't encoded.
+ *
+ *	[corrupt]	If true, the server corrupts the encoded data.
+ *
+ *	[bad_md5]	If true, the server sends the wrong "Content-MD5".
+ *
+ *	[compressible]	If true, the resource is a single repeated byte, so
+ *			that a little encoded data decodes to a lot.
+ *
+ *	[idle_timeout]	"idleTimeout" for the stream.
+ *
+ *	requests	List of the "Range" headers (or null for none) the
+ *			server expects to receive, in order.
+ *
+ *	[error]		If present, the test case expects the stream to fail
+ *			with an error matching the given regular expression.
+ */
+var test_cases = {
+    'gzip': {
+	'encoding': 'gzip',
+	'requests': [ null ]
+    },
+    'gzip_cut': {
+	'encoding': 'gzip',
+	'cuts': [ 1000, 3000 ],
+	'requests': [ null, 'bytes=1000-', 'bytes=3000-' ]
+    },
+    'gzip_resume': {
+	/*
+	 * The resumed response decodes to more than the decoder buffers, so
+	 * this stalls (without the idle timeout noticing) unless the stream
+	 * keeps draining the decoder.
+	 */
+	'encoding': 'gzip',
+	'cuts': [ 5 ],
+	'compressible': true,
+	'idle_timeout': 300,
+	'requests': [ null, 'bytes=5-' ]
+    },
+    'deflate_cut': {
+	'encoding': 'deflate',
+	'cuts': [ 5000 ],
+	'requests': [ null, 'bytes=5000-' ]
+    },
+    'identity': {
+	/* the server ignores "Accept-Encoding" */
+	'encoding': 'identity',
+	'cuts': [ 5000 ],
+	'requests': [ null, 'bytes=5000-' ]
+    },
+    'switched': {
+	'encoding': 'gzip',
+	'cuts': [ 1000 ],
+	'switch': true,
+	'requests': [ null, 'bytes=1000-' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(content-encoding changed from "gzip" to ' +
+	    '"identity"\\)')
+    },
+    'corrupt': {
+	'encoding': 'gzip',
+	'corrupt': true,
+	'requests': [ null ],
+	'error': new RegExp('^VError: failed to decode response ' +
+	    '\\(content-encoding "gzip"\\)')
+    },
+    'bad_md5': {
+	/* digests are checked against the encoded representation */
+	'encoding': 'gzip',
+	'bad_md5': true,
+	'requests': [ null ],
+	'error': /^IntegrityError: md5 mismatch/
+    }
+};
+
+if (mod_zlib.brotliCompressSync) {
+	test_cases['br_cut'] = {
+	    'encoding': 'br',
+	    'cuts': [ 2000 ],
+	    'requests': [ null, 'bytes=2000-' ]
+	};
+}
+
+var test_state = {};	/* server-side state, indexed by test case */
+var log, server, address;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.decode.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		callback();
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, stream, bufs, done;
+
+	log.info('test "%s": start', name);
+	state = test_state[name] = {
+	    'test': t,
+	    'raw': makeContents(t['compressible']), /* decoded contents */
+	    'encoded': null,		/* encoded representation */
+	    'requests': []		/* "Range" headers received */
+	};
+	state['encoded'] = encode(t['encoding'], state['raw']);
+	if (t['corrupt']) {
+		state['encoded'] = new Buffer(state['encoded']);
+		state['encoded'].fill(0, 1000, 1100);
+	}
+
+	stream = new mod_httpstream({
+	    'url': 'http://' + address['address'] + ':' + address['port'] +
+	        '/' + name,
+	    'log': log.child({ 'test': name }),
+	    'highWaterMark': 16 * 1024,
+	    'decode': true,
+	    'idleTimeout': t['idle_timeout'],
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 50,
+		'maxTimeout': 100
+	    }
+	});
+
+	bufs = [];
+	done = function (err) {
+		var data, stats;
+
+		mod_assert.deepEqual(state['requests'], t['requests']);
+		if (t['error']) {
+			if (!err) {
+				callback(new VError('expected error'));
+				return;
+			}
+
+			mod_assert.ok(t['error'].test(
+			    err.name + ': ' + err.message),
+			    'unexpected error: ' + err.message);
+			log.info('test "%s": done: found expected error', name);
+			callback();
+			return;
+		}
+
+		if (err) {
+			callback(new VError(err, 'unexpected error'));
+			return;
+		}
+
+		data = Buffer.concat(bufs);
+		mod_assert.ok(data.toString('binary') ==
+		    state['raw'].toString('binary'), 'data mismatch');
+
+		/* Byte counts and digests describe what the server sent. */
+		stats = stream.stats();
+		mod_assert.equal(stats['bytesRead'], state['encoded'].length);
+		mod_assert.equal(stats['bytesExpected'],
+		    state['encoded'].length);
+		mod_assert.equal(stats['bytesDecoded'], data.length);
+		mod_assert.equal(stream.digests()['md5'],
+		    md5(state['encoded']));
+		log.info('test "%s": done', name);
+		callback();
+	};
+
+	stream.on('data', function (c) { bufs.push(c); });
+	stream.on('error', done);
+	stream.on('end', function () { done(null); });
+}
+
+/*
+ * Generate the decoded contents of the resource, which aren't very compressible
+ * unless "compressible" is set.
+ */
+function makeContents(compressible)
+{
+	var buf, i, x, clow, chigh;
+
+	if (compressible) {
+		buf = new Buffer(COMPRESSIBLE_SIZE);
+		buf.fill('a');
+		return (buf);
+	}
+
+	buf = new Buffer(RESOURCE_SIZE);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	x = 1;
+	for (i = 0; i < RESOURCE_SIZE; i++) {
+		x = (x * 69069 + 1) % 4294967296;
+		buf[i] = clow + Math.floor(x / 16777216) % (chigh - clow + 1);
+	}
+
+	return (buf);
+}
+
+/*
+ * Returns "buf" encoded with the given content coding.
+ */
+function encode(encoding, buf)
+{
+	switch (encoding) {
+	case 'gzip':
+		return (mod_zlib.gzipSync(buf));
+	case 'deflate':
+		return (mod_zlib.deflateSync(buf));
+	case 'br':
+		return (mod_zlib.brotliCompressSync(buf));
+	default:
+		mod_assert.equal(encoding, 'identity');
+		return (buf);
+	}
+}
+
+function md5(buf)
+{
+	return (mod_crypto.createHash('md5').update(buf).digest('base64'));
+}
+
+/*
+ * Server-side function to handle requests.  The test case is identified by the
+ * URL.
+ */
+function handleRequest(req, res)
+{
+	var state, t, n, encoded, headers, match, low, body, cut;
+
+	mod_assert.ok(test_state.hasOwnProperty(req.url.substr(1)));
+	state = test_state[req.url.substr(1)];
+	t = state['test'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+	state['requests'].push(req.headers['range'] || null);
+	n = state['requests'].length;
+	mod_assert.ok(/\bgzip\b/.test(req.headers['accept-encoding']));
+	mod_assert.ok(/\bdeflate\b/.test(req.headers['accept-encoding']));
+
+	encoded = state['encoded'];
+	headers = { 'etag': '"v0"' };
+	if (t['encoding'] != 'identity' && !(t['switch'] && n > 1))
+		headers['content-encoding'] = t['encoding'];
+
+	if (req.headers['if-match'] !== undefined &&
+	    req.headers['if-match'] != headers['etag']) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	if (req.headers['range'] === undefined) {
+		low = 0;
+		headers['content-md5'] = t['bad_md5'] ?
+		    md5(new Buffer('bogus')) : md5(encoded);
+		res.statusCode = 200;
+	} else {
+		match = /^bytes=(\d+)-$/.exec(req.headers['range']);
+		if (match === null) {
+			res.writeHead(400);
+			res.end('client made the wrong "Range" request');
+			return;
+		}
+
+		low = parseInt(match[1], 10);
+		headers['content-range'] = 'bytes ' + low + '-' +
+		    (encoded.length - 1) + '/' + encoded.length;
+		res.statusCode = 206;
+	}
+
+	body = encoded.slice(low);
+	headers['content-length'] = body.length;
+	Object.keys(headers).forEach(function (h) {
+		res.setHeader(h, headers[h]);
+	});
+
+	cut = (t['cuts'] || [])[n - 1];
+	if (cut !== undefined) {
+		res.write(body.slice(0, cut - low));
+		setImmediate(function () { req.socket.destroy(); });
+		return;
+	}
+
+	res.end(body);
+}
@@ -0,0 +1,470 @@
+/*
+ * tst.download.js: exercise download() to local files, including resuming
+ * partial downloads left behind by previous attempts.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_os = require('os');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_restify = require('restify');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * This test runs a simple HTTP server that supports Range requests and
+ * "If-Match", and can be configured to misbehave.  Each test case downloads a
+ * resource to a file in a temporary directory, possibly after leaving behind
+ * the partial file and metadata of a previous attempt.  Test cases describe:
+ *
+ *	size		Size of the resource, in bytes.
+ *
+ *	[partial]	If present, before downloading, leave behind a partial
+ *			file with this many bytes committed (plus some
+ *			uncommitted garbage after that) and its metadata.
+ *
+ *	[partial_etag]	If present, the etag recorded in the metadata of the
+ *			partial file.  Defaults to the resource's etag.
+ *
+ *	[unknown_size]	If true, the metadata of the partial file doesn't
+ *			record the resource's size.
+ *
+ *	[corrupt]	If true, the partial file's committed bytes are wrong.
+ *
+ *	[crash]		If true, the server cuts off the first response halfway
+ *			through and fails subsequent requests with a 400 error
+ *			until the client has given up.  The test case then
+ *			downloads again, expecting to resume where the first
+ *			attempt left off.
+ *
+ *	[promise]	If true, use the Promise form of download().
+ *
+ *	[url]		If true, download from the URL of the resource (using
+ *			the core http adapter) rather than with a restify
+ *			client.
+ *
+ *	[resumed]	If true, the download is expected to resume a previous
+ *			one rather than start from the beginning.
+ *
+ *	[no_fetch]	If true, the download is expected to find the partial
+ *			file complete without making any requests.
+ *
+ *	[error]		If present, the test case expects the download to fail
+ *			with an error matching the given regular expression,
+ *			and the partial file to be discarded.
+ */
+var test_cases = {
+    'zero': {
+	'size': 0
+    },
+    'fresh': {
+	'size': 1024 * 1024
+    },
+    'promise': {
+	'size': 100 * 1024,
+	'promise': true
+    },
+    'resume': {
+	'size': 1024 * 1024,
+	'partial': 300 * 1024,
+	'resumed': true
+    },
+    'resume_corrupt': {
+	'size': 100 * 1024,
+	'partial': 50 * 1024,
+	'corrupt': true,
+	'error': /md5 mismatch: expected/
+    },
+    'resume_complete': {
+	/* a previous attempt committed everything but didn't finish */
+	'size': 128 * 1024,
+	'partial': 128 * 1024,
+	'resumed': true,
+	'no_fetch': true
+    },
+    'resume_complete_corrupt': {
+	'size': 128 * 1024,
+	'partial': 128 * 1024,
+	'corrupt': true,
+	'error': /md5 mismatch: expected/
+    },
+    'resume_complete_unknown_size': {
+	/* the server says there's nothing left with a 416 */
+	'size': 128 * 1024,
+	'partial': 128 * 1024,
+	'unknown_size': true,
+	'resumed': true
+    },
+    'resume_changed': {
+	'size': 100 * 1024,
+	'partial': 50 * 1024,
+	'partial_etag': 'etag-old'
+    },
+    'crash': {
+	'size': 1024 * 1024,
+	'crash': true,
+	'resumed': true
+    },
+    'crash_url': {
+	'size': 256 * 1024,
+	'crash': true,
+	'url': true,
+	'resumed': true
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case name */
+var log, server, address, client, tmpdir;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.download.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		tmpdir = mod_os.tmpdir() + '/tst.download.' + process.pid;
+		mod_fs.mkdir(tmpdir, callback);
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Create a restify client for the server we just started. */
+	function (_, callback) {
+		client = mod_restify.createClient({
+		    'url': 'http://' + address['address'] + ':' +
+		        address['port'],
+		    'log': log
+		});
+		callback();
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		client.close();
+		mod_fs.readdirSync(tmpdir).forEach(function (f) {
+			mod_fs.unlinkSync(tmpdir + '/' + f);
+		});
+		mod_fs.rmdir(tmpdir, callback);
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, path, opts;
+
+	state = testState(name);
+	path = tmpdir + '/' + name;
+	opts = {
+	    'log': log,
+	    'commitInterval': 64 * 1024,
+	    'retryPolicy': {
+		'retries': 2,
+		'minTimeout': 100,
+		'maxTimeout': 500
+	    }
+	};
+	if (t['url']) {
+		opts['url'] = 'http://' + address['address'] + ':' +
+		    address['port'] + '/' + name;
+	} else {
+		opts['client'] = client;
+		opts['path'] = '/' + name;
+	}
+
+	log.info('test "%s": start', name);
+	if (t['partial'] !== undefined)
+		makePartial(name, t, opts);
+
+	mod_vasync.pipeline({
+	    'funcs': [
+		function crashFirst(_2, subcallback) {
+			if (!t['crash']) {
+				subcallback();
+				return;
+			}
+
+			download(t, path, opts, function (err) {
+				var meta;
+
+				if (!err) {
+					subcallback(new VError(
+					    'expected first attempt to fail'));
+					return;
+				}
+
+				log.debug(err, 'test "%s": first attempt ' +
+				    'failed as expected', name);
+				mod_assert.ok(!mod_fs.existsSync(path));
+				meta = JSON.parse(mod_fs.readFileSync(
+				    path + '.part.json'));
+				mod_assert.ok(meta['committed'] > 0);
+				mod_assert.equal(meta['etag'], state['etag']);
+				state['committed'] = meta['committed'];
+				state['healthy'] = true;
+				subcallback();
+			});
+		},
+
+		function downloadIt(_2, subcallback) {
+			download(t, path, opts, function (err, result) {
+				checkResult(name, t, path, err, result,
+				    subcallback);
+			});
+		}
+	    ]
+	}, callback);
+}
+
+/*
+ * Invoke download() in the form called for by test case "t".
+ */
+function download(t, path, opts, callback)
+{
+	if (!t['promise']) {
+		mod_httpstream.download(path, opts, callback);
+		return;
+	}
+
+	mod_httpstream.download(path, opts).then(function (result) {
+		callback(null, result);
+	}, function (err) {
+		callback(err);
+	});
+}
+
+/*
+ * Check the outcome of the (last) download for test case "t".
+ */
+function checkResult(name, t, path, err, result, callback)
+{
+	var state = test_state[name];
+
+	if (err) {
+		if (t['error'] && t['error'].test(err.message)) {
+			log.debug(err, 'test "%s": found expected error', name);
+			mod_assert.ok(!mod_fs.existsSync(path));
+			mod_assert.ok(!mod_fs.existsSync(path + '.part'));
+			mod_assert.ok(!mod_fs.existsSync(path + '.part.json'));
+			callback();
+			return;
+		}
+
+		log.error(err, 'test "%s": unexpected error', name);
+		callback(new VError(err, 'unexpected error'));
+		return;
+	}
+
+	if (t['error']) {
+		log.error('test "%s": expected error, but none found', name);
+		callback(new VError('expected error'));
+		return;
+	}
+
+	mod_assert.equal(result['path'], path);
+	mod_assert.equal(result['size'], t['size']);
+	mod_assert.equal(result['digests']['md5'], state['md5sum']);
+	mod_assert.ok(mod_fs.readFileSync(path).toString('binary') ==
+	    state['raw'].toString('binary'), 'data mismatch');
+	mod_assert.ok(!mod_fs.existsSync(path + '.part'));
+	mod_assert.ok(!mod_fs.existsSync(path + '.part.json'));
+
+	if (t['resumed']) {
+		mod_assert.equal(result['resumedFrom'],
+		    t['partial'] || state['committed']);
+		mod_assert.equal(result['etag'], state['etag']);
+		if (t['no_fetch'])
+			mod_assert.equal(state['ngets'], 0);
+		else
+			mod_assert.ok(state['ranges'].indexOf(
+			    result['resumedFrom']) != -1,
+			    'did not resume with Range');
+	} else {
+		mod_assert.equal(result['resumedFrom'], 0);
+	}
+
+	log.info('test "%s": done: data matched up (resumed from byte %d)',
+	    name, result['resumedFrom']);
+	callback();
+}
+
+/*
+ * Leave behind the partial file and metadata described by test case "t".
+ */
+function makePartial(name, t, opts)
+{
+	var state, path, buf, meta;
+
+	state = test_state[name];
+	path = tmpdir + '/' + name;
+	buf = new Buffer(t['partial'] + 1000);
+	state['raw'].copy(buf, 0, 0, t['partial']);
+	buf.fill('!', t['partial']);
+	if (t['corrupt'])
+		buf[0] = buf[0] + 1;
+	meta = {
+	    'resource': opts['url'] || opts['path'],
+	    'etag': t['partial_etag'] || state['etag'],
+	    'lastModified': null,
+	    'size': t['unknown_size'] ? null : t['size'],
+	    'committed': t['partial'],
+	    'digests': [ {
+		'algorithm': 'md5',
+		'value': state['md5sum'],
+		'source': 'content-md5'
+	    } ]
+	};
+	mod_fs.writeFileSync(path + '.part', buf);
+	mod_fs.writeFileSync(path + '.part.json', JSON.stringify(meta));
+}
+
+/*
+ * Returns the server-side state for test case "name", creating it (and the
+ * resource's contents) if needed.
+ */
+function testState(name)
+{
+	var size, buf, i, clow, chigh, hasher;
+
+	if (test_state.hasOwnProperty(name))
+		return (test_state[name]);
+
+	size = test_cases[name]['size'];
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + ((i * 7) % (chigh - clow));
+
+	hasher = mod_crypto.createHash('md5');
+	hasher.update(buf);
+	test_state[name] = {
+	    'etag': 'etag0',			/* resource etag */
+	    'raw': buf,				/* raw resource data */
+	    'md5sum': hasher.digest('base64'),	/* resource md5sum */
+	    'ngets': 0,				/* GET requests received */
+	    'ranges': [],			/* start of each Range */
+	    'healthy': false,			/* see "crash" */
+	    'committed': null			/* see "crash" */
+	};
+	return (test_state[name]);
+}
+
+/*
+ * Server-side function to handle requests.  The case under test is identified
+ * by the URL.
+ */
+function handleRequest(req, res)
+{
+	var name, t, state, match, low, raw;
+
+	name = req.url.substr(1);
+	mod_assert.ok(test_cases.hasOwnProperty(name));
+	t = test_cases[name];
+	state = testState(name);
+	raw = state['raw'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+
+	state['ngets']++;
+	if (t['crash'] && state['ngets'] > 1 && !state['healthy']) {
+		res.writeHead(400);
+		res.end();
+		return;
+	}
+
+	if (req.headers['if-match'] !== undefined &&
+	    req.headers['if-match'] != state['etag']) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	if (req.headers['range'] === undefined) {
+		res.writeHead(200, {
+		    'content-length': raw.length,
+		    'content-md5': state['md5sum'],
+		    'etag': state['etag']
+		});
+
+		if (t['crash'] && state['ngets'] == 1) {
+			res.end(raw.slice(0, Math.floor(raw.length / 2)));
+			res.on('finish', function () { req.socket.destroy(); });
+			return;
+		}
+
+		res.end(raw);
+		return;
+	}
+
+	match = /^bytes=(\d+)-$/.exec(req.headers['range']);
+	if (match === null) {
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	low = parseInt(match[1], 10);
+	state['ranges'].push(low);
+	if (low >= raw.length) {
+		res.writeHead(416, {
+		    'content-range': 'bytes */' + raw.length,
+		    'etag': state['etag']
+		});
+		res.end();
+		return;
+	}
+
+	res.writeHead(206, {
+	    'content-length': raw.length - low,
+	    'content-range': 'bytes ' + low + '-' + (raw.length - 1) + '/' +
+	        raw.length,
+	    'etag': state['etag']
+	});
+	res.end(raw.slice(low));
+}
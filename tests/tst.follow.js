@@ -0,0 +1,374 @@
+/*
+ * tst.follow.js: exercise ReliableHttpStream's "follow" mode against a
+ * resource that grows (or shrinks, or is replaced) while it's being read.
+ */
+
+var mod_assert = require('assert');
+var mod_http = require('http');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * This test runs a simple HTTP server that serves a resource whose etag changes
+ * whenever it does, supports open-ended Range requests, and responds to
+ * requests past the end with "416 Range Not Satisfiable".  Each test case
+ * follows the resource with a stream, and describes:
+ *
+ *	size		Initial size of the resource, in bytes.
+ *
+ *	actions		Object mapping request numbers (starting from 1) to
+ *			what happens to the resource just before the server
+ *			handles that request:
+ *
+ *			append		number of bytes appended
+ *
+ *			truncate	new (smaller) size
+ *
+ *			replace		size of a resource with different
+ *					contents that replaces this one
+ *
+ *			cut		if true, the server cuts off the
+ *					response halfway through
+ *
+ *	[overlap]	"followOverlap" for the stream (if absent, the stream
+ *			uses its default of 1024 bytes).
+ *
+ *	[destroy]	If true, the stream has no "followTimeout".  Instead,
+ *			the test case destroys it once it has emitted the final
+ *			contents of the resource, and checks that it stops
+ *			polling.
+ *
+ *	ranges		Expected "Range" headers (or null for none) of the
+ *			first requests the server receives.  (How many polls
+ *			follow these depends on timing.)
+ *
+ *	[error]		If present, the test case expects the stream to fail
+ *			with an error matching the given regular expression.
+ */
+var test_cases = {
+    'grow': {
+	'size': 1000,
+	'overlap': 0,
+	'actions': {
+	    '3': { 'append': 500 },
+	    '6': { 'append': 300 }
+	},
+	'ranges': [ null, 'bytes=1000-', 'bytes=1000-', 'bytes=1500-',
+	    'bytes=1500-', 'bytes=1500-', 'bytes=1800-' ]
+    },
+    'grow_default_overlap': {
+	'size': 2000,
+	'actions': {
+	    '3': { 'append': 500 }
+	},
+	'ranges': [ null, 'bytes=976-', 'bytes=976-', 'bytes=1476-' ]
+    },
+    'cut': {
+	'size': 1000,
+	'overlap': 0,
+	'actions': {
+	    '2': { 'append': 1000, 'cut': true }
+	},
+	'ranges': [ null, 'bytes=1000-', 'bytes=1500-', 'bytes=2000-' ]
+    },
+    'overlap': {
+	'size': 1000,
+	'overlap': 16,
+	'actions': {
+	    '3': { 'append': 500 }
+	},
+	'ranges': [ null, 'bytes=984-', 'bytes=984-', 'bytes=1484-' ]
+    },
+    'truncated': {
+	'size': 1000,
+	'overlap': 0,
+	'actions': {
+	    '3': { 'truncate': 500 }
+	},
+	'ranges': [ null, 'bytes=1000-', 'bytes=1000-' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'following \\(size went from 1000 to 500 bytes\\)')
+    },
+    'replaced_shorter': {
+	'size': 1000,
+	'overlap': 16,
+	'actions': {
+	    '2': { 'replace': 100 }
+	},
+	'ranges': [ null, 'bytes=984-' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'following \\(size went from 1000 to 100 bytes\\)')
+    },
+    'replaced': {
+	'size': 1000,
+	'overlap': 16,
+	'actions': {
+	    '3': { 'replace': 2000 }
+	},
+	'ranges': [ null, 'bytes=984-', 'bytes=984-' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'following \\(data already read was replaced\\)')
+    },
+    'replaced_same_size': {
+	/* detected with the default overlap (the whole resource, here) */
+	'size': 1000,
+	'actions': {
+	    '3': { 'replace': 1000 }
+	},
+	'ranges': [ null, 'bytes=0-', 'bytes=0-' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'following \\(data already read was replaced\\)')
+    },
+    'destroy': {
+	'size': 1000,
+	'overlap': 0,
+	'destroy': true,
+	'actions': {
+	    '2': { 'append': 500 }
+	},
+	'ranges': [ null, 'bytes=1000-' ]
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case */
+var log, server, address;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.follow.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		callback();
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, stream, bufs, nread, final, done;
+
+	log.info('test "%s": start', name);
+	state = test_state[name] = {
+	    'test': t,
+	    'version': 0,	/* incremented on "replace" */
+	    'raw': null,	/* current contents */
+	    'ranges': []	/* "Range" headers received */
+	};
+	state['raw'] = makeContents(state['version'], t['size']);
+
+	/* Work out what the stream should end up emitting. */
+	final = t['size'];
+	Object.keys(t['actions']).forEach(function (k) {
+		if (t['actions'][k]['append'])
+			final += t['actions'][k]['append'];
+	});
+
+	stream = new mod_httpstream({
+	    'url': 'http://' + address['address'] + ':' + address['port'] +
+	        '/' + name,
+	    'log': log.child({ 'test': name }),
+	    'highWaterMark': 1024,
+	    'follow': true,
+	    'followInterval': 10,
+	    'followMaxInterval': 40,
+	    'followTimeout': t['destroy'] ? undefined : 200,
+	    'followOverlap': t['overlap'],
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 50,
+		'maxTimeout': 100
+	    }
+	});
+
+	bufs = [];
+	nread = 0;
+	done = function (err) {
+		var data;
+
+		mod_assert.deepEqual(state['ranges'].slice(0,
+		    t['ranges'].length), t['ranges']);
+		if (t['error']) {
+			if (!err) {
+				callback(new VError('expected error'));
+				return;
+			}
+
+			mod_assert.ok(t['error'].test(
+			    err.name + ': ' + err.message),
+			    'unexpected error: ' + err.message);
+			log.info('test "%s": done: found expected error', name);
+			callback();
+			return;
+		}
+
+		if (err) {
+			callback(new VError(err, 'unexpected error'));
+			return;
+		}
+
+		data = Buffer.concat(bufs);
+		mod_assert.equal(data.length, final);
+		mod_assert.ok(data.toString('binary') ==
+		    state['raw'].toString('binary'), 'data mismatch');
+		log.info('test "%s": done', name);
+		callback();
+	};
+
+	stream.on('data', function (c) {
+		bufs.push(c);
+		nread += c.length;
+		if (!t['destroy'] || nread < final)
+			return;
+
+		/*
+		 * Destroy the stream once it has read everything, and make
+		 * sure it stops polling.
+		 */
+		setTimeout(function () {
+			var nrequests = state['ranges'].length;
+			stream.destroy();
+			setTimeout(function () {
+				mod_assert.equal(state['ranges'].length,
+				    nrequests);
+				done(null);
+			}, 200);
+		}, 50);
+	});
+	stream.on('error', done);
+	stream.on('end', function () { done(null); });
+}
+
+/*
+ * Generate "size" bytes of the given version of the resource's contents.
+ */
+function makeContents(version, size)
+{
+	var buf, i, clow, chigh;
+
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + ((i * 7 + version * 3) % (chigh - clow));
+	return (buf);
+}
+
+/*
+ * Server-side function to handle requests.  The test case is identified by the
+ * URL.
+ */
+function handleRequest(req, res)
+{
+	var state, action, raw, etag, match, low, body;
+
+	mod_assert.ok(test_state.hasOwnProperty(req.url.substr(1)));
+	state = test_state[req.url.substr(1)];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+	state['ranges'].push(req.headers['range'] || null);
+	action = state['test']['actions'][state['ranges'].length] || {};
+	if (action['append'])
+		state['raw'] = makeContents(state['version'],
+		    state['raw'].length + action['append']);
+	if (action['truncate'])
+		state['raw'] = state['raw'].slice(0, action['truncate']);
+	if (action['replace'])
+		state['raw'] = makeContents(++state['version'],
+		    action['replace']);
+
+	raw = state['raw'];
+	etag = '"v' + state['version'] + '-' + raw.length + '"';
+	if (req.headers['range'] === undefined) {
+		res.writeHead(200, {
+		    'content-length': raw.length,
+		    'etag': etag
+		});
+		res.end(raw);
+		return;
+	}
+
+	match = /^bytes=(\d+)-$/.exec(req.headers['range']);
+	if (match === null) {
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	low = parseInt(match[1], 10);
+	if (low >= raw.length) {
+		res.writeHead(416, {
+		    'content-range': 'bytes */' + raw.length,
+		    'etag': etag
+		});
+		res.end();
+		return;
+	}
+
+	body = raw.slice(low);
+	res.writeHead(206, {
+	    'content-length': body.length,
+	    'content-range': 'bytes ' + low + '-' + (raw.length - 1) + '/' +
+	        raw.length,
+	    'etag': etag
+	});
+
+	if (action['cut']) {
+		res.write(body.slice(0, Math.floor(body.length / 2)));
+		setImmediate(function () { req.socket.destroy(); });
+		return;
+	}
+
+	res.end(body);
+}
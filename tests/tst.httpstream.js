@@ -6,6 +6,8 @@ var mod_assert = require('assert');
 var mod_crypto = require('crypto');
 var mod_http = require('http');
 var mod_path = require('path');
+var mod_stream = require('stream');
+var mod_url = require('url');
 
 var mod_bunyan = require('bunyan');
 var mod_vasync = require('vasync');
@@ -31,15 +33,158 @@ var mod_httpstream = require('../lib/httpstream');
  *
  *			The special value 'change_etag' is also supported, which
  *			indicates that the etag value should be changed between
- *			chunks.
+ *			chunks, and 'change_mtime' does the same for the
+ *			last-modified time.  Similarly, 'ignore_range' causes
+ *			the server to ignore the "Range" header on the next
+ *			request (sending the whole resource up to the end of the
+ *			next chunk), and 'bad_range' causes it to send the wrong
+ *			Content-Range header on the next response.  'stall'
+ *			causes the server to send the next chunk and then leave
+ *			the connection open without sending anything else, and
+ *			'drip' does the same, but sends the chunk slowly.
+ *			'reset' causes the server to send the next chunk and
+ *			then reset the connection.
+ *			'release' means that the client is expected to release
+ *			the next response partway through (see "pauseTimeout"),
+ *			so the server accepts a resumed request from wherever it
+ *			left off.
+ *
+ *			The server honors "If-Match", "If-Unmodified-Since",
+ *			and "If-Range" headers, and it insists that requests
+ *			that resume a previous one use one of the first two.
  *
  *	[md5]		Override value of the content-md5 header that the server
  *			will use.  (Used to test md5 mismatch.)
  *
+ *	[start], [end]	If present, passed to the client stream to fetch only
+ *			the given byte range.  In that case, "chunks" describes
+ *			only the requested span.
+ *
+ *	[size]		Total size of the resource.  Defaults to the size of the
+ *			requested span plus "start".
+ *
+ *	[args]		Additional arguments for the client stream.
+ *
+ *	[pause]		If present, the client pauses the stream for this many
+ *			milliseconds after the first chunk of data.
+ *
+ *	[digest_headers] List of additional digest headers that the server
+ *			will send ("digest", "repr-digest", or
+ *			"x-amz-checksum-sha1").
+ *
+ *	[bad_digest]	If true, the server sends the wrong values for the
+ *			headers in "digest_headers".
+ *
+ *	[caller_digests] Object mapping digest algorithms to the encoding in
+ *			which to pass the expected digest to the client stream
+ *			("hex", "base64", or "bogus" for a wrong value).
+ *
+ *	[digests]	List of digest algorithms that the client stream is
+ *			expected to compute.  Defaults to [ "md5" ].
+ *
+ *	[no_etag]	If true, the server doesn't send an etag, so the client
+ *			must use the last-modified time instead.
+ *
+ *	[no_if_match]	If true, the server ignores "If-Match" (but still
+ *			honors "If-Range").
+ *
+ *	[no_length]	If present, the server doesn't send "Content-Length".
+ *			If 'chunked', it uses chunked encoding, and it cuts off
+ *			each chunk but the last without finishing the response.
+ *			If 'close', it closes the connection at the end of each
+ *			chunk, so the client can't tell whether the response
+ *			was complete.  The server also answers HEAD requests
+ *			(with a "Content-Length").
+ *
+ *	[probe]		How the server answers a request for the data past the
+ *			end of the resource.  By default, it sends "416 Range
+ *			Not Satisfiable" with a "Content-Range" giving the
+ *			size.  If 'bare_416', it sends the 416 without a
+ *			"Content-Range".  If 'ignore_range', it ignores the
+ *			"Range" header and sends the next chunk as usual (as
+ *			a server without Range support would).
+ *
+ *	[retry_after]	If present, the server sends a "Retry-After" header with
+ *			error responses: either this number of seconds, or
+ *			'date' to send an HTTP date two seconds in the future.
+ *			The server expects the client to wait that long.
+ *
+ *	[resume_errors]	If true, the client stream is expected to resume
+ *			immediately after errors rather than retrying them.
+ *
+ *	[client]	How the client stream makes requests: "restify" (the
+ *			default) to use a restify client, "http" to use the
+ *			core http adapter, or "url" to pass just the URL of the
+ *			resource.  "https" passes an "https" URL, but with an
+ *			agent that makes plain connections, so that the server
+ *			doesn't need a certificate.
+ *
+ *	[signed]	If present, the client stream is given static "headers"
+ *			and a "beforeRequest" hook that signs each request, and
+ *			the server rejects requests without them.  The hook is
+ *			expected to be invoked with the given list of reasons.
+ *			If 'fail', the hook fails the second request instead.
+ *
+ *	[redirect]	If present, the server answers requests for the path of
+ *			the resource with a redirect (with this status code) to
+ *			a new location (the same path with "?loc=N"), from which
+ *			it serves the data.
+ *
+ *	[redirect_to]	If present, the location to redirect to instead of a new
+ *			one (e.g., to make the client loop).  'absolute' sends
+ *			the absolute URL of a new location.  'foreign' sends the
+ *			URL of a new location on a second server (i.e., another
+ *			origin), and the client stream is given static
+ *			"headers" that the server insists it sends only to the
+ *			first one.
+ *
+ *	[expire]	If true, each location that the server redirects to
+ *			serves only one request, after which it fails with a
+ *			403 error, so the client has to go back to the original
+ *			path.
+ *
+ *	[refresh]	If present, the server serves the resource only to
+ *			requests with the current token, which changes after
+ *			each chunk (so that later requests fail with 403).  The
+ *			client stream's "refreshUrl" supplies the new token,
+ *			either in the path ("?token=N") if 'path', or in the
+ *			"authorization" header if 'headers'.  If 'fail',
+ *			"refreshUrl" fails, and if 'stale', it supplies the old
+ *			token again.
+ *
+ *	[mirror]	If present, the client stream is given two sources: the
+ *			path of the resource ("primary") and the same path with
+ *			"?mirror" ("mirror"), which the server serves from the
+ *			same state.  The client is expected to fail over to the
+ *			mirror once the primary's errors exhaust its retry
+ *			policy.  If 'etag', the mirror serves a different etag,
+ *			and if 'md5', a different "Repr-Digest".
+ *
+ *	[consume]	How the data is read from the client stream: "data"
+ *			(the default) to use "data" events, "iterate" to use
+ *			async iteration, or "pipeline" to use stream.pipeline()
+ *			with a writable stream.
+ *
+ *	[destroy]	If present, the client stream is stopped partway through
+ *			and is expected to emit "close" (but not "end") and
+ *			close the connection.  "create" destroys it before it's
+ *			read; "data", "error", and "abort" call destroy(),
+ *			destroy(err), and abort() after the first data; "signal"
+ *			aborts the stream's AbortSignal after the first data,
+ *			and "signal_early" passes an AbortSignal that has
+ *			already been aborted; "break" stops async iteration
+ *			after the first data, and "pipeline" pipes the stream
+ *			into a writable stream that fails.
+ *
  *	[error]		If present, the test case expects the client to emit an
- *			error matching the given regular expression.  If not,
- *			the client is expected to read the correct number of
- *			bytes and validate the md5sum.
+ *			error whose name and message ("Name: message") match
+ *			the given regular expression.  If not, the client is
+ *			expected to read the correct number of bytes and
+ *			validate the md5sum.
+ *
+ *	[error_info]	If present, fields that the error is expected to carry
+ *			(see lib/errors.js), along with a history of the
+ *			requests made.
  */
 var test_cases = {
     'zero': {
@@ -69,7 +214,14 @@ var test_cases = {
     'bad_md5': {
 	'md5': 'deadbeef',
 	'chunks': [ 5 * 1024 ],
-	'error': /md5 mismatch: expected 'deadbeef', got/
+	'error': /^IntegrityError: md5 mismatch: expected 'deadbeef', got/,
+	'error_info': {
+	    'algorithm': 'md5',
+	    'expected': 'deadbeef',
+	    'source': 'content-md5',
+	    'bytesRead': 5 * 1024,
+	    'statusCodes': [ 200 ]
+	}
     },
     'changed_etag': {
 	'chunks': [
@@ -77,7 +229,124 @@ var test_cases = {
 	    'change_etag',
 	    1024
 	],
-	'error': /object changed while fetching \(etag mismatch\)/
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(etag mismatch\\)$'),
+	'error_info': {
+	    'property': 'etag',
+	    'bytesRead': 10 * 1024,
+	    'resumes': 1,
+	    'statusCodes': [ 200, 412 ]
+	}
+    },
+    'changed_etag_if_range': {
+	'no_if_match': true,
+	'chunks': [ 1024, 'change_etag', 1024 ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(etag mismatch\\)$'),
+	'error_info': { 'property': 'etag', 'expected': 'etag0' }
+    },
+    'no_etag': {
+	'no_etag': true,
+	'chunks': [ 1024, 0, 1024 ]
+    },
+    'changed_mtime': {
+	'no_etag': true,
+	'chunks': [ 1024, 'change_mtime', 1024 ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(last-modified mismatch\\)$'),
+	'error_info': { 'property': 'last-modified' }
+    },
+    'digest_headers': {
+	'digest_headers': [ 'digest', 'repr-digest', 'x-amz-checksum-sha1' ],
+	'digests': [ 'md5', 'sha1', 'sha256', 'sha512' ],
+	'chunks': [ 5 * 1024, 0, 1024 ]
+    },
+    'bad_repr_digest': {
+	'digest_headers': [ 'repr-digest' ],
+	'bad_digest': true,
+	'chunks': [ 1024 ],
+	'error': new RegExp('^IntegrityError: sha256 mismatch: expected .* ' +
+	    '\\(from repr-digest\\)')
+    },
+    'range_digest_headers': {
+	/* whole-resource digests don't apply to a range */
+	'digest_headers': [ 'digest', 'repr-digest' ],
+	'bad_digest': true,
+	'start': 10,
+	'args': { 'skipIgnoredRange': true },
+	'chunks': [ 'ignore_range', 1024 ]
+    },
+    'caller_digests': {
+	'args': { 'algorithms': [ 'sha1' ] },
+	'caller_digests': { 'sha512': 'hex', 'sha256': 'base64' },
+	'digests': [ 'md5', 'sha1', 'sha256', 'sha512' ],
+	'chunks': [ 1024, 1024 ]
+    },
+    'caller_digests_range': {
+	'start': 1000,
+	'end': 1999,
+	'size': 5000,
+	'args': { 'algorithms': [] },
+	'caller_digests': { 'sha256': 'hex' },
+	'digests': [ 'sha256' ],
+	'chunks': [ 500, 500 ]
+    },
+    'bad_caller_digest': {
+	'caller_digests': { 'sha256': 'bogus' },
+	'chunks': [ 1024 ],
+	'error': new RegExp('^IntegrityError: sha256 mismatch: expected ' +
+	    '\'bogus\', got .* \\(from caller\\)'),
+	'error_info': { 'algorithm': 'sha256', 'source': 'caller' }
+    },
+    'stalled': {
+	'args': { 'idleTimeout': 300 },
+	'chunks': [ 1024, 'stall', 512, 1024 ]
+    },
+    'stalled_exhausted': {
+	'args': { 'idleTimeout': 300 },
+	'size': 100,
+	'chunks': [ 'stall', 10, 'stall', 1, 'stall', 1 ],
+	'error': /^StallError: response stalled \(no data for \d+ ms\)/,
+	'error_info': { 'idleTimeout': 300 }
+    },
+    'stalled_deadline': {
+	/* retrying the stalled response would go past "totalTimeout" */
+	'args': {
+	    'idleTimeout': 300,
+	    'totalTimeout': 1000,
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 2000,
+		'maxTimeout': 2000
+	    }
+	},
+	'chunks': [ 'stall', 512, 1024 ],
+	'error': new RegExp('^RetriesExhaustedError: transfer would not ' +
+	    'complete within 1000 ms \\(512 of 1536 bytes read\\): response ' +
+	    'stalled \\(no data for \\d+ ms\\)$'),
+	'error_info': { 'limit': 'totalTimeout', 'bytesRead': 512 }
+    },
+    'reset': {
+	'client': 'url',
+	'chunks': [ 'reset', 1024, 'reset', 512, 1024 ]
+    },
+    'slow_throughput': {
+	'args': { 'minThroughput': 10000, 'throughputWindow': 300 },
+	'size': 2048,
+	'chunks': [ 'drip', 1024, 2048 ]
+    },
+    'paused': {
+	/* the consumer pausing the stream is not a stall */
+	'args': { 'idleTimeout': 200 },
+	'pause': 700,
+	'chunks': [ 4 * 1024 * 1024 ]
+    },
+    'paused_release': {
+	/* the consumer pauses for long enough that the response is released */
+	'args': { 'pauseTimeout': 200 },
+	'pause': 700,
+	'size': 4 * 1024 * 1024,
+	'chunks': [ 'release', 4 * 1024 * 1024, 4 * 1024 * 1024 ]
     },
     'transient_500': {
 	'chunks': [
@@ -89,15 +358,375 @@ var test_cases = {
 	'chunks': [
 	    128, 'error_500', 'error_503', 'error_503', 517
 	],
-	'error': /ServiceUnavailableError/
+	'error': new RegExp('^RetriesExhaustedError: giving up after 2 ' +
+	    'retries \\(128 of 645 bytes read\\)'),
+	'error_info': {
+	    'limit': 'retryPolicy',
+	    'bytesRead': 128,
+	    'resumes': 1,
+	    'retries': 2,
+	    'statusCodes': [ 200, 500, 503, 503 ]
+	}
     },
     'error_400': {
 	'chunks': [ 'error_400', 128 ],
 	'error': /BadRequestError/
+    },
+    'resume_limit': {
+	'args': { 'maxResumes': 2 },
+	'size': 400,
+	'chunks': [ 100, 100, 100, 100 ],
+	'error': new RegExp('^RetriesExhaustedError: giving up after 2 ' +
+	    'resumes \\(300 of 400 bytes read\\)'),
+	'error_info': { 'limit': 'maxResumes', 'bytesExpected': 400 }
+    },
+    'no_progress': {
+	'args': {
+	    'resumePolicy': { 'retries': 2, 'minTimeout': 100 }
+	},
+	'size': 400,
+	'chunks': [ 100, 0, 0, 0, 300 ],
+	'error': new RegExp('^RetriesExhaustedError: giving up after 3 ' +
+	    'consecutive responses without progress \\(100 of 400 bytes ' +
+	    'read\\)'),
+	'error_info': { 'limit': 'resumePolicy' }
+    },
+    'no_progress_recovers': {
+	'args': {
+	    'resumePolicy': { 'retries': 2, 'minTimeout': 100 }
+	},
+	'chunks': [ 100, 0, 0, 100, 0, 0, 200 ]
+    },
+    'deadline': {
+	/* the server keeps the first connection open for a few seconds */
+	'args': { 'totalTimeout': 1000 },
+	'size': 400,
+	'chunks': [ 100, 300 ],
+	'error': new RegExp('^RetriesExhaustedError: transfer did not ' +
+	    'complete within 1000 ms \\(100 of 400 bytes read\\)'),
+	'error_info': { 'limit': 'totalTimeout', 'bytesRead': 100 }
+    },
+    'chunked': {
+	'no_length': 'chunked',
+	'chunks': [ 1024, 0, 2048 ]
+    },
+    'chunked_whole': {
+	'no_length': 'chunked',
+	'chunks': [ 1024 ]
+    },
+    'unknown_length_probe': {
+	'no_length': 'close',
+	'chunks': [ 1024 ]
+    },
+    'unknown_length_probe_416': {
+	'no_length': 'close',
+	'probe': 'bare_416',
+	'chunks': [ 1024 ]
+    },
+    'unknown_length_probe_200': {
+	/* the server doesn't support Range requests at all */
+	'no_length': 'close',
+	'probe': 'ignore_range',
+	'chunks': [ 1024, 0 ]
+    },
+    'unknown_length_truncated': {
+	'no_length': 'close',
+	'size': 3072,
+	'chunks': [ 1024, 2048 ]
+    },
+    'unknown_length_head': {
+	'no_length': 'close',
+	'args': { 'unknownLength': 'head' },
+	'size': 3072,
+	'chunks': [ 1024, 2048 ]
+    },
+    'unknown_length_error': {
+	'no_length': 'close',
+	'args': { 'unknownLength': 'error' },
+	'chunks': [ 1024 ],
+	'error': new RegExp('response ended without a known length, so ' +
+	    'it may have been truncated \\(1024 bytes read\\)')
+    },
+    'unknown_length_accept': {
+	'no_length': 'close',
+	'args': { 'unknownLength': 'accept' },
+	'chunks': [ 1024 ]
+    },
+    'throttled': {
+	'chunks': [ 128, 'error_429', 'error_429', 256 ]
+    },
+    'retry_after_seconds': {
+	'retry_after': 1,
+	'chunks': [ 128, 'error_503', 256 ]
+    },
+    'retry_after_date': {
+	'retry_after': 'date',
+	'chunks': [ 'error_429', 128 ]
+    },
+    'retry_after_long': {
+	/* longer than the default retry policy's "maxTimeout" */
+	'retry_after': 11,
+	'chunks': [ 128, 'error_503', 256 ]
+    },
+    'retry_after_deadline': {
+	/* the server asks for a wait that would go past "totalTimeout" */
+	'retry_after': 5,
+	'args': { 'totalTimeout': 1000 },
+	'chunks': [ 'error_503', 256 ],
+	'error': new RegExp('^RetriesExhaustedError: transfer would not ' +
+	    'complete within 1000 ms \\(0 bytes read\\)$'),
+	'error_info': { 'limit': 'totalTimeout', 'bytesRead': 0 }
+    },
+    'classify_fatal': {
+	'args': {
+	    'classifyError': function (err, res) {
+		return (err.statusCode == 503 ? 'fatal' : null);
+	    }
+	},
+	'chunks': [ 128, 'error_503', 256 ],
+	'error': /ServiceUnavailableError/
+    },
+    'classify_resume': {
+	/* more errors than the retry policy allows */
+	'args': {
+	    'classifyError': function (err, res) {
+		mod_assert.equal(res.statusCode, err.statusCode);
+		return (err.statusCode == 503 ? 'resume' : null);
+	    }
+	},
+	'resume_errors': true,
+	'chunks': [ 128, 'error_503', 'error_503', 'error_503', 256 ]
+    },
+    'range': {
+	/* explicit byte range, interrupted once */
+	'start': 1000,
+	'end': 5999,
+	'size': 10000,
+	'chunks': [ 2000, 3000 ]
+    },
+    'range_open': {
+	/* tail of the resource */
+	'start': 4000,
+	'chunks': [ 1024, 0, 976 ]
+    },
+    'range_unsatisfiable': {
+	'start': 200,
+	'size': 100,
+	'chunks': [ 0 ],
+	'error': new RegExp('^RangeNotSatisfiableError: requested range ' +
+	    'not satisfiable \\(bytes=200-\\)'),
+	'error_info': { 'range': 'bytes=200-', 'statusCodes': [ 416 ] }
+    },
+    'range_short': {
+	/* "end" is past the end of the resource, so it's clamped */
+	'start': 0,
+	'end': 9999,
+	'size': 5000,
+	'chunks': [ 2000, 3000 ]
+    },
+    'ignored_range': {
+	'chunks': [ 1024, 'ignore_range', 2048 ],
+	'error': /server ignored bytes=1024- \(expected status 206, got 200\)/
+    },
+    'ignored_range_skip': {
+	'args': { 'skipIgnoredRange': true },
+	'chunks': [ 1024, 'ignore_range', 2048, 'ignore_range', 0, 512 ]
+    },
+    'ignored_range_skip_start': {
+	'args': { 'skipIgnoredRange': true },
+	'start': 100,
+	'chunks': [ 'ignore_range', 50, 100 ]
+    },
+    'bad_content_range': {
+	'chunks': [ 100, 'bad_range', 100 ],
+	'error': /range mismatch: requested bytes=100-, but server returned/
+    },
+    'http_client': {
+	'client': 'http',
+	'chunks': [ 137, 1024, 0, 10 * 1024 ]
+    },
+    'http_client_transient_500': {
+	'client': 'http',
+	'chunks': [ 128, 'error_500', 256, 'error_503', 57 ]
+    },
+    'http_client_400': {
+	'client': 'http',
+	'chunks': [ 'error_400', 128 ],
+	'error': /server returned status 400 \(Bad Request\)/
+    },
+    'url': {
+	'client': 'url',
+	'start': 100,
+	'end': 1099,
+	'size': 2000,
+	'chunks': [ 500, 500 ]
+    },
+    'signed': {
+	'signed': [ 'initial', 'resume', 'retry', 'resume', 'resume' ],
+	'chunks': [ 1024, 'error_503', 2048, 0, 512 ]
+    },
+    'signed_head': {
+	'signed': [ 'initial', 'resume', 'resume' ],
+	'no_length': 'close',
+	'args': { 'unknownLength': 'head' },
+	'size': 3072,
+	'chunks': [ 1024, 2048 ]
+    },
+    'signed_fail': {
+	'signed': 'fail',
+	'chunks': [ 1024, 2048 ],
+	'error': /beforeRequest hook failed: signing failed/
+    },
+    'redirect': {
+	'redirect': 302,
+	'chunks': [ 1024, 2048, 0, 512 ]
+    },
+    'redirect_expire': {
+	/*
+	 * The core http adapter doesn't keep idle connections around, which
+	 * the client might otherwise reuse just as the server closes them.
+	 */
+	'client': 'http',
+	'redirect': 307,
+	'expire': true,
+	'chunks': [ 1024, 2048, 512 ]
+    },
+    'redirect_absolute': {
+	'redirect': 301,
+	'redirect_to': 'absolute',
+	'start': 100,
+	'chunks': [ 1024, 2048 ]
+    },
+    'redirect_head': {
+	'redirect': 308,
+	'no_length': 'close',
+	'args': { 'unknownLength': 'head' },
+	'size': 3072,
+	'chunks': [ 1024, 2048 ]
+    },
+    'redirect_loop': {
+	'redirect': 302,
+	'redirect_to': '/redirect_loop',
+	'chunks': [ 1024 ],
+	'error': /too many redirects \(6\) \(last to "\/redirect_loop"\)/
+    },
+    'redirect_disabled': {
+	'redirect': 302,
+	'args': { 'maxRedirects': 0 },
+	'chunks': [ 1024 ],
+	'error': /too many redirects \(1\)/
+    },
+    'redirect_foreign': {
+	'redirect': 302,
+	'redirect_to': 'foreign',
+	'chunks': [ 1024, 2048 ]
+    },
+    'redirect_insecure': {
+	'client': 'https',
+	'redirect': 302,
+	'redirect_to': 'absolute',
+	'chunks': [ 1024 ],
+	'error': new RegExp('^InsecureRedirectError: refusing to follow ' +
+	    'redirect from https to http: "http://127\\.0\\.0\\.1:\\d+' +
+	    '/redirect_insecure\\?loc=1"$'),
+	'error_info': { 'bytesRead': 0 }
+    },
+    'redirect_unsupported': {
+	'redirect': 302,
+	'redirect_to': 'ftp://127.0.0.1/redirect_unsupported',
+	'chunks': [ 1024 ],
+	'error': /unsupported redirect location/
+    },
+    'refresh_path': {
+	'client': 'http',
+	'refresh': 'path',
+	'chunks': [ 1024, 2048, 0, 512 ]
+    },
+    'refresh_headers': {
+	'client': 'http',
+	'refresh': 'headers',
+	'start': 100,
+	'chunks': [ 1024, 2048 ]
+    },
+    'refresh_fail': {
+	'client': 'http',
+	'refresh': 'fail',
+	'chunks': [ 1024, 2048 ],
+	'error': /refreshUrl failed: token service unavailable/
+    },
+    'refresh_stale': {
+	'client': 'http',
+	'refresh': 'stale',
+	'chunks': [ 1024, 2048 ],
+	'error': /server returned status 403 \(Forbidden\)/
+    },
+    'mirror': {
+	'mirror': true,
+	'chunks': [ 1024, 'error_503', 'error_500', 'error_503', 2048, 512 ]
+    },
+    'mirror_etag': {
+	'mirror': 'etag',
+	'chunks': [ 1024, 'error_503', 'error_503', 'error_503', 2048 ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(etag mismatch\\)$'),
+	'error_info': { 'property': 'etag', 'bytesRead': 1024 }
+    },
+    'mirror_md5': {
+	'mirror': 'md5',
+	'chunks': [ 1024, 'error_503', 'error_503', 'error_503', 2048 ],
+	'error': new RegExp('^ResourceChangedError: source "mirror" does ' +
+	    'not match: md5 from repr-digest is \'bogus\', but expected'),
+	'error_info': { 'property': 'md5', 'actual': 'bogus' }
+    },
+    'iterate': {
+	'consume': 'iterate',
+	'chunks': [ 137, 1024, 0, 10 * 1024 * 1024 ]
+    },
+    'pipeline': {
+	'consume': 'pipeline',
+	'chunks': [ 1024, 'error_503', 64 * 1024 ]
+    },
+    'destroy_create': {
+	'destroy': 'create',
+	'chunks': [ 1024 ]
+    },
+    'destroy_data': {
+	'destroy': 'data',
+	'chunks': [ 'stall', 1024 * 1024 ]
+    },
+    'destroy_error': {
+	'destroy': 'error',
+	'chunks': [ 'stall', 1024 * 1024 ],
+	'error': /destroyed by test/
+    },
+    'destroy_abort': {
+	'destroy': 'abort',
+	'chunks': [ 'stall', 1024 * 1024 ]
+    },
+    'destroy_signal': {
+	'destroy': 'signal',
+	'chunks': [ 'stall', 1024 * 1024 ],
+	'error': /AbortError/
+    },
+    'destroy_signal_early': {
+	'destroy': 'signal_early',
+	'chunks': [ 1024 ],
+	'error': /AbortError/
+    },
+    'destroy_break': {
+	'destroy': 'break',
+	'chunks': [ 'stall', 1024 * 1024 ]
+    },
+    'destroy_pipeline': {
+	'destroy': 'pipeline',
+	'chunks': [ 'stall', 1024 * 1024 ],
+	'error': /write failed/
     }
 };
 var test_state = {};	/* server-side state, indexed by test case name */
+var nrequests = 0;	/* responses sent by the server (for x-request-id) */
 var log, server, address, client;
+var foreign, foreign_address;	/* second server (see "redirect_to") */
 
 mod_vasync.pipeline({
     'funcs': [
@@ -114,7 +743,7 @@ mod_vasync.pipeline({
 	/* Start our mock HTTP server. */
 	function (_, callback) {
 		server = mod_http.createServer(handleRequest);
-		server.listen(function () {
+		server.listen(0, '127.0.0.1', function () {
 			address = server.address();
 			log.info('server listening at %s:%d',
 			    address['address'], address['port']);
@@ -122,11 +751,22 @@ mod_vasync.pipeline({
 		});
 	},
 
+	/* Start another one on a different port, i.e., at another origin. */
+	function (_, callback) {
+		foreign = mod_http.createServer(handleRequest);
+		foreign.listen(0, '127.0.0.1', function () {
+			foreign_address = foreign.address();
+			log.info('second server listening at %s:%d',
+			    foreign_address['address'],
+			    foreign_address['port']);
+			callback();
+		});
+	},
+
 	/* Create a restify client for the server we just started. */
 	function (_, callback) {
 		client = mod_restify.createClient({
-		    'url': 'http://' + address['address'] + ':' +
-		        address['port'],
+		    'url': baseUrl(),
 		    'log': log
 		});
 		callback();
@@ -149,6 +789,7 @@ mod_vasync.pipeline({
 	/* Cleanup so that we can exit gracefully. */
 	function (_, callback) {
 		server.close();
+		foreign.close();
 		client.close();
 		callback();
 	}
@@ -168,22 +809,125 @@ mod_vasync.pipeline({
  */
 function runTestCase(name, t, _, callback)
 {
-	var stream, str, nbytes;
+	var args, span, stream, str, nbytes, progress, reasons, agent;
+	var onData, onError, onEnd;
 
-	stream = new mod_httpstream({
-	    'client': client,
-	    'path': '/' + name,
+	args = {
 	    'log': log,
 	    'highWaterMark': 1024 * 1024,
+	    'start': t['start'],
+	    'end': t['end'],
 	    'retryPolicy': {
 		'retries': 2,
 		'minTimeout': 500,
 		'maxTimeout': 2000
 	    }
-	});
+	};
+	if (t['client'] == 'url') {
+		args['url'] = baseUrl() + '/' + name;
+	} else if (t['client'] == 'https') {
+		agent = new mod_http.Agent();
+		agent.protocol = 'https:';
+		args['url'] = baseUrl().replace(/^http:/, 'https:') + '/' +
+		    name;
+		args['agent'] = agent;
+	} else {
+		args['client'] = t['client'] == 'http' ?
+		    new mod_httpstream.HttpClient({ 'url': baseUrl() }) :
+		    client;
+		args['path'] = '/' + name;
+	}
+
+	if (t['args']) {
+		Object.keys(t['args']).forEach(function (k) {
+			args[k] = t['args'][k];
+		});
+	}
+
+	if (t['redirect_to'] == 'foreign')
+		args['headers'] = { 'X-Static': 'yes' };
+
+	if (t['signed']) {
+		reasons = [];
+		args['headers'] = { 'X-Static': 'yes' };
+		args['beforeRequest'] = function (options, attempt, hcallback) {
+			var fail;
+
+			mod_assert.equal(attempt['number'], reasons.length + 1);
+			reasons.push(attempt['reason']);
+			fail = t['signed'] == 'fail' && reasons.length == 2;
+			setImmediate(function () {
+				if (fail) {
+					hcallback(new VError('signing failed'));
+					return;
+				}
+
+				options['headers']['x-signature'] =
+				    signature(options['method'],
+				    options['headers']['range']);
+				hcallback();
+			});
+		};
+	}
+
+	if (t['mirror']) {
+		args['sources'] = [
+		    { 'name': 'primary', 'client': args['client'],
+			'path': args['path'] },
+		    { 'name': 'mirror', 'client': args['client'],
+			'path': args['path'] + '?mirror' }
+		];
+		delete (args['client']);
+		delete (args['path']);
+	}
+
+	if (t['refresh'] == 'headers')
+		args['headers'] = { 'authorization': 'token 1' };
+	else if (t['refresh'])
+		args['path'] += '?token=1';
+	if (t['refresh']) {
+		args['refreshUrl'] = function (err, rcallback) {
+			var token = test_state[name]['token'];
+
+			mod_assert.equal(err.statusCode, 403);
+			if (t['refresh'] == 'fail') {
+				rcallback(new VError(
+				    'token service unavailable'));
+				return;
+			}
+
+			if (t['refresh'] == 'stale')
+				token--;
+			if (t['refresh'] == 'headers')
+				rcallback(null, { 'headers': {
+				    'authorization': 'token ' + token } });
+			else
+				rcallback(null,
+				    { 'path': name + '?token=' + token });
+		};
+	}
+
+	if (t['caller_digests']) {
+		span = makeResource(t).slice(t['start'] || 0,
+		    (t['start'] || 0) + spanLength(t));
+		args['digests'] = {};
+		Object.keys(t['caller_digests']).forEach(function (k) {
+			var encoding = t['caller_digests'][k];
+			args['digests'][k] = encoding == 'bogus' ?
+			    'bogus' : digest(span, k, encoding);
+		});
+	}
+
+	if (t['destroy']) {
+		runDestroyCase(name, t, args, callback);
+		return;
+	}
+
+	stream = new mod_httpstream(args);
 
 	str = '';
 	nbytes = 0;
+	progress = [];
 
 	log.info('test "%s": start', name);
 
@@ -193,18 +937,26 @@ function runTestCase(name, t, _, callback)
 	 * supposed to be, and also make sure the data we received matched the
 	 * expected md5sum.
 	 */
-	stream.on('data', function (chunk) {
+	onData = function (chunk) {
+		if (t['pause'] && nbytes === 0) {
+			stream.pause();
+			setTimeout(function () { stream.resume(); },
+			    t['pause']);
+		}
+
 		str += chunk.toString('utf8');
 		nbytes += chunk.length;
 		if (nbytes === chunk.length)
 			log.debug('got chunk of %d bytes (%d total)',
 			    chunk.length, nbytes);
-	});
+	};
 
-	stream.on('error', function (err) {
+	onError = function (err) {
 		if (t['error'] && t['error'].test(
 		    err.name + ': ' + err.message)) {
 			log.debug(err, 'test "%s": found expected error', name);
+			if (t['error_info'])
+				checkErrorInfo(err, t['error_info']);
 			callback();
 			return;
 		}
@@ -217,9 +969,11 @@ function runTestCase(name, t, _, callback)
 			log.error(err, 'test "%s": unexpected error', name);
 
 		callback(new VError(err, 'unexpected error'));
-	});
+	};
+
+	onEnd = function () {
+		var digests;
 
-	stream.on('end', function () {
 		if (t['error']) {
 			log.error('test "%s": expected error, but none found',
 			    name);
@@ -227,11 +981,470 @@ function runTestCase(name, t, _, callback)
 			return;
 		}
 
-		mod_assert.equal(str,
-		    test_state[name]['raw'].toString('utf8'));
+		span = test_state[name]['raw'].slice(
+		    test_state[name]['start'],
+		    test_state[name]['start'] +
+		    test_state[name]['nbytestotal']);
+		mod_assert.equal(str, span.toString('utf8'));
+
+		/*
+		 * Check that the stream computed the digests we expect, and
+		 * that they're correct.
+		 */
+		digests = stream.digests();
+		mod_assert.deepEqual(Object.keys(digests).sort(),
+		    (t['digests'] || [ 'md5' ]).sort());
+		Object.keys(digests).forEach(function (algorithm) {
+			mod_assert.equal(digests[algorithm],
+			    digest(span, algorithm));
+		});
+
+		/*
+		 * Requests made to find out the length of the resource don't
+		 * correspond to chunks.
+		 */
+		if (!t['no_length'])
+			checkStats(t, stream.stats(), nbytes);
+		mod_assert.ok(progress.length > 0, 'no "progress" events');
+		mod_assert.equal(progress[progress.length - 1]['bytesRead'],
+		    nbytes);
+		mod_assert.equal(progress[progress.length - 1]['eta'], 0);
+		if (t['signed'])
+			mod_assert.deepEqual(reasons, t['signed']);
+		if (t['mirror'])
+			checkMirrorStats(stream.stats());
+
 		log.info('test "%s": done: data matched up', name);
 		callback();
+	};
+
+	stream.on('progress', function (stats) {
+		mod_assert.ok(progress.length === 0 || stats['bytesRead'] >=
+		    progress[progress.length - 1]['bytesRead']);
+		progress.push(stats);
+	});
+
+	if (t['consume'] == 'iterate') {
+		iterate(stream[Symbol.asyncIterator](), onData, function (err) {
+			if (err)
+				onError(err);
+			else
+				onEnd();
+		});
+	} else if (t['consume'] == 'pipeline') {
+		mod_stream.pipeline(stream, new mod_stream.Writable({
+		    'write': function (chunk, _2, wcallback) {
+			onData(chunk);
+			wcallback();
+		    }
+		}), function (err) {
+			if (err)
+				onError(err);
+			else
+				onEnd();
+		});
+	} else {
+		stream.on('data', onData);
+		stream.on('error', onError);
+		stream.on('end', onEnd);
+	}
+}
+
+/*
+ * Runs test case "t" called "name", which stops the client stream (created
+ * with arguments "args") partway through.  See "destroy" above.
+ */
+function runDestroyCase(name, t, args, callback)
+{
+	var stream, controller, stop, iter, errors, ended;
+
+	if (t['destroy'] == 'signal' || t['destroy'] == 'signal_early') {
+		controller = makeAbortController();
+		if (t['destroy'] == 'signal_early')
+			controller.abort();
+		args['signal'] = controller.signal;
+	}
+
+	stream = new mod_httpstream(args);
+	errors = [];
+	ended = false;
+
+	log.info('test "%s": start', name);
+
+	stop = function () {
+		log.debug('test "%s": stopping stream (%s)', name,
+		    t['destroy']);
+		switch (t['destroy']) {
+		case 'error':
+			stream.destroy(new VError('destroyed by test'));
+			break;
+		case 'abort':
+			stream.abort();
+			break;
+		case 'signal':
+			controller.abort();
+			break;
+		default:
+			stream.destroy();
+			break;
+		}
+	};
+
+	stream.on('end', function () { ended = true; });
+	stream.on('close', function () {
+		/*
+		 * Give the server a moment to notice that the connection was
+		 * closed (and the pipeline or iterator a moment to report).
+		 */
+		waitForClose(name, function () {
+			var attempts;
+
+			if (ended) {
+				callback(new VError('unexpected "end"'));
+				return;
+			}
+
+			if (t['error']) {
+				mod_assert.equal(errors.length, 1);
+				mod_assert.ok(t['error'].test(errors[0].name +
+				    ': ' + errors[0].message), 'wrong error: ' +
+				    errors[0].message);
+			} else {
+				mod_assert.deepEqual(errors, []);
+			}
+
+			attempts = stream.stats()['attempts'];
+			attempts.forEach(function (a) {
+				mod_assert.equal(a['reason'], 'aborted');
+			});
+			if (test_state.hasOwnProperty(name))
+				mod_assert.equal(attempts.length, 1);
+
+			log.info('test "%s": done: stream stopped', name);
+			callback();
+		});
+	});
+
+	switch (t['destroy']) {
+	case 'create':
+		stop();
+		break;
+
+	case 'signal_early':
+		stream.on('error', function (err) { errors.push(err); });
+		break;
+
+	case 'break':
+		iter = stream[Symbol.asyncIterator]();
+		iter.next().then(function (result) {
+			mod_assert.ok(!result.done);
+			return (iter.return());
+		}).then(function (result) {
+			mod_assert.ok(result.done);
+		}, function (err) {
+			errors.push(err);
+		});
+		break;
+
+	case 'pipeline':
+		mod_stream.pipeline(stream, new mod_stream.Writable({
+		    'write': function (_, _2, wcallback) {
+			wcallback(new VError('write failed'));
+		    }
+		}), function (err) {
+			errors.push(err);
+		});
+		break;
+
+	default:
+		stream.on('error', function (err) { errors.push(err); });
+		stream.once('data', stop);
+		break;
+	}
+}
+
+/*
+ * Invokes callback() once the server has seen the connection for test case
+ * "name" closed (if it was ever opened), or fails after a second.
+ */
+function waitForClose(name, callback, nwaits)
+{
+	nwaits = nwaits || 0;
+	if (!test_state.hasOwnProperty(name) || test_state[name]['closed']) {
+		setTimeout(callback, 50);
+		return;
+	}
+
+	mod_assert.ok(nwaits < 20, 'connection was not closed');
+	setTimeout(waitForClose, 50, name, callback, nwaits + 1);
+}
+
+/*
+ * Feeds each chunk read from async iterator "iter" to "func", and invokes
+ * "callback" at the end.
+ */
+function iterate(iter, func, callback)
+{
+	iter.next().then(function (result) {
+		if (result.done) {
+			setImmediate(callback, null);
+			return;
+		}
+
+		func(result.value);
+		iterate(iter, func, callback);
+	}, function (err) {
+		setImmediate(callback, err);
+	});
+}
+
+/*
+ * Returns an AbortController, or something that works the same way on versions
+ * of node that don't have them.
+ */
+function makeAbortController()
+{
+	var signal, listeners;
+
+	if (typeof (global.AbortController) == 'function')
+		return (new global.AbortController());
+
+	listeners = [];
+	signal = {
+	    'aborted': false,
+	    'addEventListener': function (_, func) {
+		listeners.push(func);
+	    },
+	    'removeEventListener': function (_, func) {
+		listeners = listeners.filter(function (f) {
+			return (f !== func);
+		});
+	    }
+	};
+
+	return ({
+	    'signal': signal,
+	    'abort': function () {
+		signal.aborted = true;
+		listeners.forEach(function (func) { func(); });
+	    }
+	});
+}
+
+/*
+ * Returns the URL of our mock HTTP server.
+ */
+function baseUrl()
+{
+	return ('http://' + address['address'] + ':' + address['port']);
+}
+
+/*
+ * Check the statistics reported by a client stream for test case "t" after it
+ * read "nbytes" bytes successfully.  Each number in "chunks" and each error
+ * accounts for one request, and each request after the first resumes or retries
+ * the previous one.  (Since the server leaves the connection open after each
+ * chunk for a while, the client may consider any chunk stalled, not just those
+ * marked 'stall' or 'drip'.)
+ */
+function checkStats(t, stats, nbytes)
+{
+	var nchunks = 0, nerrors = 0, nstalls = 0, nstalled = 0, total = 0;
+	var nreleases = 0, nreleased = 0;
+	var nexpired, nrefreshed;
+	var requestids = {};
+
+	t['chunks'].forEach(function (c) {
+		if (typeof (c) == 'number')
+			nchunks++;
+		else if (c.substr(0, 6) == 'error_')
+			nerrors++;
+		else if (c == 'stall' || c == 'drip')
+			nstalls++;
+		else if (c == 'release')
+			nreleases++;
+	});
+
+	log.debug(stats, 'stats');
+	mod_assert.equal(stats['bytesRead'], nbytes);
+	mod_assert.equal(stats['bytesExpected'], nbytes);
+	mod_assert.equal(stats['eta'], 0);
+	mod_assert.equal(typeof (stats['averageRate']), 'number');
+	if (t['resume_errors']) {
+		nchunks += nerrors;
+		nerrors = 0;
+	}
+
+	/*
+	 * With "expire", each location but the last one fails once, and then
+	 * the client resumes from the original path.
+	 */
+	nexpired = t['expire'] ? nchunks - 1 : 0;
+	nrefreshed = t['refresh'] ? nchunks - 1 : 0;
+	mod_assert.equal(stats['resumes'], nchunks - 1 + nexpired - nreleases);
+	mod_assert.equal(stats['releases'], nreleases);
+	mod_assert.equal(stats['attempts'].length,
+	    nchunks + nerrors + nexpired + nrefreshed);
+	mod_assert.equal(stats['refreshes'], nrefreshed);
+	mod_assert.equal(stats['redirects'],
+	    !t['redirect'] ? 0 : t['expire'] ? nchunks : 1);
+
+	stats['attempts'].forEach(function (a, i) {
+		var last = i == stats['attempts'].length - 1;
+
+		mod_assert.ok(a['started'] <= a['ended']);
+		mod_assert.equal(a['serverName'], 'tst.httpstream.js');
+		mod_assert.ok(!requestids.hasOwnProperty(a['requestId']));
+		requestids[a['requestId']] = true;
+		total += a['bytesRead'];
+
+		if (a['status'] >= 400) {
+			mod_assert.equal(a['reason'], 'failed');
+			mod_assert.equal(a['bytesRead'], 0);
+			mod_assert.ok(a['error']);
+		} else {
+			mod_assert.ok(a['status'] == 200 ||
+			    a['status'] == 206);
+			mod_assert.equal(a['reason'], last ? 'complete' :
+			    /stalled/.test(a['error']) ? 'stalled' :
+			    nreleased < nreleases ? 'released' : 'closed');
+			if (a['reason'] == 'stalled')
+				nstalled++;
+			if (a['reason'] == 'released')
+				nreleased++;
+		}
+	});
+
+	mod_assert.equal(total, nbytes);
+	mod_assert.ok(nstalled >= nstalls);
+	mod_assert.equal(nreleased, nreleases);
+	mod_assert.equal(stats['retries'], nerrors + nstalled -
+	    stats['failovers']);
+}
+
+/*
+ * Checks that error "err" emitted by a stream is one of the classes exported
+ * for it and carries the fields in "info" (see "error_info"), plus a history of
+ * the requests made.
+ */
+function checkErrorInfo(err, info)
+{
+	mod_assert.ok(mod_httpstream[err.name] &&
+	    err instanceof mod_httpstream[err.name],
+	    'unexpected error class: ' + err.name);
+	Object.keys(info).forEach(function (k) {
+		mod_assert.deepEqual(err[k], info[k], 'error field ' + k);
 	});
+	mod_assert.equal(typeof (err.bytesRead), 'number');
+	mod_assert.ok(Array.isArray(err.attempts) && err.attempts.length > 0);
+	mod_assert.deepEqual(err.statusCodes, err.attempts.slice(-5).map(
+	    function (a) { return (a['status']); }));
+}
+
+/*
+ * Checks the stats of a stream that failed over from the primary source to the
+ * mirror (see "mirror").
+ */
+function checkMirrorStats(stats)
+{
+	mod_assert.equal(stats['failovers'], 1);
+	mod_assert.equal(stats['source'], 'mirror');
+	mod_assert.equal(stats['sources'].length, 2);
+	mod_assert.equal(stats['sources'][0]['name'], 'primary');
+	mod_assert.equal(stats['sources'][0]['failures'], 3);
+	mod_assert.ok(/ServiceUnavailable/.test(
+	    stats['sources'][0]['lastError']));
+	mod_assert.equal(stats['sources'][1]['failures'], 0);
+	mod_assert.equal(stats['sources'][1]['requests'], 2);
+	mod_assert.equal(stats['sources'][1]['bytesRead'], 2048 + 512);
+	stats['attempts'].forEach(function (a, i) {
+		mod_assert.equal(a['source'], i < 4 ? 'primary' : 'mirror');
+	});
+}
+
+/*
+ * Server-side function to handle requests for the path of a resource whose
+ * test case "t" has "redirect".  Returns true if the request was handled.
+ */
+function handleRedirect(req, res, t, state, name, loc)
+{
+	var location;
+
+	if (loc === null) {
+		if (t['redirect_to'] && t['redirect_to'] != 'absolute' &&
+		    t['redirect_to'] != 'foreign') {
+			location = t['redirect_to'];
+		} else {
+			location = '/' + name + '?loc=' + (++state['nlocs']);
+			if (t['redirect_to'] == 'absolute')
+				location = baseUrl() + location;
+			else if (t['redirect_to'] == 'foreign')
+				location = 'http://' +
+				    foreign_address['address'] + ':' +
+				    foreign_address['port'] + location;
+		}
+
+		res.writeHead(t['redirect'], { 'location': location });
+		res.end();
+		return (true);
+	}
+
+	if (t['expire'] && state['expired'].hasOwnProperty(loc)) {
+		res.writeHead(403, {
+		    'x-server-name': 'tst.httpstream.js',
+		    'x-request-id': String(++nrequests)
+		});
+		res.end('location expired');
+		return (true);
+	}
+
+	if (req.method == 'GET')
+		state['expired'][loc] = true;
+	return (false);
+}
+
+/*
+ * Returns the number of bytes the client is expected to read for test case "t".
+ */
+function spanLength(t)
+{
+	var rv = 0;
+
+	t['chunks'].forEach(function (c) {
+		if (typeof (c) == 'number')
+			rv += c;
+	});
+
+	return (rv);
+}
+
+/*
+ * Returns the contents of the whole resource for test case "t".
+ */
+function makeResource(t)
+{
+	var size, buf, i, clow, chigh;
+
+	size = t.hasOwnProperty('size') ? t['size'] :
+	    (t['start'] || 0) + spanLength(t);
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + (i % (chigh - clow));
+
+	return (buf);
+}
+
+/*
+ * Returns the digest of "buf" using "algorithm", encoded as "encoding" (which
+ * defaults to base64).
+ */
+function digest(buf, algorithm, encoding)
+{
+	var hasher = mod_crypto.createHash(algorithm);
+	hasher.update(buf);
+	return (hasher.digest(encoding || 'base64'));
 }
 
 /*
@@ -242,11 +1455,11 @@ function runTestCase(name, t, _, callback)
  */
 function handleRequest(req, res)
 {
-	var name, t;
-	var expected_length, expected_range, i, clow, chigh;
-	var buf, hasher;
+	var name, t, state, url;
+	var expected_range, buf, nbytestotal, mtime, match;
 
-	name = req.url.substr(1);
+	url = mod_url.parse(req.url, true);
+	name = url.pathname.substr(1);
 	mod_assert.ok(test_cases.hasOwnProperty(name));
 	t = test_cases[name];
 
@@ -256,73 +1469,245 @@ function handleRequest(req, res)
 	 * Although in the real world the server wouldn't keep state about what
 	 * requests the client is expected to make next, this testing server
 	 * does so in order to test that the client is behaving as we expect.
-	 * We identify the start of each client stream by the request that has
-	 * no "Range" header.  The state is indexed by the test case name, which
-	 * means we don't support multiple client streams for the same resource.
+	 * The state is indexed by the test case name, which means we don't
+	 * support multiple client streams for the same resource.
 	 */
-	if (!req.headers['range']) {
+	if (!test_state.hasOwnProperty(name)) {
 		/*
 		 * This is the first request for this resource for this client
 		 * stream.  Generate the data for this resource and compute the
 		 * md5sum.
 		 */
-		mod_assert.ok(!test_state.hasOwnProperty(name));
-		expected_length = 0;
-		t['chunks'].forEach(function (c) {
-			if (typeof (c) == 'number')
-				expected_length += c;
-		});
-
 		log.debug('test server: building buffer');
-		buf = new Buffer(expected_length);
-		clow = 'a'.charCodeAt(0);
-		chigh = 'z'.charCodeAt(0);
-		for (i = 0; i < expected_length; i++)
-			buf[i] = clow + (i % (chigh - clow));
-
-		hasher = mod_crypto.createHash('md5');
-		hasher.update(buf);
+		buf = makeResource(t);
+		nbytestotal = Math.min(spanLength(t),
+		    buf.length - (t['start'] || 0));
 		test_state[name] = {
 		    'etag': 'etag0',			/* resource etag */
+		    'mtime': 0,				/* last-modified */
 		    'raw': buf,				/* raw resource data */
-		    'md5sum': hasher.digest('base64'),	/* resource md5sum */
+		    'md5sum': digest(buf, 'md5'),	/* resource md5sum */
+		    'start': t['start'] || 0,		/* requested offset */
 		    'nbytesread': 0,			/* client bytes read */
-		    'nbytestotal': expected_length,	/* total bytes */
-		    'next_chunk': 0			/* expected entry in */
+		    'nbytestotal': nbytestotal,		/* total bytes */
+		    'next_chunk': 0,			/* expected entry in */
 							/* t['chunks'] */
+		    'nlocs': 0,				/* see "redirect" */
+		    'token': 1,				/* see "refresh" */
+		    'expired': {}			/* see "expire" */
 		};
 		log.debug('test server: buffer ready');
-	} else {
-		/*
-		 * Again, this is overly rigid, but we're testing that our own
-		 * client works the way we expect, so we don't need to handle
-		 * all valid forms of the "Range" header.
-		 */
+	}
+
+	/*
+	 * Again, this is overly rigid, but we're testing that our own client
+	 * works the way we expect, so we don't need to handle all valid forms
+	 * of the "Range" header.
+	 */
+	state = test_state[name];
+	if (t['signed'] && (req.headers['x-static'] !== 'yes' ||
+	    req.headers['x-signature'] !==
+	    signature(req.method, req.headers['range']))) {
+		log.error('test "%s": request was not signed', name);
+		res.writeHead(403);
+		res.end('bad signature');
+		return;
+	}
+
+	if (t['redirect_to'] == 'foreign' &&
+	    (url.query['loc'] === undefined) !==
+	    (req.headers['x-static'] === 'yes')) {
+		log.error('test "%s": static headers sent to the wrong server',
+		    name);
+		res.writeHead(400);
+		res.end('static headers sent to the wrong server');
+		return;
+	}
+
+	if (t['redirect'] && handleRedirect(req, res, t, state, name,
+	    url.query['loc'] || null))
+		return;
+
+	if (t['refresh'] && (t['refresh'] == 'headers' ?
+	    req.headers['authorization'] : url.query['token']) !=
+	    (t['refresh'] == 'headers' ? 'token ' : '') + state['token']) {
+		res.writeHead(403, {
+		    'x-server-name': 'tst.httpstream.js',
+		    'x-request-id': String(++nrequests)
+		});
+		res.end('token expired');
+		return;
+	}
+
+	if (req.method == 'HEAD') {
+		res.writeHead(200, {
+		    'content-length': state['raw'].length,
+		    'last-modified': new Date(state['mtime']).toUTCString(),
+		    'etag': state['etag']
+		});
+		res.end();
+		return;
+	}
+
+	/* Allow for some imprecision in the client's timers. */
+	if (state['not_before'] && Date.now() < state['not_before'] - 50) {
+		log.error('test "%s": client retried before "Retry-After"',
+		    name);
+		res.writeHead(400);
+		res.end('client retried too soon');
+		return;
+	}
+
+	applyDirectives(t, state);
+
+	/*
+	 * We don't know exactly how much of a slowly-sent (or released) chunk
+	 * the client got before giving up on it, so take its word for it.
+	 */
+	if (state['resync']) {
+		state['resync'] = false;
+		match = /^bytes=(\d+)-/.exec(req.headers['range'] || '');
+		mod_assert.ok(match !== null);
+		state['nbytesread'] = parseInt(match[1], 10) - state['start'];
+	}
+
+	if (t.hasOwnProperty('start') || t.hasOwnProperty('end') ||
+	    state['nbytesread'] > 0) {
 		expected_range = 'bytes=' +
-		    test_state[name]['nbytesread'] + '-';
-		if (req.headers['range'] != expected_range) {
-			log.error('test "%s": expected range header "%s", ' +
-			    'but got "%s"', name, expected_range,
-			    req.headers['range']);
-			res.writeHead(400);
-			res.end('client made the wrong "Range" request');
+		    (state['start'] + state['nbytesread']) + '-' +
+		    (!t.hasOwnProperty('end') ? '' :
+		    state['nbytesread'] === 0 ? t['end'] :
+		    Math.min(t['end'], state['raw'].length - 1));
+	} else {
+		expected_range = undefined;
+	}
+
+	if (req.headers['range'] !== expected_range) {
+		log.error('test "%s": expected range header "%s", ' +
+		    'but got "%s"', name, expected_range,
+		    req.headers['range']);
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	/*
+	 * The client should make every request after the first conditional on
+	 * the resource not having changed.
+	 */
+	if (state['nbytesread'] > 0 && !req.headers['if-match'] &&
+	    !req.headers['if-unmodified-since']) {
+		log.error('test "%s": expected conditional request', name);
+		res.writeHead(400);
+		res.end('client made an unconditional request');
+		return;
+	}
+
+	state['mirror'] = url.query['mirror'] !== undefined;
+	mtime = new Date(state['mtime']).toUTCString();
+	if ((req.headers['if-match'] && !t['no_if_match'] &&
+	    req.headers['if-match'] != serverEtag(t, state)) ||
+	    (req.headers['if-unmodified-since'] &&
+	    req.headers['if-unmodified-since'] != mtime)) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	if (req.headers['if-range'] && req.headers['if-range'] !=
+	    (t['no_etag'] ? mtime : state['etag']))
+		state['ignore_range'] = true;
+
+	if (expected_range !== undefined && !state['ignore_range'] &&
+	    state['start'] + state['nbytesread'] >= state['raw'].length) {
+		if (t['probe'] == 'ignore_range') {
+			state['ignore_range'] = true;
+		} else {
+			res.writeHead(416, t['probe'] == 'bare_416' ? {} : {
+			    'content-range': 'bytes */' + state['raw'].length
+			});
+			res.end();
 			return;
 		}
 	}
 
-	fetchNext(req, res, t, test_state[name],
-	    test_state[name]['nbytesread']);
+	fetchNext(req, res, t, state, expected_range !== undefined);
 }
 
 /*
- * For test case "t", send the next chunk of the resource, which starts at
- * offset "offset".  See comments above on how the server is expected to behave.
- * This function implements the funky behavior under test, including sending
- * incomplete responses, bogus md5sums, and changed etags.
+ * Returns the etag that the server sends for the current request (see
+ * "mirror").
  */
-function fetchNext(req, res, t, state, offset)
+function serverEtag(t, state)
 {
-	var i, chunk, code, headers;
+	return (state['mirror'] && t['mirror'] == 'etag' ?
+	    state['etag'] + '-mirror' : state['etag']);
+}
+
+/*
+ * Returns the signature that the "beforeRequest" hook used by "signed" test
+ * cases adds to a request with the given method and "Range" header.
+ */
+function signature(method, range)
+{
+	return (method + ' ' + (range || '*'));
+}
+
+/*
+ * For test case "t", apply the effects of any special values (other than
+ * errors) at the current position in the list of chunks.  See above.
+ */
+function applyDirectives(t, state)
+{
+	var chunk;
+
+	for (;;) {
+		chunk = t['chunks'][state['next_chunk']];
+		if (chunk == 'change_etag') {
+			if (state['etag'] == 'etag0')
+				state['etag'] = 'etag1';
+			else
+				state['etag'] = 'etag0';
+		} else if (chunk == 'change_mtime') {
+			state['mtime'] += 1000;
+		} else if (chunk == 'ignore_range' || chunk == 'bad_range' ||
+		    chunk == 'stall' || chunk == 'drip' || chunk == 'release' ||
+		    chunk == 'reset') {
+			state[chunk] = true;
+		} else {
+			break;
+		}
+
+		state['next_chunk']++;
+	}
+}
+
+/*
+ * Returns the value of digest header "h" for a resource with contents "buf".
+ */
+function digestHeader(h, buf)
+{
+	switch (h) {
+	case 'digest':
+		return ('SHA-512=' + digest(buf, 'sha512') + ', unixsum=30637');
+	case 'repr-digest':
+		return ('sha-256=:' + digest(buf, 'sha256') + ':');
+	default:
+		mod_assert.equal(h, 'x-amz-checksum-sha1');
+		return (digest(buf, 'sha1'));
+	}
+}
+
+/*
+ * For test case "t", send the next chunk of the resource.  If "ranged" is true,
+ * the client made a range request for the rest of the span it's fetching.  See
+ * comments above on how the server is expected to behave.  This function
+ * implements the funky behavior under test, including sending incomplete
+ * responses, bogus md5sums, and ignored ranges.
+ */
+function fetchNext(req, res, t, state, ranged)
+{
+	var i, chunk, code, headers, low, first, high, data, timer;
 
 	i = state['next_chunk']++;
 	mod_assert.ok(i < t['chunks'].length,
@@ -331,38 +1716,116 @@ function fetchNext(req, res, t, state, offset)
 	chunk = t['chunks'][i];
 	if (typeof (chunk) == 'string' && chunk.substr(0, 6) == 'error_') {
 		code = parseInt(chunk.substr(6), 10);
-		res.writeHead(code);
+		headers = {
+		    'x-server-name': 'tst.httpstream.js',
+		    'x-request-id': String(++nrequests)
+		};
+		if (t['retry_after'] == 'date') {
+			/* HTTP dates have a resolution of one second. */
+			state['not_before'] =
+			    Math.floor(Date.now() / 1000) * 1000 + 2000;
+			headers['retry-after'] =
+			    new Date(state['not_before']).toUTCString();
+		} else if (t['retry_after']) {
+			state['not_before'] =
+			    Date.now() + t['retry_after'] * 1000;
+			headers['retry-after'] = String(t['retry_after']);
+		}
+		res.writeHead(code, headers);
 		res.end();
 		return;
 	}
-	if (chunk == 'change_etag') {
-		if (state['etag'] == 'etag0')
-			state['etag'] = 'etag1';
-		else
-			state['etag'] = 'etag0';
-
-		fetchNext(req, res, t, state, offset);
-		return;
-	}
 
+	/*
+	 * "low" is the first byte the client wants, while "first" is the first
+	 * byte we're actually sending, which differ if we're ignoring the
+	 * client's "Range" header.
+	 */
 	headers = {};
 	mod_assert.equal(typeof (chunk), 'number');
-	if (offset === 0) {
-		code = 206;
+	low = state['start'] + state['nbytesread'];
+	if (!ranged || state['ignore_range']) {
+		code = 200;
+		first = 0;
+		high = state['raw'].length - 1;
 		if (t['md5'])
 			headers['content-md5'] = t['md5'];
 		else
 			headers['content-md5'] = state['md5sum'];
+		(t['digest_headers'] || []).forEach(function (h) {
+			headers[h] = digestHeader(h,
+			    t['bad_digest'] ? new Buffer('bogus') :
+			    state['raw']);
+		});
+		state['ignore_range'] = false;
 	} else {
-		code = 200;
+		code = 206;
+		first = low;
+		high = t.hasOwnProperty('end') ?
+		    Math.min(t['end'], state['raw'].length - 1) :
+		    state['raw'].length - 1;
+		headers['content-range'] = 'bytes ' +
+		    (state['bad_range'] ? low + 1 : low) + '-' + high + '/' +
+		    state['raw'].length;
+		state['bad_range'] = false;
 	}
 
-	headers['content-length'] = state['nbytestotal'] - state['nbytesread'];
-	headers['etag'] = state['etag'];
+	if (!t['no_length'])
+		headers['content-length'] = high - first + 1;
+	headers['x-server-name'] = 'tst.httpstream.js';
+	headers['x-request-id'] = String(++nrequests);
+	headers['last-modified'] = new Date(state['mtime']).toUTCString();
+	if (!t['no_etag'])
+		headers['etag'] = serverEtag(t, state);
+	if (state['mirror'] && t['mirror'] == 'md5')
+		headers['repr-digest'] = 'md5=:bogus:';
+	if (t['no_length'] == 'close')
+		res.useChunkedEncodingByDefault = false;
+	if (state['release']) {
+		state['release'] = false;
+		state['resync'] = true;
+	}
+	res.on('close', function () { state['closed'] = true; });
 	res.writeHead(code, headers);
-	res.end(state['raw'].slice(state['nbytesread'],
-	    state['nbytesread'] + chunk));
+	data = state['raw'].slice(first, low + chunk);
+	if (t['no_length'] == 'chunked' && i < t['chunks'].length - 1) {
+		/* Cut off the response without the final empty chunk. */
+		res.write(data);
+		req.socket.end();
+	} else if (state['stall']) {
+		state['stall'] = false;
+		res.write(data);
+	} else if (state['reset']) {
+		/*
+		 * Reset the connection once the client has read the chunk
+		 * and is waiting for more.  (Older versions of Node can only
+		 * close it.)
+		 */
+		state['reset'] = false;
+		res.write(data);
+		setTimeout(function () {
+			if (typeof (req.socket.resetAndDestroy) == 'function')
+				req.socket.resetAndDestroy();
+			else
+				req.socket.destroy();
+		}, 50);
+	} else if (state['drip']) {
+		/* Send 64 bytes every 50ms. */
+		state['drip'] = false;
+		state['resync'] = true;
+		timer = setInterval(function () {
+			res.write(data.slice(0, 64));
+			data = data.slice(64);
+			if (data.length === 0)
+				clearInterval(timer);
+		}, 50);
+		res.on('close', function () { clearInterval(timer); });
+		return;
+	} else {
+		res.end(data);
+	}
 	state['nbytesread'] += chunk;
+	state['token']++;
 	log.debug('test server: request completed', chunk, code, headers);
 	req.socket.setTimeout(3000);
 }
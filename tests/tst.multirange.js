@@ -0,0 +1,374 @@
+/*
+ * tst.multirange.js: exercise MultiRangeStream against servers that do and
+ * don't support multi-range requests.
+ */
+
+var mod_assert = require('assert');
+var mod_http = require('http');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * Size of the resource served for each test case.
+ */
+var RESOURCE_SIZE = 10000;
+
+/*
+ * This test runs a simple HTTP server that supports Range requests with
+ * several ranges, "If-Match", and "If-Unmodified-Since", and can be configured
+ * to misbehave.  Each
+ * test case fetches a list of ranges with a MultiRangeStream, and describes:
+ *
+ *	ranges		List of [ start, end ] ranges to fetch.
+ *
+ *	[mode]		How the server responds to requests for more than one
+ *			range:
+ *
+ *			"multipart"	with a "multipart/byteranges" response
+ *					(the default)
+ *
+ *			"coalesce"	with a single part covering all of the
+ *					ranges
+ *
+ *			"first"		with only the first range
+ *
+ *			"ignore"	with "200 OK" and the whole resource
+ *
+ *	[cut]		If present, the server cuts off the first response
+ *			halfway through the part with this index.
+ *
+ *	[change]	If true, the resource changes (getting a new etag and
+ *			last-modified time) after the first response.
+ *
+ *	[weak]		If true, the server sends weak etags (which never match
+ *			"If-Match").
+ *
+ *	requests	List of the "Range" headers the server expects to
+ *			receive, in order.
+ *
+ *	[error]		If present, the test case expects the stream to fail
+ *			with an error matching the given regular expression.
+ */
+var test_cases = {
+    'one': {
+	'ranges': [ [ 10, 19 ] ],
+	'requests': [ 'bytes=10-19' ]
+    },
+    'multi': {
+	'ranges': [ [ 0, 9 ], [ 100, 199 ], [ 5000, 5999 ] ],
+	'requests': [ 'bytes=0-9,100-199,5000-5999' ]
+    },
+    'cut': {
+	'ranges': [ [ 0, 99 ], [ 1000, 1099 ], [ 2000, 2099 ], [ 3000, 3099 ] ],
+	'cut': 2,
+	'requests': [
+	    'bytes=0-99,1000-1099,2000-2099,3000-3099',
+	    'bytes=2000-2099,3000-3099'
+	]
+    },
+    'cut_early': {
+	/* no progress, so this counts against the retry policy */
+	'ranges': [ [ 0, 99 ], [ 1000, 1099 ] ],
+	'cut': 0,
+	'requests': [ 'bytes=0-99,1000-1099', 'bytes=0-99,1000-1099' ]
+    },
+    'coalesce': {
+	'ranges': [ [ 0, 9 ], [ 100, 199 ], [ 5000, 5999 ] ],
+	'mode': 'coalesce',
+	'requests': [ 'bytes=0-9,100-199,5000-5999' ]
+    },
+    'first': {
+	'ranges': [ [ 0, 9 ], [ 100, 199 ], [ 5000, 5999 ] ],
+	'mode': 'first',
+	'requests': [
+	    'bytes=0-9,100-199,5000-5999',
+	    'bytes=100-199,5000-5999',
+	    'bytes=5000-5999'
+	]
+    },
+    'ignore': {
+	'ranges': [ [ 0, 9 ], [ 100, 199 ], [ 5000, 5999 ] ],
+	'mode': 'ignore',
+	'requests': [
+	    'bytes=0-9,100-199,5000-5999',
+	    'bytes=0-9',
+	    'bytes=100-199',
+	    'bytes=5000-5999'
+	]
+    },
+    'changed': {
+	'ranges': [ [ 0, 99 ], [ 1000, 1099 ] ],
+	'cut': 1,
+	'change': true,
+	'requests': [ 'bytes=0-99,1000-1099', 'bytes=1000-1099' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(etag mismatch\\): server returned status 412 ' +
+	    '\\(Precondition Failed\\)$')
+    },
+    'weak_etag': {
+	'ranges': [ [ 0, 99 ], [ 1000, 1099 ] ],
+	'cut': 1,
+	'weak': true,
+	'requests': [ 'bytes=0-99,1000-1099', 'bytes=1000-1099' ]
+    },
+    'weak_etag_changed': {
+	'ranges': [ [ 0, 99 ], [ 1000, 1099 ] ],
+	'cut': 1,
+	'weak': true,
+	'change': true,
+	'requests': [ 'bytes=0-99,1000-1099', 'bytes=1000-1099' ],
+	'error': new RegExp('^ResourceChangedError: object changed while ' +
+	    'fetching \\(last-modified mismatch\\): server returned ' +
+	    'status 412 \\(Precondition Failed\\)$')
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case */
+var log, server, address;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.multirange.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		callback();
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, stream, parts, done;
+
+	log.info('test "%s": start', name);
+	state = test_state[name] = {
+	    'test': t,
+	    'version': 0,	/* incremented on "change" */
+	    'requests': []	/* "Range" headers received */
+	};
+	makeContents(state);
+
+	stream = new mod_httpstream.MultiRangeStream({
+	    'url': 'http://' + address['address'] + ':' + address['port'] +
+	        '/' + name,
+	    'log': log.child({ 'test': name }),
+	    'ranges': t['ranges'].map(function (r) {
+		return ({ 'start': r[0], 'end': r[1] });
+	    }),
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 50,
+		'maxTimeout': 100
+	    }
+	});
+
+	parts = [];
+	done = function (err) {
+		mod_assert.deepEqual(state['requests'], t['requests']);
+		if (t['error']) {
+			if (!err) {
+				callback(new VError('expected error'));
+				return;
+			}
+
+			mod_assert.ok(t['error'].test(
+			    err.name + ': ' + err.message),
+			    'unexpected error: ' + err.message);
+			log.info('test "%s": done: found expected error', name);
+			callback();
+			return;
+		}
+
+		if (err) {
+			callback(new VError(err, 'unexpected error'));
+			return;
+		}
+
+		/* Each range must be emitted exactly once, with its data. */
+		mod_assert.equal(parts.length, t['ranges'].length);
+		t['ranges'].forEach(function (r) {
+			var found = parts.filter(function (p) {
+				return (p['start'] == r[0] && p['end'] == r[1]);
+			});
+			mod_assert.equal(found.length, 1);
+			mod_assert.ok(found[0]['data'].toString('binary') ==
+			    state['raw'].slice(r[0], r[1] + 1).toString(
+			    'binary'), 'data mismatch');
+		});
+
+		log.info('test "%s": done', name);
+		callback();
+	};
+
+	stream.on('data', function (part) { parts.push(part); });
+	stream.on('error', done);
+	stream.on('end', function () { done(null); });
+}
+
+/*
+ * Generate the contents, etag, and last-modified time of the current version of
+ * a resource.
+ */
+function makeContents(state)
+{
+	var buf, i, clow, chigh;
+
+	buf = new Buffer(RESOURCE_SIZE);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < RESOURCE_SIZE; i++)
+		buf[i] = clow + ((i * 7 + state['version']) % (chigh - clow));
+
+	state['raw'] = buf;
+	state['etag'] = (state['test']['weak'] ? 'W/' : '') +
+	    '"v' + state['version'] + '"';
+	state['mtime'] = new Date(state['version'] * 1000).toUTCString();
+}
+
+/*
+ * Server-side function to handle requests.  The test case is identified by the
+ * URL.
+ */
+function handleRequest(req, res)
+{
+	var state, t, raw, ranges, first, low, high, boundary, parts;
+
+	mod_assert.ok(test_state.hasOwnProperty(req.url.substr(1)));
+	state = test_state[req.url.substr(1)];
+	t = state['test'];
+	raw = state['raw'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+	state['requests'].push(req.headers['range']);
+	first = state['requests'].length == 1;
+
+	if ((req.headers['if-match'] !== undefined &&
+	    (req.headers['if-match'] != state['etag'] || t['weak'])) ||
+	    (req.headers['if-unmodified-since'] !== undefined &&
+	    req.headers['if-unmodified-since'] != state['mtime'])) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	ranges = /^bytes=\d+-\d+(,\d+-\d+)*$/.test(req.headers['range']) ?
+	    req.headers['range'].substr(6).split(',').map(function (r) {
+		return (r.split('-').map(function (n) {
+			return (parseInt(n, 10));
+		}));
+	    }) : null;
+	if (ranges === null) {
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	if (ranges.length > 1 && t['mode'] == 'ignore') {
+		res.writeHead(200, {
+		    'content-length': raw.length,
+		    'etag': state['etag'],
+		    'last-modified': state['mtime']
+		});
+		res.end(raw);
+		return;
+	}
+
+	if (ranges.length == 1 || t['mode'] == 'first' ||
+	    t['mode'] == 'coalesce') {
+		low = ranges[0][0];
+		high = t['mode'] == 'coalesce' ? ranges[ranges.length - 1][1] :
+		    ranges[0][1];
+		res.writeHead(206, {
+		    'content-length': high - low + 1,
+		    'content-range': 'bytes ' + low + '-' + high + '/' +
+		        raw.length,
+		    'etag': state['etag'],
+		    'last-modified': state['mtime']
+		});
+		res.end(raw.slice(low, high + 1));
+		return;
+	}
+
+	boundary = 'BOUNDARY' + state['version'];
+	parts = ranges.map(function (r) {
+		return (Buffer.concat([ new Buffer('--' + boundary + '\r\n' +
+		    'content-type: application/octet-stream\r\n' +
+		    'content-range: bytes ' + r[0] + '-' + r[1] + '/' +
+		    raw.length + '\r\n\r\n', 'binary'),
+		    raw.slice(r[0], r[1] + 1), new Buffer('\r\n') ]));
+	});
+	parts.push(new Buffer('--' + boundary + '--\r\n'));
+
+	res.writeHead(206, {
+	    'content-type': 'multipart/byteranges; boundary=' + boundary,
+	    'etag': state['etag'],
+	    'last-modified': state['mtime']
+	});
+
+	if (first && t['cut'] !== undefined) {
+		res.write(Buffer.concat(parts.slice(0, t['cut'])));
+		res.write(parts[t['cut']].slice(0,
+		    Math.floor(parts[t['cut']].length / 2)));
+		setImmediate(function () { req.socket.destroy(); });
+	} else {
+		res.end(Buffer.concat(parts));
+	}
+
+	/* Subsequent requests see the new version. */
+	if (first && t['change']) {
+		state['version']++;
+		makeContents(state);
+	}
+}
@@ -0,0 +1,462 @@
+/*
+ * tst.remotefile.js: exercise RemoteFile, including the block cache and
+ * coalescing of reads.
+ */
+
+var mod_assert = require('assert');
+var mod_http = require('http');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * This test runs a simple HTTP server that supports HEAD requests, Range
+ * requests, and "If-Match", and records the requests it receives.  Each test
+ * case opens a RemoteFile with 1 KiB blocks and performs a sequence of steps.
+ * Test cases describe:
+ *
+ *	size		Size of the resource, in bytes.
+ *
+ *	[cacheSize]	"cacheSize" of the RemoteFile.
+ *
+ *	[knownSize]	If true, the size is passed to the RemoteFile, so it
+ *			shouldn't make a HEAD request.
+ *
+ *	steps		List of steps, each with one of:
+ *
+ *		read		List of [ offset, length ] reads to issue at
+ *				once.
+ *
+ *		stream		[ start, end ] to read with createReadStream()
+ *				(with "end" omitted if null).
+ *
+ *	    and optionally:
+ *
+ *		[promise]	If true, use the Promise form of read().
+ *
+ *		[change]	If true, the resource changes (getting a new
+ *				etag) before this step.
+ *
+ *		[cut]		If true, the server cuts off the first response
+ *				in this step halfway through.
+ *
+ *		ranges		List of the "Range" headers the server expects
+ *				to receive for this step, in order.
+ *
+ *		[error]		If present, the step is expected to fail with
+ *				an error matching this regular expression.
+ */
+var test_cases = {
+    'read': {
+	'size': 10000,
+	'steps': [ {
+	    'read': [ [ 1500, 100 ] ],
+	    'ranges': [ 'bytes=1024-2047' ]
+	}, {
+	    'read': [ [ 1500, 100 ] ],
+	    'ranges': []
+	}, {
+	    'read': [ [ 2000, 100 ] ],
+	    'ranges': [ 'bytes=2048-3071' ]
+	} ]
+    },
+    'coalesce': {
+	'size': 10000,
+	'steps': [ {
+	    'read': [ [ 3072, 10 ], [ 0, 10 ], [ 4096, 10 ], [ 1024, 10 ] ],
+	    'ranges': [ 'bytes=0-2047', 'bytes=3072-5119' ]
+	}, {
+	    'read': [ [ 1000, 5000 ] ],
+	    'ranges': [ 'bytes=2048-3071', 'bytes=5120-6143' ]
+	} ]
+    },
+    'eof': {
+	'size': 2500,
+	'steps': [ {
+	    'read': [ [ 2000, 1000 ] ],
+	    'ranges': [ 'bytes=1024-2499' ]
+	}, {
+	    'read': [ [ 3000, 10 ] ],
+	    'ranges': []
+	} ]
+    },
+    'lru': {
+	'size': 10000,
+	'cacheSize': 2048,
+	'steps': [ {
+	    'read': [ [ 0, 1 ] ],
+	    'ranges': [ 'bytes=0-1023' ]
+	}, {
+	    'read': [ [ 1024, 1 ] ],
+	    'ranges': [ 'bytes=1024-2047' ]
+	}, {
+	    'read': [ [ 0, 1 ] ],
+	    'ranges': []
+	}, {
+	    'read': [ [ 2048, 1 ] ],
+	    'ranges': [ 'bytes=2048-3071' ]
+	}, {
+	    'read': [ [ 0, 1 ] ],
+	    'ranges': []
+	}, {
+	    'read': [ [ 1024, 1 ] ],
+	    'ranges': [ 'bytes=1024-2047' ]
+	} ]
+    },
+    'stream': {
+	'size': 10000,
+	'steps': [ {
+	    'stream': [ 1000, 3999 ],
+	    'ranges': [ 'bytes=0-1023', 'bytes=1024-2047', 'bytes=2048-3071',
+	        'bytes=3072-4095' ]
+	}, {
+	    'stream': [ 0, null ],
+	    'ranges': [ 'bytes=4096-5119', 'bytes=5120-6143',
+	        'bytes=6144-7167', 'bytes=7168-8191', 'bytes=8192-9215',
+	        'bytes=9216-9999' ]
+	} ]
+    },
+    'changed': {
+	'size': 10000,
+	'steps': [ {
+	    'read': [ [ 0, 10 ] ],
+	    'ranges': [ 'bytes=0-1023' ]
+	}, {
+	    'change': true,
+	    'read': [ [ 5000, 10 ] ],
+	    'ranges': [ 'bytes=4096-5119' ],
+	    'error': new RegExp('^ResourceChangedError: fetching bytes ' +
+	        '4096-5119: object changed while fetching ' +
+	        '\\(etag mismatch\\): server returned status 412 ' +
+	        '\\(Precondition Failed\\)$')
+	} ]
+    },
+    'stream_changed': {
+	'size': 10000,
+	'steps': [ {
+	    'read': [ [ 0, 10 ] ],
+	    'ranges': [ 'bytes=0-1023' ]
+	}, {
+	    'change': true,
+	    'stream': [ 0, null ],
+	    'ranges': [ 'bytes=1024-2047' ],
+	    'error': new RegExp('^ResourceChangedError: fetching bytes ' +
+	        '1024-2047: object changed while fetching ' +
+	        '\\(etag mismatch\\): server returned status 412 ' +
+	        '\\(Precondition Failed\\)$')
+	} ]
+    },
+    'cut': {
+	'size': 10000,
+	'steps': [ {
+	    'cut': true,
+	    'read': [ [ 0, 4096 ] ],
+	    'ranges': [ 'bytes=0-4095', 'bytes=2048-4095' ]
+	} ]
+    },
+    'known_size': {
+	'size': 10000,
+	'knownSize': true,
+	'steps': [ {
+	    'read': [ [ 9990, 100 ] ],
+	    'ranges': [ 'bytes=9216-9999' ]
+	} ]
+    },
+    'promise': {
+	'size': 10000,
+	'steps': [ {
+	    'promise': true,
+	    'read': [ [ 100, 2000 ] ],
+	    'ranges': [ 'bytes=0-3071' ]
+	} ]
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case */
+var log, server, address;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.remotefile.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		callback();
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var state, file, funcs;
+
+	log.info('test "%s": start', name);
+	state = test_state[name] = {
+	    'version': 0,	/* incremented on "change" */
+	    'cut': false,	/* cut off the next response */
+	    'nheads': 0,	/* HEAD requests received */
+	    'ranges': []	/* "Range" headers received in this step */
+	};
+	makeContents(state, t['size']);
+
+	file = new mod_httpstream.RemoteFile({
+	    'url': 'http://' + address['address'] + ':' + address['port'] +
+	        '/' + name,
+	    'log': log.child({ 'test': name }),
+	    'blockSize': 1024,
+	    'cacheSize': t['cacheSize'],
+	    'size': t['knownSize'] ? t['size'] : undefined,
+	    'retryPolicy': {
+		'retries': 1,
+		'minTimeout': 50,
+		'maxTimeout': 100
+	    }
+	});
+
+	funcs = t['steps'].map(function (step, i) {
+		return (function (_2, subcallback) {
+			runStep(name, state, file, step, i, subcallback);
+		});
+	});
+	funcs.push(function (_2, subcallback) {
+		mod_assert.equal(state['nheads'], t['knownSize'] ? 0 : 1);
+		file.close();
+		log.info('test "%s": done', name);
+		subcallback();
+	});
+
+	mod_vasync.pipeline({ 'funcs': funcs }, callback);
+}
+
+/*
+ * Perform step "step" (the "i"th) of test case "name" using "file", and check
+ * the outcome.
+ */
+function runStep(name, state, file, step, i, callback)
+{
+	var checkStep;
+
+	log.info('test "%s": step %d', name, i);
+	if (step['change']) {
+		state['version']++;
+		makeContents(state, state['raw'].length);
+	}
+	state['cut'] = step['cut'] === true;
+	state['ranges'] = [];
+
+	checkStep = function (err, bufs, spans) {
+		if (step['error']) {
+			if (!err) {
+				callback(new VError('expected error'));
+				return;
+			}
+
+			mod_assert.ok(step['error'].test(
+			    err.name + ': ' + err.message),
+			    'unexpected error: ' + err.message);
+			log.debug(err, 'test "%s": found expected error', name);
+		} else if (err) {
+			callback(new VError(err, 'unexpected error'));
+			return;
+		} else {
+			bufs.forEach(function (buf, j) {
+				var start = spans[j][0];
+				var end = Math.min(start + spans[j][1],
+				    state['raw'].length);
+				mod_assert.ok(buf.toString('binary') ==
+				    state['raw'].slice(start, end).toString(
+				    'binary'), 'data mismatch');
+			});
+		}
+
+		mod_assert.deepEqual(state['ranges'], step['ranges']);
+		callback();
+	};
+
+	if (step['stream'])
+		readStream(file, step['stream'], checkStep);
+	else
+		readAll(file, step['read'], step['promise'], checkStep);
+}
+
+/*
+ * Issue all of the reads in "spans" at once, and invoke callback(err, bufs,
+ * spans) once they've all completed.
+ */
+function readAll(file, spans, promise, callback)
+{
+	var bufs, errors, nleft;
+
+	bufs = [];
+	errors = [];
+	nleft = spans.length;
+	spans.forEach(function (span, j) {
+		var done = function (err, buf) {
+			if (err)
+				errors.push(err);
+			bufs[j] = buf;
+			if (--nleft === 0)
+				callback(errors[0] || null, bufs, spans);
+		};
+
+		/* Keep assertion failures out of the Promise chain. */
+		if (promise)
+			file.read(span[0], span[1]).then(function (buf) {
+				setImmediate(done, null, buf);
+			}, function (err) {
+				setImmediate(done, err);
+			});
+		else
+			file.read(span[0], span[1], done);
+	});
+}
+
+/*
+ * Read the range "span" ([ start, end ]) using a stream, and invoke
+ * callback(err, bufs, spans) as readAll() does.
+ */
+function readStream(file, span, callback)
+{
+	var opts, stream, chunks, size;
+
+	opts = { 'start': span[0] };
+	if (span[1] !== null)
+		opts['end'] = span[1];
+	stream = file.createReadStream(opts);
+	chunks = [];
+	stream.on('data', function (c) { chunks.push(c); });
+	stream.on('error', function (err) {
+		mod_assert.ok(stream.destroyed, 'stream not destroyed');
+		callback(err);
+	});
+	stream.on('end', function () {
+		size = span[1] === null ? Infinity : span[1] - span[0] + 1;
+		callback(null, [ Buffer.concat(chunks) ],
+		    [ [ span[0], size ] ]);
+	});
+}
+
+/*
+ * Generate the contents and etag of the current version of a resource.
+ */
+function makeContents(state, size)
+{
+	var buf, i, clow, chigh;
+
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + ((i * 7 + state['version']) % (chigh - clow));
+
+	state['raw'] = buf;
+	state['etag'] = '"v' + state['version'] + '"';
+}
+
+/*
+ * Server-side function to handle requests.  The test case is identified by the
+ * URL.
+ */
+function handleRequest(req, res)
+{
+	var state, raw, match, low, high, body;
+
+	mod_assert.ok(test_state.hasOwnProperty(req.url.substr(1)));
+	state = test_state[req.url.substr(1)];
+	raw = state['raw'];
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+
+	if (req.method == 'HEAD') {
+		state['nheads']++;
+		res.writeHead(200, {
+		    'content-length': raw.length,
+		    'etag': state['etag']
+		});
+		res.end();
+		return;
+	}
+
+	match = /^bytes=(\d+)-(\d+)$/.exec(req.headers['range'] || '');
+	if (match === null) {
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	state['ranges'].push(req.headers['range']);
+	if (req.headers['if-match'] !== undefined &&
+	    req.headers['if-match'] != state['etag']) {
+		res.writeHead(412);
+		res.end();
+		return;
+	}
+
+	low = parseInt(match[1], 10);
+	high = Math.min(parseInt(match[2], 10), raw.length - 1);
+	body = raw.slice(low, high + 1);
+	res.writeHead(206, {
+	    'content-length': body.length,
+	    'content-range': 'bytes ' + low + '-' + high + '/' + raw.length,
+	    'etag': state['etag']
+	});
+
+	if (state['cut']) {
+		state['cut'] = false;
+		res.end(body.slice(0, Math.floor(body.length / 2)));
+		res.on('finish', function () { req.socket.destroy(); });
+		return;
+	}
+
+	res.end(body);
+}
@@ -0,0 +1,486 @@
+/*
+ * tst.segmented.js: exercise the segmented (parallel) httpstream.
+ */
+
+var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_http = require('http');
+var mod_url = require('url');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+var mod_restify = require('restify');
+var mod_verror = require('verror');
+
+var VError = mod_verror.VError;
+
+var mod_httpstream = require('../lib/httpstream');
+
+/*
+ * Like tst.httpstream.js, this test runs a custom HTTP server that can be
+ * configured to misbehave in various ways.  Unlike that test, the server here
+ * doesn't expect requests in any particular order, since segments are fetched
+ * concurrently.  Each test case describes the resource and what the server
+ * should do:
+ *
+ *	size		Size of the resource, in bytes.
+ *
+ *	concurrency	Passed to the client stream.
+ *
+ *	[segmentSize]	Passed to the client stream.
+ *
+ *	[md5]		Override value of the content-md5 header that the server
+ *			will use.  (Used to test md5 mismatch.)
+ *
+ *	[interrupt]	If true, the server cuts off the first response for
+ *			each segment halfway through.
+ *
+ *	[error_500]	If true, the server fails the first request for each
+ *			segment with a 500 error.
+ *
+ *	[head_error]	If present, the server fails every HEAD request with
+ *			this status code.
+ *
+ *	[delay]		If present, the server waits this many milliseconds
+ *			before responding to each GET request.  The client is
+ *			expected to have more than one request outstanding.
+ *
+ *	[change_etag]	If present, the server changes the etag of the resource
+ *			after this many GET requests.
+ *
+ *	[change_mtime]	If present, the server changes the last-modified time
+ *			of the resource after this many GET requests.
+ *
+ *	[validators]	Which validators the server sends: "both" (the
+ *			default), "mtime" (only "Last-Modified"), or "none".
+ *
+ *	[signed]	If true, the client stream is given a "beforeRequest"
+ *			hook that signs each request, and the server rejects
+ *			requests (including HEAD requests) that aren't signed.
+ *
+ *	[redirect]	If true, the server redirects requests (including HEAD
+ *			requests) for the path of the resource to another path,
+ *			from which it serves the resource.
+ *
+ *	[url]		If true, the client stream is given just the URL of the
+ *			resource (and so uses the core http adapter) rather than
+ *			a restify client.
+ *
+ *	[error]		If present, the test case expects the client to emit an
+ *			error matching the given regular expression.  If not,
+ *			the client is expected to read the correct data.
+ */
+var test_cases = {
+    'zero': {
+	'size': 0,
+	'concurrency': 4
+    },
+    'small': {
+	/* uneven split into 4 segments */
+	'size': 137,
+	'concurrency': 4
+    },
+    'large': {
+	'size': 32 * 1024 * 1024,
+	'concurrency': 4
+    },
+    'many_segments': {
+	'size': 1000003,
+	'segmentSize': 65536,
+	'concurrency': 3
+    },
+    'parallel': {
+	'size': 512 * 1024,
+	'concurrency': 4,
+	'delay': 100
+    },
+    'interrupted': {
+	'size': 1024 * 1024,
+	'segmentSize': 128 * 1024,
+	'concurrency': 4,
+	'interrupt': true
+    },
+    'transient_500': {
+	'size': 100 * 1024,
+	'concurrency': 4,
+	'error_500': true
+    },
+    'bad_md5': {
+	'size': 5 * 1024,
+	'concurrency': 2,
+	'md5': 'deadbeef',
+	'error': /^IntegrityError: md5 mismatch: expected 'deadbeef', got/
+    },
+    'changed_etag': {
+	'size': 1024 * 1024,
+	'segmentSize': 64 * 1024,
+	'concurrency': 2,
+	'change_etag': 3,
+	'error': new RegExp('^ResourceChangedError: segment \\d+ ' +
+	    '\\(bytes \\d+-\\d+\\): object changed while fetching ' +
+	    '\\(etag mismatch\\)$')
+    },
+    'changed_mtime': {
+	/* without an etag, segments are pinned to the last-modified time */
+	'size': 1024 * 1024,
+	'segmentSize': 64 * 1024,
+	'concurrency': 2,
+	'validators': 'mtime',
+	'change_mtime': 3,
+	'error': new RegExp('^ResourceChangedError: segment \\d+ ' +
+	    '\\(bytes \\d+-\\d+\\): object changed while fetching ' +
+	    '\\(last-modified mismatch\\)$')
+    },
+    'no_validators': {
+	'size': 1024,
+	'concurrency': 2,
+	'validators': 'none',
+	'error': new RegExp('^VError: HEAD response has no etag or ' +
+	    'last-modified')
+    },
+    'head_503': {
+	'size': 1024,
+	'concurrency': 2,
+	'head_error': 503,
+	'error': /^RetriesExhaustedError: giving up on HEAD request$/
+    },
+    'signed': {
+	'size': 256 * 1024,
+	'segmentSize': 64 * 1024,
+	'concurrency': 3,
+	'interrupt': true,
+	'signed': true
+    },
+    'redirect': {
+	'size': 256 * 1024,
+	'segmentSize': 64 * 1024,
+	'concurrency': 3,
+	'interrupt': true,
+	'redirect': true
+    },
+    'url': {
+	'size': 300 * 1024,
+	'concurrency': 3,
+	'interrupt': true,
+	'url': true
+    }
+};
+var test_state = {};	/* server-side state, indexed by test case name */
+var log, server, address, client;
+
+mod_vasync.pipeline({
+    'funcs': [
+	/* Set up global objects */
+	function (_, callback) {
+		log = new mod_bunyan({
+		    'name': 'tst.segmented.js',
+		    'level': process.env['LOG_LEVEL'] || 'debug',
+		    'serializers': {}
+		});
+		callback();
+	},
+
+	/* Start our mock HTTP server. */
+	function (_, callback) {
+		server = mod_http.createServer(handleRequest);
+		server.listen(0, '127.0.0.1', function () {
+			address = server.address();
+			log.info('server listening at %s:%d',
+			    address['address'], address['port']);
+			callback();
+		});
+	},
+
+	/* Create a restify client for the server we just started. */
+	function (_, callback) {
+		client = mod_restify.createClient({
+		    'url': 'http://' + address['address'] + ':' +
+		        address['port'],
+		    'log': log
+		});
+		callback();
+	},
+
+	/* Run the test cases in sequence. */
+	function (_, callback) {
+		var tests_to_run = process.argv.slice(2);
+		if (tests_to_run.length === 0)
+			tests_to_run = Object.keys(test_cases);
+		var funcs = tests_to_run.map(function (k) {
+			if (!test_cases.hasOwnProperty(k))
+				throw (new VError(
+				    'unknown test name: "%s"', k));
+			return (runTestCase.bind(null, k, test_cases[k]));
+		});
+		mod_vasync.pipeline({ 'funcs': funcs }, callback);
+	},
+
+	/* Cleanup so that we can exit gracefully. */
+	function (_, callback) {
+		server.close();
+		client.close();
+		callback();
+	}
+    ]
+}, function (err) {
+	if (err) {
+		log.fatal('TEST FAILED: %s', err);
+		process.exit(1);
+	}
+
+	log.info('TEST PASSED');
+});
+
+/*
+ * Runs a single test case "t" called "name".  See the global definition of
+ * test_cases above.
+ */
+function runTestCase(name, t, _, callback)
+{
+	var args, stream, bufs, nbytes;
+
+	args = {
+	    'log': log,
+	    'highWaterMark': 1024 * 1024,
+	    'concurrency': t['concurrency'],
+	    'segmentSize': t['segmentSize'],
+	    'retryPolicy': {
+		'retries': 2,
+		'minTimeout': 500,
+		'maxTimeout': 2000
+	    }
+	};
+	if (t['url']) {
+		args['url'] = 'http://' + address['address'] + ':' +
+		    address['port'] + '/' + name;
+	} else {
+		args['client'] = client;
+		args['path'] = '/' + name;
+	}
+
+	if (t['signed']) {
+		args['beforeRequest'] = function (options, _2, hcallback) {
+			options['headers']['x-signature'] = signature(
+			    options['method'], options['headers']['range']);
+			setImmediate(hcallback);
+		};
+	}
+
+	stream = new mod_httpstream.SegmentedHttpStream(args);
+
+	bufs = [];
+	nbytes = 0;
+
+	log.info('test "%s": start', name);
+
+	stream.on('data', function (chunk) {
+		bufs.push(chunk);
+		nbytes += chunk.length;
+	});
+
+	stream.on('error', function (err) {
+		if (t['error'] && t['error'].test(
+		    err.name + ': ' + err.message)) {
+			log.debug(err, 'test "%s": found expected error', name);
+			callback();
+			return;
+		}
+
+		if (t['error'])
+			log.error(err, 'test "%s": found error, but not ' +
+			    'the expected one (which was /%s/)', name,
+			    t['error'].source);
+		else
+			log.error(err, 'test "%s": unexpected error', name);
+
+		callback(new VError(err, 'unexpected error'));
+	});
+
+	stream.on('end', function () {
+		var state;
+
+		if (t['error']) {
+			log.error('test "%s": expected error, but none found',
+			    name);
+			callback(new VError('expected error'));
+			return;
+		}
+
+		state = test_state[name];
+		mod_assert.equal(nbytes, t['size']);
+		mod_assert.equal(stream.digests()['md5'], state['md5sum']);
+		mod_assert.ok(Buffer.concat(bufs).toString('binary') ==
+		    state['raw'].toString('binary'), 'data mismatch');
+		mod_assert.ok(state['maxinflight'] <= t['concurrency'],
+		    'too many concurrent requests');
+		if (t['delay'])
+			mod_assert.ok(state['maxinflight'] > 1,
+			    'requests were not made concurrently');
+		log.info('test "%s": done: data matched up ' +
+		    '(max %d concurrent requests)', name,
+		    state['maxinflight']);
+		callback();
+	});
+}
+
+/*
+ * Returns the server-side state for test case "name", creating it (and the
+ * resource's contents) if needed.
+ */
+function testState(name)
+{
+	var size, buf, i, clow, chigh, hasher;
+
+	if (test_state.hasOwnProperty(name))
+		return (test_state[name]);
+
+	size = test_cases[name]['size'];
+	buf = new Buffer(size);
+	clow = 'a'.charCodeAt(0);
+	chigh = 'z'.charCodeAt(0);
+	for (i = 0; i < size; i++)
+		buf[i] = clow + ((i * 7) % (chigh - clow));
+
+	hasher = mod_crypto.createHash('md5');
+	hasher.update(buf);
+	test_state[name] = {
+	    'etag': 'etag0',			/* resource etag */
+	    'mtime': 0,				/* last-modified */
+	    'raw': buf,				/* raw resource data */
+	    'md5sum': hasher.digest('base64'),	/* resource md5sum */
+	    'ngets': 0,				/* GET requests received */
+	    'ranges': {},			/* ranges requested so far */
+	    'ninflight': 0,			/* GET requests in flight */
+	    'maxinflight': 0			/* max of "ninflight" */
+	};
+	return (test_state[name]);
+}
+
+/*
+ * Returns the signature that the "beforeRequest" hook used by "signed" test
+ * cases adds to a request with the given method and "Range" header.
+ */
+function signature(method, range)
+{
+	return (method + ' ' + (range || '*'));
+}
+
+/*
+ * Adds to response headers "headers" the validators that the server sends for
+ * test case "t" (see "validators"), and returns "headers".
+ */
+function validators(t, state, headers)
+{
+	if (t['validators'] != 'none')
+		headers['last-modified'] =
+		    new Date(state['mtime']).toUTCString();
+	if (t['validators'] === undefined || t['validators'] == 'both')
+		headers['etag'] = state['etag'];
+	return (headers);
+}
+
+/*
+ * Server-side function to handle requests.  The case under test is identified
+ * by the URL.
+ */
+function handleRequest(req, res)
+{
+	var name, t, state, url, match, low, high, first, headers;
+	var done, onDone;
+
+	url = mod_url.parse(req.url);
+	name = url.pathname.substr(1);
+	mod_assert.ok(test_cases.hasOwnProperty(name));
+	t = test_cases[name];
+	state = testState(name);
+
+	log.debug('test server: request start', req.method, req.url,
+	    req.headers);
+
+	if (t['signed'] && req.headers['x-signature'] !==
+	    signature(req.method, req.headers['range'])) {
+		res.writeHead(403);
+		res.end('bad signature');
+		return;
+	}
+
+	if (t['redirect'] && url.search === null) {
+		res.writeHead(302, { 'location': '/' + name + '?redirected' });
+		res.end();
+		return;
+	}
+
+	if (req.method == 'HEAD') {
+		if (t['head_error']) {
+			res.writeHead(t['head_error']);
+			res.end();
+			return;
+		}
+
+		res.writeHead(200, validators(t, state, {
+		    'content-length': state['raw'].length,
+		    'content-md5': t['md5'] || state['md5sum']
+		}));
+		res.end();
+		return;
+	}
+
+	state['ngets']++;
+	if (t['change_etag'] && state['ngets'] > t['change_etag'])
+		state['etag'] = 'etag1';
+	if (t['change_mtime'] && state['ngets'] > t['change_mtime'])
+		state['mtime'] = 1000;
+
+	match = /^bytes=(\d+)-(\d+)$/.exec(req.headers['range'] || '');
+	if (match === null) {
+		res.writeHead(400);
+		res.end('client made the wrong "Range" request');
+		return;
+	}
+
+	low = parseInt(match[1], 10);
+	high = parseInt(match[2], 10);
+	first = !state['ranges'].hasOwnProperty(high);
+	state['ranges'][high] = true;
+
+	if (first && t['error_500']) {
+		res.writeHead(500);
+		res.end();
+		return;
+	}
+
+	headers = validators(t, state, {
+	    'content-length': high - low + 1,
+	    'content-range': 'bytes ' + low + '-' + high + '/' +
+	        state['raw'].length
+	});
+
+	state['ninflight']++;
+	state['maxinflight'] = Math.max(state['maxinflight'],
+	    state['ninflight']);
+	done = false;
+	onDone = function () {
+		if (!done) {
+			done = true;
+			state['ninflight']--;
+		}
+	};
+	res.on('finish', onDone);
+	res.on('close', onDone);
+
+	setTimeout(function () {
+		res.writeHead(206, headers);
+		if (first && t['interrupt'] && high > low) {
+			/*
+			 * Send half of the requested range and then close the
+			 * connection.
+			 */
+			res.end(state['raw'].slice(low,
+			    low + Math.floor((high - low + 1) / 2)));
+			res.on('finish', function () { req.socket.destroy(); });
+			return;
+		}
+
+		res.end(state['raw'].slice(low, high + 1));
+	}, t['delay'] || 0);
+}